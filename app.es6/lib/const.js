@@ -1,3 +1,9 @@
 export { version as VERSION } from '../../package.json'
 
 export let ZERO_HASH = Array(65).join('0')
+
+// session advisory lock held by running scanner (see Storage.tryLock)
+export let SCANNER_LOCK_ID = 1349808180
+
+// maximum indexed prefix of null-data output payload (see SQL.create.indices)
+export let OPRETURN_PREFIX_SIZE = 80
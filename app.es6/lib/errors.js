@@ -1,63 +1,113 @@
 /**
  * Error
  *  +-- Chromanode
+ *       +-- InvalidBackend
  *       +-- InvalidBitcoindNetwork
  *       +-- InvalidNetwork
+ *       +-- InvalidNotifications
+ *       +-- ScannerRunning
  *       +-- Service
+ *       |    +-- BlockNotFound
+ *       |    +-- EstimateFeeError
  *       |    +-- FromNotFound
  *       |    +-- HeaderNotFound
  *       |    +-- InvalidAddresses
+ *       |    +-- InvalidBatch
+ *       |    +-- InvalidBlocks
  *       |    +-- InvalidColor
  *       |    +-- InvalidColorKernel
  *       |    +-- InvalidCount
+ *       |    +-- InvalidCursor
+ *       |    +-- InvalidEncoding
+ *       |    +-- InvalidGapLimit
  *       |    +-- InvalidHash
  *       |    +-- InvalidHeight
+ *       |    +-- InvalidLimit
+ *       |    +-- InvalidOffset
  *       |    +-- InvalidOutIndices
+ *       |    +-- InvalidPrefix
  *       |    +-- InvalidRequestedCount
+ *       |    +-- InvalidScheme
+ *       |    +-- InvalidScriptHash
  *       |    +-- InvalidTxId
+ *       |    +-- InvalidWebhook
  *       |    +-- InvalidSource
  *       |    +-- InvalidStatus
+ *       |    +-- InvalidSubscription
+ *       |    +-- InvalidXPub
  *       |    +-- MultipleColors
  *       |    +-- MultipleColorsOutIndex
+ *       |    +-- NotSupported
  *       |    +-- SendTxError
  *       |    +-- ToNotFound
  *       |    +-- TxNotFound
+ *       |    +-- Unauthorized
+ *       |    +-- WebhookNotFound
  *       +-- Storage
- *            +-- InconsistentTables
- *            +-- InvalidNetwork
- *            +-- InvalidVersion
+ *       |    +-- InconsistentTables
+ *       |    +-- InvalidNetwork
+ *       |    +-- InvalidVersion
+ *       |    +-- MigrationRequired
+ *       +-- UpstreamsUnavailable
  */
 
 let spec = {
   name: 'Chromanode',
   message: 'Chromanode internal error',
   errors: [{
+    name: 'InvalidBackend',
+    message: 'Invalid bitcoind backend: {0}'
+  }, {
     name: 'InvalidBitcoindNetwork',
     message: 'Bitcoind have other network! Got {0} expected {1}'
   }, {
     name: 'InvalidNetwork',
     message: 'Invalid network: {0}'
+  }, {
+    name: 'InvalidNotifications',
+    message: 'Invalid bitcoind notifications: {0}'
+  }, {
+    name: 'ScannerRunning',
+    message: 'Scanner is running, stop it before {0}'
   }, {
     name: 'Service',
     message: 'Service internal error',
     errors: [
+      {name: 'BlockNotFound', message: '{0}'},
+      {name: 'EstimateFeeError', message: '{0}'},
       {name: 'FromNotFound', message: '{0}'},
       {name: 'HeaderNotFound', message: '{0}'},
       {name: 'InvalidAddresses', message: '{0}'},
+      {name: 'InvalidBatch', message: '{0}'},
+      {name: 'InvalidBlocks', message: '{0}'},
       {name: 'InvalidColor', message: '{0}'},
       {name: 'InvalidColorKernel', message: '{0}'},
       {name: 'InvalidCount', message: '{0}'},
+      {name: 'InvalidCursor', message: '{0}'},
+      {name: 'InvalidEncoding', message: '{0}'},
+      {name: 'InvalidGapLimit', message: '{0}'},
       {name: 'InvalidHash', message: '{0}'},
       {name: 'InvalidHeight', message: '{0}'},
+      {name: 'InvalidLimit', message: '{0}'},
+      {name: 'InvalidOffset', message: '{0}'},
       {name: 'InvalidOutIndices', message: '{0}'},
+      {name: 'InvalidPrefix', message: '{0}'},
       {name: 'InvalidRequestedCount', message: '{0}'},
+      {name: 'InvalidScheme', message: '{0}'},
+      {name: 'InvalidScriptHash', message: '{0}'},
       {name: 'InvalidTxId', message: '{0}'},
+      {name: 'InvalidWebhook', message: '{0}'},
       {name: 'InvalidSource', message: '{0}'},
       {name: 'InvalidStatus', message: '{0}'},
+      {name: 'InvalidSubscription', message: '{0}'},
+      {name: 'InvalidXPub', message: '{0}'},
       {name: 'MultipleColors', message: '{0}'},
+      {name: 'NotSupported', message: '{0}'},
       {name: 'SendTxError', message: '{0}'},
       {name: 'ToNotFound', message: '{0}'},
-      {name: 'TxNotFound', message: '{0}'}
+      {name: 'TxNotFound', message: '{0}'},
+      {name: 'Unauthorized', message: '{0}'},
+      {name: 'WebhookNotFound', message: '{0}'}
     ]
   }, {
     name: 'Storage',
@@ -71,7 +121,13 @@ let spec = {
     }, {
       name: 'InvalidVersion',
       message: 'Storage have other version: {0} (expected {1})'
+    }, {
+      name: 'MigrationRequired',
+      message: 'Storage have version {0} and should be migrated to {1} (run scanner with --migrate)'
     }]
+  }, {
+    name: 'UpstreamsUnavailable',
+    message: 'All bitcoind upstreams are unavailable'
   }]
 }
 
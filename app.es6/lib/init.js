@@ -20,7 +20,12 @@ bitcore.Networks.add({
   dnsSeeds: []
 })
 
-export default async function (app) {
+/**
+ * @param {function} app
+ * @param {Object} [options] additional command line options for yargs
+ * @return {Promise}
+ */
+export default async function (app, options) {
   let argv = yargs
     .usage('Usage: $0 [-h] [-c CONFIG]')
     .options('c', {
@@ -35,6 +40,7 @@ export default async function (app) {
       describe: 'redefine configuration file here with JSON',
       nargs: 1
     })
+    .options(options || {})
     .help('h')
     .alias('h', 'help')
     .epilog('https://github.com/chromaway/chromanode')
@@ -59,7 +65,7 @@ export default async function (app) {
     }
 
     // run app
-    await app()
+    await app(argv)
   } catch (err) {
     try {
       logger.error(err)
@@ -0,0 +1,111 @@
+import _ from 'lodash'
+
+import SQL from './sql'
+import util from './util'
+
+// BIP125, transaction with input sequence less or equal signals replaceability
+const MAX_BIP125_RBF_SEQUENCE = 0xfffffffd
+
+/**
+ * @param {bitcore.Transaction} tx
+ * @return {boolean}
+ */
+function isSignalsRBF (tx) {
+  return _.any(tx.inputs, (input) => {
+    return input.sequenceNumber <= MAX_BIP125_RBF_SEQUENCE
+  })
+}
+
+/**
+ * @param {string[]} txIds
+ * @return {string[]}
+ */
+function toParam (txIds) {
+  return txIds.map((txId) => `\\x${txId}`)
+}
+
+/**
+ * @param {pg.Result} result
+ * @return {string[]}
+ */
+function getTxIds (result) {
+  return result.rows.map((row) => row.txid.toString('hex'))
+}
+
+/**
+ * Store size, fee and replaceability of unconfirmed transactions and keep
+ *  mempool_ancestors as transitive closure, so packages selected without
+ *  walking graph. Transactions may be added in any order (reorg return
+ *  parents after children), ancestors of already stored descendants updated
+ *
+ * @param {pg.Client} client
+ * @param {bitcore.Transaction[]} txs outputs and inputs already in history
+ * @return {Promise}
+ */
+async function add (client, txs) {
+  for (let tx of util.toposort(txs)) {
+    let txId = tx.id
+    let prevTxIds = _.uniq(tx.inputs.map((input) => input.prevTxId.toString('hex')))
+
+    let outputs = await client.queryAsync(SQL.select.history.outputs, [toParam(prevTxIds)])
+    let values = _.zipObject(outputs.rows.map((row) => {
+      return [`${row.otxid.toString('hex')}:${row.oindex}`, parseInt(row.ovalue, 10)]
+    }))
+    let inputValues = tx.inputs.map((input) => {
+      return values[`${input.prevTxId.toString('hex')}:${input.outputIndex}`]
+    })
+
+    let fee = null
+    if (_.every(inputValues, _.isNumber)) {
+      fee = _.sum(inputValues) - _.sum(tx.outputs, 'satoshis')
+    }
+
+    await client.queryAsync(SQL.insert.mempoolTxs.row, [
+      `\\x${txId}`,
+      tx.toBuffer().length,
+      fee,
+      isSignalsRBF(tx)
+    ])
+
+    let [parents, children] = await* [
+      client.queryAsync(SQL.select.mempool.txs, [toParam(prevTxIds)]),
+      client.queryAsync(SQL.select.mempool.spenders, [`\\x${txId}`])
+    ]
+    parents = getTxIds(parents)
+    children = getTxIds(children)
+
+    let [ancestors, descendants] = await* [
+      client.queryAsync(SQL.select.mempool.ancestors, [toParam(parents)]),
+      client.queryAsync(SQL.select.mempool.descendants, [toParam(children)])
+    ]
+    ancestors = _.union(parents, getTxIds(ancestors))
+    descendants = _.union(children, getTxIds(descendants))
+
+    // every descendant (and transaction) get every ancestor (and transaction)
+    await client.queryAsync(SQL.insert.mempoolAncestors.pairs, [
+      toParam([txId].concat(descendants)),
+      toParam([txId].concat(ancestors))
+    ])
+  }
+}
+
+/**
+ * Remove confirmed or dropped transactions
+ *
+ * @param {pg.Client} client
+ * @param {string[]} txIds
+ * @return {Promise}
+ */
+async function remove (client, txIds) {
+  if (txIds.length === 0) {
+    return
+  }
+
+  await client.queryAsync(SQL.delete.mempoolTxs.byTxIds, [toParam(txIds)])
+  await client.queryAsync(SQL.delete.mempoolAncestors.byTxIds, [toParam(txIds)])
+}
+
+export default {
+  add: add,
+  remove: remove
+}
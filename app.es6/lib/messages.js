@@ -21,6 +21,7 @@ export default class Messages {
 
     this._events = new EventEmitter()
     this._listener = null
+    this._releaseListener = _.noop
 
     PUtils.try(async () => {
       await this._storage.ready
@@ -68,8 +69,8 @@ export default class Messages {
         }))
         .then(resolve, reject)
 
-        // holding client
-        return new Promise(_.noop)
+        // holding client until close
+        return new Promise((resolve) => this._releaseListener = resolve)
       })
       .catch(reject)
     })
@@ -85,6 +86,18 @@ export default class Messages {
     this._events.on(channel, listener)
   }
 
+  /**
+   * Stop listening and release storage client
+   *
+   * @return {Promise}
+   */
+  async close () {
+    this._events.removeAllListeners()
+    this._listener.removeAllListeners()
+    await this._listener.queryAsync('UNLISTEN *')
+    this._releaseListener()
+  }
+
   /**
    * @param {string} channel
    * @param {string} payload
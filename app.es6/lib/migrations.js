@@ -0,0 +1,427 @@
+import _ from 'lodash'
+import bitcore from 'bitcore-lib'
+import script2addresses from 'script2addresses'
+
+import config from './config'
+
+/**
+ * Ordered list of storage migrations
+ *
+ * Every step upgrades storage from `version - 1` to `version`, fresh storage
+ * created from SQL.create always have version of the last step.
+ *
+ * Step format:
+ *   {
+ *     version: '5',
+ *     description: 'short description for log and info table',
+ *     up: async (client) => { ... }
+ *   }
+ */
+
+/**
+ * Version of storage before migrations was introduced
+ */
+export let BASE_VERSION = '4'
+
+/**
+ * Rows to arrays of column values for unnest
+ *
+ * @param {Array.<Array.<*>>} rows
+ * @param {number} count number of columns
+ * @return {Array.<Array.<*>>}
+ */
+function getColumns (rows, count) {
+  return _.range(count).map((index) => _.pluck(rows, index))
+}
+
+/*
+ * Helpers below are copies of lib/util and lib/mempool code at the time of
+ *  the steps which use them, steps should not change with the live code
+ */
+
+/**
+ * @param {Buffer} script
+ * @return {string} sha256 of script
+ */
+function getScriptHash (script) {
+  return bitcore.crypto.Hash.sha256(script).toString('hex')
+}
+
+/**
+ * @param {?bitcore.Script} script
+ * @param {bitcore.Network} network
+ * @return {string[]}
+ */
+function getAddresses (script, network) {
+  if (script === null) {
+    return []
+  }
+
+  return script2addresses(script.toBuffer(), network, false).addresses
+}
+
+/**
+ * Payload of null-data output (all data pushes after OP_RETURN)
+ *
+ * @param {?bitcore.Script} script
+ * @return {?Buffer} null if script is not null-data
+ */
+function getOpReturnData (script) {
+  if (script === null ||
+      script.chunks.length === 0 ||
+      script.chunks[0].opcodenum !== bitcore.Opcode.OP_RETURN) {
+    return null
+  }
+
+  return Buffer.concat(_.filter(_.pluck(script.chunks.slice(1), 'buf')))
+}
+
+/**
+ * Fill empty mempool_txs and mempool_ancestors, parents sorted before
+ *  children so ancestors collected in memory
+ *
+ * @param {pg.Client} client
+ * @param {bitcore.Transaction[]} txs all unconfirmed transactions
+ * @return {Promise}
+ */
+async function fillMempool (client, txs) {
+  let byTxId = _.indexBy(txs, 'id')
+  let getParents = (tx) => {
+    let prevTxIds = tx.inputs.map((input) => input.prevTxId.toString('hex'))
+    return _.uniq(prevTxIds).filter((txId) => byTxId[txId] !== undefined)
+  }
+
+  let sorted = []
+  let visited = {}
+  let visit = (tx) => {
+    if (visited[tx.id] === undefined) {
+      visited[tx.id] = true
+      getParents(tx).forEach((txId) => visit(byTxId[txId]))
+      sorted.push(tx)
+    }
+  }
+  txs.forEach(visit)
+
+  let ancestors = {}
+  let txRows = []
+  let ancestorRows = []
+  for (let tx of sorted) {
+    let prevTxIds = _.uniq(tx.inputs.map((input) => input.prevTxId.toString('hex')))
+    let {rows} = await client.queryAsync(`SELECT
+                                            otxid, oindex, ovalue
+                                          FROM
+                                            history
+                                          WHERE
+                                            otxid = ANY($1)`,
+                                         [prevTxIds.map((txId) => `\\x${txId}`)])
+    let values = _.zipObject(rows.map((row) => {
+      return [`${row.otxid.toString('hex')}:${row.oindex}`, parseInt(row.ovalue, 10)]
+    }))
+    let inputValues = tx.inputs.map((input) => {
+      return values[`${input.prevTxId.toString('hex')}:${input.outputIndex}`]
+    })
+
+    let fee = null
+    if (_.every(inputValues, _.isNumber)) {
+      fee = _.sum(inputValues) - _.sum(tx.outputs, 'satoshis')
+    }
+
+    // BIP125, sequence less or equal 0xfffffffd signals replaceability
+    let rbf = _.any(tx.inputs, (input) => input.sequenceNumber <= 0xfffffffd)
+    txRows.push([tx.id, tx.toBuffer().length, fee, rbf])
+
+    let parents = getParents(tx)
+    ancestors[tx.id] = _.union(parents, _.flatten(parents.map((txId) => ancestors[txId])))
+    for (let ancestor of ancestors[tx.id]) {
+      ancestorRows.push([tx.id, ancestor])
+    }
+  }
+
+  await client.queryAsync(`INSERT INTO mempool_txs
+                             (txid, size, fee, rbf)
+                           SELECT
+                             decode(txid, 'hex'), size, fee, rbf
+                           FROM
+                             unnest($1::text[], $2::integer[], $3::bigint[], $4::boolean[])
+                               AS t (txid, size, fee, rbf)`,
+                          getColumns(txRows, 4))
+  await client.queryAsync(`INSERT INTO mempool_ancestors
+                             (txid, ancestor)
+                           SELECT
+                             decode(txid, 'hex'), decode(ancestor, 'hex')
+                           FROM
+                             unnest($1::text[], $2::text[]) AS t (txid, ancestor)`,
+                          getColumns(ancestorRows, 2))
+}
+
+/**
+ * Call fn for chunks of stored transactions, transactions table can be huge
+ *
+ * @param {pg.Client} client
+ * @param {string} cursor
+ * @param {function} fn called with Array.<{txId: string, height: ?number, tx: bitcore.Transaction}>
+ * @return {Promise}
+ */
+async function forEachTxs (client, cursor, fn) {
+  await client.queryAsync(`DECLARE ${cursor} CURSOR FOR
+                             SELECT txid, height, tx FROM transactions`)
+  while (true) {
+    let {rows} = await client.queryAsync(`FETCH 1000 FROM ${cursor}`)
+    if (rows.length === 0) {
+      break
+    }
+
+    await fn(rows.map((row) => {
+      return {
+        txId: row.txid.toString('hex'),
+        height: row.height,
+        tx: new bitcore.Transaction(row.tx)
+      }
+    }))
+  }
+  await client.queryAsync(`CLOSE ${cursor}`)
+}
+
+export default [{
+  version: '5',
+  description: 'Add reorgs table',
+  up: async (client) => {
+    await client.queryAsync(`CREATE TABLE reorgs (
+                               id SERIAL PRIMARY KEY,
+                               height INTEGER NOT NULL,
+                               old_hash BYTEA NOT NULL,
+                               old_height INTEGER NOT NULL,
+                               new_hash BYTEA NOT NULL,
+                               new_height INTEGER NOT NULL,
+                               txids BYTEA NOT NULL,
+                               time TIMESTAMP NOT NULL DEFAULT NOW())`)
+    await client.queryAsync(`CREATE INDEX ON reorgs (height)`)
+  }
+}, {
+  version: '6',
+  description: 'Add first seen time for transactions and orphans table',
+  up: async (client) => {
+    await client.queryAsync(`ALTER TABLE transactions
+                               ADD COLUMN seen TIMESTAMP NOT NULL DEFAULT NOW()`)
+    await client.queryAsync(`CREATE TABLE orphans (
+                               txid BYTEA PRIMARY KEY,
+                               deps BYTEA NOT NULL,
+                               seen TIMESTAMP NOT NULL DEFAULT NOW())`)
+  }
+}, {
+  version: '7',
+  description: 'Add script hash to history',
+  up: async (client) => {
+    await client.queryAsync(`ALTER TABLE history ADD COLUMN scripthash BYTEA`)
+
+    // calculate hashes by chunks, history can be huge
+    await client.queryAsync(`CREATE TEMPORARY TABLE history_scripthashes (
+                               oscript BYTEA PRIMARY KEY,
+                               scripthash BYTEA NOT NULL) ON COMMIT DROP`)
+    await client.queryAsync(`DECLARE history_oscripts CURSOR FOR
+                               SELECT DISTINCT oscript FROM history`)
+    while (true) {
+      let {rows} = await client.queryAsync(`FETCH 10000 FROM history_oscripts`)
+      if (rows.length === 0) {
+        break
+      }
+
+      let oscripts = rows.map((row) => row.oscript.toString('hex'))
+      let scriptHashes = rows.map((row) => getScriptHash(row.oscript))
+      await client.queryAsync(`INSERT INTO history_scripthashes
+                                 SELECT
+                                   decode(oscript, 'hex'),
+                                   decode(scripthash, 'hex')
+                                 FROM
+                                   unnest($1::text[], $2::text[]) AS t (oscript, scripthash)`,
+                              [oscripts, scriptHashes])
+    }
+    await client.queryAsync(`CLOSE history_oscripts`)
+
+    await client.queryAsync(`UPDATE
+                               history
+                             SET
+                               scripthash = history_scripthashes.scripthash
+                             FROM
+                               history_scripthashes
+                             WHERE
+                               history.oscript = history_scripthashes.oscript`)
+
+    // outputs without addresses was not stored before, outputs first
+    //  because inputs can spend outputs from any transaction
+    let network = bitcore.Networks.get(config.get('chromanode.network'))
+    await forEachTxs(client, 'history_outputs', async (txs) => {
+      let rows = []
+      for (let {txId, height, tx} of txs) {
+        tx.outputs.forEach((output, index) => {
+          if (getAddresses(output.script, network).length === 0) {
+            let script = output._scriptBuffer
+            rows.push([txId, index, output.satoshis, script.toString('hex'), getScriptHash(script), height])
+          }
+        })
+      }
+
+      await client.queryAsync(`INSERT INTO history
+                                 (address, otxid, oindex, ovalue, oscript, scripthash, oheight)
+                               SELECT
+                                 NULL, decode(otxid, 'hex'), oindex, ovalue,
+                                 decode(oscript, 'hex'), decode(scripthash, 'hex'), oheight
+                               FROM
+                                 unnest($1::text[], $2::integer[], $3::bigint[], $4::text[], $5::text[], $6::integer[])
+                                   AS t (otxid, oindex, ovalue, oscript, scripthash, oheight)`,
+                              getColumns(rows, 6))
+    })
+    await forEachTxs(client, 'history_inputs', async (txs) => {
+      let rows = []
+      for (let {txId, height, tx} of txs) {
+        if (!tx.isCoinbase()) {
+          for (let input of tx.inputs) {
+            rows.push([input.prevTxId.toString('hex'), input.outputIndex, txId, height])
+          }
+        }
+      }
+
+      await client.queryAsync(`UPDATE
+                                 history
+                               SET
+                                 itxid = decode(t.itxid, 'hex'),
+                                 iheight = t.iheight
+                               FROM
+                                 unnest($1::text[], $2::integer[], $3::text[], $4::integer[])
+                                   AS t (otxid, oindex, itxid, iheight)
+                               WHERE
+                                 history.address IS NULL AND
+                                 history.otxid = decode(t.otxid, 'hex') AND
+                                 history.oindex = t.oindex`,
+                              getColumns(rows, 4))
+    })
+
+    await client.queryAsync(`CREATE INDEX ON history (scripthash)`)
+  }
+}, {
+  version: '8',
+  description: 'Add opreturns table',
+  up: async (client) => {
+    await client.queryAsync(`CREATE TABLE opreturns (
+                               txid BYTEA NOT NULL,
+                               vout INTEGER NOT NULL,
+                               height INTEGER,
+                               payload BYTEA NOT NULL,
+                               PRIMARY KEY (txid, vout))`)
+
+    await forEachTxs(client, 'opreturns_outputs', async (txs) => {
+      let rows = []
+      for (let {txId, height, tx} of txs) {
+        tx.outputs.forEach((output, index) => {
+          let payload = getOpReturnData(output.script)
+          if (payload !== null) {
+            rows.push([txId, index, height, payload.toString('hex')])
+          }
+        })
+      }
+
+      await client.queryAsync(`INSERT INTO opreturns
+                                 (txid, vout, height, payload)
+                               SELECT
+                                 decode(txid, 'hex'), vout, height, decode(payload, 'hex')
+                               FROM
+                                 unnest($1::text[], $2::integer[], $3::integer[], $4::text[])
+                                   AS t (txid, vout, height, payload)`,
+                              getColumns(rows, 4))
+    })
+
+    await client.queryAsync(`CREATE INDEX ON opreturns (height)`)
+    await client.queryAsync(`CREATE INDEX ON opreturns (substring(payload FROM 1 FOR 80))`)
+  }
+}, {
+  version: '9',
+  description: 'Add events journal',
+  up: async (client) => {
+    await client.queryAsync(`CREATE TABLE events (
+                               id BIGSERIAL PRIMARY KEY,
+                               type TEXT NOT NULL,
+                               key TEXT,
+                               payload TEXT NOT NULL,
+                               time TIMESTAMP NOT NULL DEFAULT NOW())`)
+  }
+}, {
+  version: '10',
+  description: 'Add webhooks',
+  up: async (client) => {
+    await client.queryAsync(`CREATE TABLE webhooks (
+                               id SERIAL PRIMARY KEY,
+                               url TEXT NOT NULL,
+                               secret TEXT NOT NULL,
+                               type TEXT NOT NULL,
+                               keys TEXT[] NOT NULL,
+                               confirmations INTEGER NOT NULL DEFAULT 0,
+                               notified BOOLEAN NOT NULL DEFAULT FALSE,
+                               created TIMESTAMP NOT NULL DEFAULT NOW())`)
+    await client.queryAsync(`CREATE TABLE webhook_deliveries (
+                               id SERIAL PRIMARY KEY,
+                               webhook_id INTEGER NOT NULL,
+                               event TEXT NOT NULL,
+                               payload TEXT NOT NULL,
+                               status TEXT NOT NULL DEFAULT 'pending',
+                               attempts INTEGER NOT NULL DEFAULT 0,
+                               next_attempt TIMESTAMP NOT NULL DEFAULT NOW(),
+                               response_status INTEGER,
+                               last_error TEXT,
+                               created TIMESTAMP NOT NULL DEFAULT NOW(),
+                               updated TIMESTAMP NOT NULL DEFAULT NOW())`)
+    await client.queryAsync(`CREATE TABLE webhook_dead_letters (
+                               id INTEGER PRIMARY KEY,
+                               webhook_id INTEGER NOT NULL,
+                               event TEXT NOT NULL,
+                               payload TEXT NOT NULL,
+                               attempts INTEGER NOT NULL,
+                               response_status INTEGER,
+                               last_error TEXT,
+                               created TIMESTAMP NOT NULL,
+                               failed TIMESTAMP NOT NULL DEFAULT NOW())`)
+    await client.queryAsync(`CREATE INDEX ON webhooks USING GIN (keys)`)
+    await client.queryAsync(`CREATE INDEX ON webhook_deliveries (status, next_attempt)`)
+    await client.queryAsync(`CREATE INDEX ON webhook_deliveries (webhook_id)`)
+    await client.queryAsync(`CREATE INDEX ON webhook_dead_letters (webhook_id)`)
+  }
+}, {
+  version: '11',
+  description: 'Add conflicts table',
+  up: async (client) => {
+    await client.queryAsync(`CREATE TABLE conflicts (
+                               id SERIAL PRIMARY KEY,
+                               otxid BYTEA NOT NULL,
+                               oindex INTEGER NOT NULL,
+                               txid BYTEA NOT NULL,
+                               winner BYTEA,
+                               height INTEGER,
+                               time TIMESTAMP NOT NULL DEFAULT NOW())`)
+    await client.queryAsync(`CREATE INDEX ON conflicts (otxid, oindex)`)
+    await client.queryAsync(`CREATE INDEX ON conflicts (txid)`)
+    await client.queryAsync(`CREATE INDEX ON conflicts (height)`)
+  }
+}, {
+  version: '12',
+  description: 'Add mempool fees and ancestors',
+  up: async (client) => {
+    await client.queryAsync(`CREATE TABLE mempool_txs (
+                               txid BYTEA PRIMARY KEY,
+                               size INTEGER NOT NULL,
+                               fee BIGINT,
+                               rbf BOOLEAN NOT NULL)`)
+    await client.queryAsync(`CREATE TABLE mempool_ancestors (
+                               txid BYTEA NOT NULL,
+                               ancestor BYTEA NOT NULL,
+                               PRIMARY KEY (txid, ancestor))`)
+    await client.queryAsync(`CREATE INDEX ON mempool_ancestors (ancestor)`)
+
+    let {rows} = await client.queryAsync(`SELECT tx FROM transactions WHERE height IS NULL`)
+    await fillMempool(client, rows.map((row) => new bitcore.Transaction(row.tx)))
+  }
+}, {
+  version: '13',
+  description: 'Add events index for resume',
+  up: async (client) => {
+    await client.queryAsync(`CREATE INDEX ON events (type, key, id)`)
+  }
+}]
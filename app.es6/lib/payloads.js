@@ -0,0 +1,41 @@
+
+/**
+ * Payloads of api_v2 notifications from scanner events (same as in journal)
+ */
+let v2 = {
+  block: (payload) => {
+    return {hash: payload.hash, height: payload.height, seq: payload.seq}
+  },
+  tx: (payload) => {
+    return {
+      txid: payload.txId,
+      blockHash: payload.blockHash,
+      blockHeight: payload.blockHeight,
+      seq: payload.seq
+    }
+  },
+  address: (payload) => {
+    return {
+      address: payload.address,
+      txid: payload.txId,
+      blockHash: payload.blockHash,
+      blockHeight: payload.blockHeight,
+      seq: payload.seq
+    }
+  },
+  replaced: (payload) => {
+    return {txid: payload.txId, replacedBy: payload.replacedBy}
+  },
+  doubleSpend: (payload) => {
+    return {
+      address: payload.address,
+      txid: payload.txId,
+      replaced: payload.replacedTxId,
+      outpoint: {txid: payload.prevTxId, vout: payload.outputIndex}
+    }
+  }
+}
+
+export default {
+  v2: v2
+}
@@ -12,7 +12,8 @@ export default {
       `CREATE TABLE transactions (
          txid BYTEA PRIMARY KEY,
          height INTEGER,
-         tx BYTEA NOT NULL)`,
+         tx BYTEA NOT NULL,
+         seen TIMESTAMP NOT NULL DEFAULT NOW())`,
       `CREATE TABLE history (
          address BYTEA,
          otxid BYTEA,
@@ -21,14 +22,88 @@ export default {
          oscript BYTEA,
          oheight INTEGER,
          itxid BYTEA,
-         iheight INTEGER)`,
+         iheight INTEGER,
+         scripthash BYTEA)`,
       `CREATE TABLE new_txs (
          id SERIAL PRIMARY KEY,
          tx BYTEA NOT NULL)`,
       `CREATE TABLE cc_scanned_txids (
         txid BYTEA PRIMARY KEY,
         blockhash BYTEA,
-        height INTEGER)`
+        height INTEGER)`,
+      `CREATE TABLE reorgs (
+         id SERIAL PRIMARY KEY,
+         height INTEGER NOT NULL,
+         old_hash BYTEA NOT NULL,
+         old_height INTEGER NOT NULL,
+         new_hash BYTEA NOT NULL,
+         new_height INTEGER NOT NULL,
+         txids BYTEA NOT NULL,
+         time TIMESTAMP NOT NULL DEFAULT NOW())`,
+      `CREATE TABLE orphans (
+         txid BYTEA PRIMARY KEY,
+         deps BYTEA NOT NULL,
+         seen TIMESTAMP NOT NULL DEFAULT NOW())`,
+      `CREATE TABLE opreturns (
+         txid BYTEA NOT NULL,
+         vout INTEGER NOT NULL,
+         height INTEGER,
+         payload BYTEA NOT NULL,
+         PRIMARY KEY (txid, vout))`,
+      `CREATE TABLE events (
+         id BIGSERIAL PRIMARY KEY,
+         type TEXT NOT NULL,
+         key TEXT,
+         payload TEXT NOT NULL,
+         time TIMESTAMP NOT NULL DEFAULT NOW())`,
+      `CREATE TABLE webhooks (
+         id SERIAL PRIMARY KEY,
+         url TEXT NOT NULL,
+         secret TEXT NOT NULL,
+         type TEXT NOT NULL,
+         keys TEXT[] NOT NULL,
+         confirmations INTEGER NOT NULL DEFAULT 0,
+         notified BOOLEAN NOT NULL DEFAULT FALSE,
+         created TIMESTAMP NOT NULL DEFAULT NOW())`,
+      `CREATE TABLE webhook_deliveries (
+         id SERIAL PRIMARY KEY,
+         webhook_id INTEGER NOT NULL,
+         event TEXT NOT NULL,
+         payload TEXT NOT NULL,
+         status TEXT NOT NULL DEFAULT 'pending',
+         attempts INTEGER NOT NULL DEFAULT 0,
+         next_attempt TIMESTAMP NOT NULL DEFAULT NOW(),
+         response_status INTEGER,
+         last_error TEXT,
+         created TIMESTAMP NOT NULL DEFAULT NOW(),
+         updated TIMESTAMP NOT NULL DEFAULT NOW())`,
+      `CREATE TABLE webhook_dead_letters (
+         id INTEGER PRIMARY KEY,
+         webhook_id INTEGER NOT NULL,
+         event TEXT NOT NULL,
+         payload TEXT NOT NULL,
+         attempts INTEGER NOT NULL,
+         response_status INTEGER,
+         last_error TEXT,
+         created TIMESTAMP NOT NULL,
+         failed TIMESTAMP NOT NULL DEFAULT NOW())`,
+      `CREATE TABLE conflicts (
+         id SERIAL PRIMARY KEY,
+         otxid BYTEA NOT NULL,
+         oindex INTEGER NOT NULL,
+         txid BYTEA NOT NULL,
+         winner BYTEA,
+         height INTEGER,
+         time TIMESTAMP NOT NULL DEFAULT NOW())`,
+      `CREATE TABLE mempool_txs (
+         txid BYTEA PRIMARY KEY,
+         size INTEGER NOT NULL,
+         fee BIGINT,
+         rbf BOOLEAN NOT NULL)`,
+      `CREATE TABLE mempool_ancestors (
+         txid BYTEA NOT NULL,
+         ancestor BYTEA NOT NULL,
+         PRIMARY KEY (txid, ancestor))`
     ],
     indices: [
       `CREATE INDEX ON blocks (hash)`,
@@ -40,8 +115,21 @@ export default {
       `CREATE INDEX ON history (oheight)`,
       `CREATE INDEX ON history (itxid)`,
       `CREATE INDEX ON history (iheight)`,
+      `CREATE INDEX ON history (scripthash)`,
       `CREATE INDEX ON cc_scanned_txids (blockhash)`,
-      `CREATE INDEX ON cc_scanned_txids (height)`
+      `CREATE INDEX ON cc_scanned_txids (height)`,
+      `CREATE INDEX ON reorgs (height)`,
+      `CREATE INDEX ON opreturns (height)`,
+      `CREATE INDEX ON opreturns (substring(payload FROM 1 FOR 80))`,
+      `CREATE INDEX ON events (type, key, id)`,
+      `CREATE INDEX ON webhooks USING GIN (keys)`,
+      `CREATE INDEX ON webhook_deliveries (status, next_attempt)`,
+      `CREATE INDEX ON webhook_deliveries (webhook_id)`,
+      `CREATE INDEX ON webhook_dead_letters (webhook_id)`,
+      `CREATE INDEX ON conflicts (otxid, oindex)`,
+      `CREATE INDEX ON conflicts (txid)`,
+      `CREATE INDEX ON conflicts (height)`,
+      `CREATE INDEX ON mempool_ancestors (ancestor)`
     ]
   },
   insert: {
@@ -66,17 +154,115 @@ export default {
     },
     history: {
       confirmedOutput: `INSERT INTO history
-                          (address, otxid, oindex, ovalue, oscript, oheight)
+                          (address, otxid, oindex, ovalue, oscript, scripthash, oheight)
                         VALUES
-                          ($1, $2, $3, $4, $5, $6)`,
+                          ($1, $2, $3, $4, $5, $6, $7)`,
       unconfirmedOutput: `INSERT INTO history
-                            (address, otxid, oindex, ovalue, oscript)
+                            (address, otxid, oindex, ovalue, oscript, scripthash)
                           VALUES
-                            ($1, $2, $3, $4, $5)`
+                            ($1, $2, $3, $4, $5, $6)`
     },
     newTx: {
       row: `INSERT INTO new_txs (tx) VALUES ($1) RETURNING id`
     },
+    orphans: {
+      row: `INSERT INTO orphans (txid, deps) VALUES ($1, $2)`
+    },
+    opreturns: {
+      row: `INSERT INTO opreturns
+              (txid, vout, height, payload)
+            VALUES
+              ($1, $2, $3, $4)`
+    },
+    events: {
+      row: `INSERT INTO events
+              (type, key, payload)
+            VALUES
+              ($1, $2, $3)
+            RETURNING
+              id`
+    },
+    webhooks: {
+      row: `INSERT INTO webhooks
+              (url, secret, type, keys, confirmations)
+            VALUES
+              ($1, $2, $3, $4, $5)
+            RETURNING
+              id, created`
+    },
+    webhookDeliveries: {
+      row: `INSERT INTO webhook_deliveries
+              (webhook_id, event, payload)
+            VALUES
+              ($1, $2, $3)`,
+      byKey: `INSERT INTO webhook_deliveries
+                (webhook_id, event, payload)
+              SELECT
+                id, type, $2
+              FROM
+                webhooks
+              WHERE
+                type = $1 AND
+                confirmations = 0 AND
+                ($3::TEXT IS NULL OR keys @> ARRAY[$3::TEXT])`
+    },
+    webhookDeadLetters: {
+      fromDelivery: `INSERT INTO webhook_dead_letters
+                       (id, webhook_id, event, payload, attempts, response_status, last_error, created)
+                     SELECT
+                       id, webhook_id, event, payload, attempts + 1, $2, $3, created
+                     FROM
+                       webhook_deliveries
+                     WHERE
+                       id = $1`
+    },
+    conflicts: {
+      row: `INSERT INTO conflicts
+              (otxid, oindex, txid)
+            SELECT
+              $1::BYTEA, $2::INTEGER, $3::BYTEA
+            WHERE
+              NOT EXISTS (SELECT
+                            true
+                          FROM
+                            conflicts
+                          WHERE
+                            otxid = $1 AND
+                            oindex = $2 AND
+                            txid = $3)`
+    },
+    mempoolTxs: {
+      row: `INSERT INTO mempool_txs
+              (txid, size, fee, rbf)
+            VALUES
+              ($1, $2, $3, $4)`
+    },
+    mempoolAncestors: {
+      pairs: `INSERT INTO mempool_ancestors
+                (txid, ancestor)
+              SELECT DISTINCT
+                txs.txid, ancestors.txid
+              FROM
+                unnest($1::BYTEA[]) AS txs (txid),
+                unnest($2::BYTEA[]) AS ancestors (txid)
+              WHERE
+                txs.txid != ancestors.txid AND
+                NOT EXISTS (SELECT
+                              true
+                            FROM
+                              mempool_ancestors
+                            WHERE
+                              txid = txs.txid AND
+                              ancestor = ancestors.txid)`
+    },
+    reorgs: {
+      row: `INSERT INTO reorgs
+              (height, old_hash, old_height, new_hash, new_height, txids)
+            VALUES
+              ($1, $2, $3, $4, $5, $6)
+            RETURNING
+              id`
+    },
     ccScannedTxIds: {
       unconfirmed: `INSERT INTO cc_scanned_txids
                       (txid)
@@ -89,6 +275,9 @@ export default {
     }
   },
   select: {
+    lock: {
+      tryAdvisory: `SELECT pg_try_advisory_lock($1) AS locked`
+    },
     tablesCount: `SELECT
                     COUNT(*)
                   FROM
@@ -135,6 +324,26 @@ export default {
                       transactions ON transactions.height = blocks.height
                     WHERE
                       txid = $1`,
+      byTxId: `SELECT
+                 blocks.height AS height,
+                 hash AS hash
+               FROM
+                 blocks
+               RIGHT OUTER JOIN
+                 transactions ON transactions.height = blocks.height
+               WHERE
+                 txid = $1`,
+      txIdsByTxIds: `SELECT
+                       blocks.height AS height,
+                       hash AS hash,
+                       txids AS txids,
+                       txid AS txid
+                     FROM
+                       blocks
+                     RIGHT OUTER JOIN
+                       transactions ON transactions.height = blocks.height
+                     WHERE
+                       txid = ANY($1)`,
       heightByHash: `SELECT
                        height AS height
                      FROM
@@ -171,6 +380,7 @@ export default {
                WHERE
                  txid = $1`,
       byTxIds: `SELECT
+                  txid AS txid,
                   tx AS tx
                 FROM
                   transactions
@@ -193,59 +403,183 @@ export default {
                     FROM
                       transactions
                     WHERE
-                      height IS NULL`
+                      height IS NULL`,
+      heightsByTxIds: `SELECT
+                         txid AS txid,
+                         height AS height
+                       FROM
+                         transactions
+                       WHERE
+                         txid = ANY($1)`,
+      unconfirmedByTxIds: `SELECT
+                             txid AS txid,
+                             tx AS tx
+                           FROM
+                             transactions
+                           WHERE
+                             txid = ANY($1) AND
+                             height IS NULL`
     },
     history: {
       transactions: `SELECT
-                       otxid AS otxid,
-                       oheight AS oheight,
-                       itxid AS itxid,
-                       iheight AS iheight
+                       txid AS txid,
+                       height AS height
                      FROM
-                       history
+                       (SELECT
+                          otxid AS txid,
+                          oheight AS height
+                        FROM
+                          history
+                        WHERE
+                          address = ANY($1)
+                        UNION
+                        SELECT
+                          itxid AS txid,
+                          iheight AS height
+                        FROM
+                          history
+                        WHERE
+                          address = ANY($1) AND
+                          itxid IS NOT NULL) AS txs
                      WHERE
-                       address = ANY($1) AND
-                       (((oheight > $2 OR iheight > $2) AND (oheight <= $3 OR iheight <= $3)) OR
-                        oheight IS NULL OR
-                        (iheight IS NULL AND itxid IS NOT NULL))`,
-      transactionsToLatest: `SELECT
-                               otxid AS otxid,
-                               oheight AS oheight,
-                               itxid AS itxid,
-                               iheight AS iheight
-                             FROM
-                               history
-                             WHERE
-                               address = ANY($1) AND
-                               (oheight > $2 OR
-                                iheight > $2 OR
-                                oheight IS NULL OR
-                                (iheight IS NULL AND itxid IS NOT NULL))`,
-      unspent: `SELECT
+                       ((height > $2 AND height <= $3 AND $4) OR
+                        (height IS NULL AND $5)) AND
+                       (COALESCE(height, 2147483647), txid) > ($6, $7)
+                     ORDER BY
+                       COALESCE(height, 2147483647), txid
+                     LIMIT $8`,
+      unspent: `SELECT DISTINCT
                   otxid AS otxid,
                   oindex AS oindex,
                   ovalue AS ovalue,
                   oscript AS oscript,
-                  oheight AS oheight
+                  oheight AS oheight,
+                  COALESCE(oheight, 2147483647) AS sortheight
                 FROM
                   history
                 WHERE
                   address = ANY($1) AND
                   itxid IS NULL AND
-                  (((oheight > $2 OR iheight > $2) AND (oheight <= $3 OR iheight <= $3)) OR
-                   oheight IS NULL)`,
-      unspentToLatest: `SELECT
-                          otxid AS otxid,
-                          oindex AS oindex,
-                          ovalue AS ovalue,
-                          oscript AS oscript,
-                          oheight AS oheight
-                        FROM
-                          history
-                        WHERE
-                          address = ANY($1) AND
-                          itxid IS NULL AND
-                          (oheight > $2 OR iheight > $2 OR oheight IS NULL)`,
+                  ((oheight > $2 AND oheight <= $3 AND $4) OR
+                   (oheight IS NULL AND $5)) AND
+                  (COALESCE(oheight, 2147483647), otxid, oindex) > ($6, $7, $8)
+                ORDER BY
+                  sortheight, otxid, oindex
+                LIMIT $9`,
+      scriptTransactions: `SELECT
+                             txid AS txid,
+                             height AS height
+                           FROM
+                             (SELECT
+                                otxid AS txid,
+                                oheight AS height
+                              FROM
+                                history
+                              WHERE
+                                scripthash = ANY($1)
+                              UNION
+                              SELECT
+                                itxid AS txid,
+                                iheight AS height
+                              FROM
+                                history
+                              WHERE
+                                scripthash = ANY($1) AND
+                                itxid IS NOT NULL) AS txs
+                           WHERE
+                             ((height > $2 AND height <= $3 AND $4) OR
+                              (height IS NULL AND $5)) AND
+                             (COALESCE(height, 2147483647), txid) > ($6, $7)
+                           ORDER BY
+                             COALESCE(height, 2147483647), txid
+                           LIMIT $8`,
+      scriptHistory: `SELECT
+                        txs.txid AS txid,
+                        txs.height AS height
+                      FROM
+                        (SELECT
+                           otxid AS txid,
+                           oheight AS height
+                         FROM
+                           history
+                         WHERE
+                           scripthash = $1
+                         UNION
+                         SELECT
+                           itxid AS txid,
+                           iheight AS height
+                         FROM
+                           history
+                         WHERE
+                           scripthash = $1 AND
+                           itxid IS NOT NULL) AS txs
+                      LEFT OUTER JOIN
+                        blocks ON blocks.height = txs.height
+                      ORDER BY
+                        COALESCE(txs.height, 2147483647),
+                        position(txs.txid IN blocks.txids),
+                        txs.txid`,
+      scriptUnspent: `SELECT DISTINCT
+                        otxid AS otxid,
+                        oindex AS oindex,
+                        ovalue AS ovalue,
+                        oscript AS oscript,
+                        oheight AS oheight,
+                        COALESCE(oheight, 2147483647) AS sortheight
+                      FROM
+                        history
+                      WHERE
+                        scripthash = ANY($1) AND
+                        itxid IS NULL AND
+                        ((oheight > $2 AND oheight <= $3 AND $4) OR
+                         (oheight IS NULL AND $5)) AND
+                        (COALESCE(oheight, 2147483647), otxid, oindex) > ($6, $7, $8)
+                      ORDER BY
+                        sortheight, otxid, oindex
+                      LIMIT $9`,
+      balance: `SELECT
+                  address AS address,
+                  SUM(CASE WHEN oheight > $2 AND oheight <= $3 THEN ovalue ELSE 0 END) AS creceived,
+                  SUM(CASE WHEN iheight > $2 AND iheight <= $3 THEN ovalue ELSE 0 END) AS csent,
+                  SUM(CASE WHEN oheight IS NULL THEN ovalue ELSE 0 END) AS ureceived,
+                  SUM(CASE WHEN itxid IS NOT NULL AND iheight IS NULL THEN ovalue ELSE 0 END) AS usent
+                FROM
+                  history
+                WHERE
+                  address = ANY($1)
+                GROUP BY
+                  address`,
+      usedAddresses: `SELECT DISTINCT
+                        address AS address
+                      FROM
+                        history
+                      WHERE
+                        address = ANY($1)`,
+      addressesUnspent: `SELECT
+                           address AS address,
+                           otxid AS otxid,
+                           oindex AS oindex,
+                           ovalue AS ovalue,
+                           oscript AS oscript,
+                           oheight AS oheight
+                         FROM
+                           history
+                         WHERE
+                           address = ANY($1) AND
+                           itxid IS NULL
+                         ORDER BY
+                           COALESCE(oheight, 2147483647), otxid, oindex`,
+      outputs: `SELECT
+                  address AS address,
+                  otxid AS otxid,
+                  oindex AS oindex,
+                  ovalue AS ovalue,
+                  itxid AS itxid,
+                  iheight AS iheight
+                FROM
+                  history
+                WHERE
+                  otxid = ANY($1)`,
       spent: `SELECT
                 itxid AS itxid,
                 iheight AS iheight
@@ -253,11 +587,345 @@ export default {
                 history
               WHERE
                 otxid = $1 AND
-                oindex = $2`
+                oindex = $2`,
+      scriptBalance: `SELECT
+                        COALESCE(SUM(CASE WHEN oheight IS NOT NULL AND iheight IS NULL THEN ovalue ELSE 0 END), 0) AS confirmed,
+                        COALESCE(SUM(CASE WHEN oheight IS NULL THEN ovalue ELSE 0 END), 0) -
+                        COALESCE(SUM(CASE WHEN itxid IS NOT NULL AND iheight IS NULL THEN ovalue ELSE 0 END), 0) AS unconfirmed
+                      FROM
+                        (SELECT DISTINCT
+                           otxid, oindex, ovalue, oheight, itxid, iheight
+                         FROM
+                           history
+                         WHERE
+                           scripthash = $1) AS outputs`,
+      scriptHashesByTxId: `SELECT
+                             scripthash AS scripthash
+                           FROM
+                             history
+                           WHERE
+                             otxid = $1
+                           UNION
+                           SELECT
+                             scripthash AS scripthash
+                           FROM
+                             history
+                           WHERE
+                             itxid = $1`
     },
     newTxs: {
       all: `SELECT id FROM new_txs`
     },
+    mempool: {
+      info: `SELECT
+               COUNT(*) AS count,
+               COALESCE(SUM(octet_length(tx)), 0) AS size,
+               (SELECT
+                  COALESCE(SUM(ovalue), 0)
+                FROM
+                  (SELECT DISTINCT
+                     otxid, oindex, ovalue
+                   FROM
+                     history
+                   WHERE
+                     itxid IS NOT NULL AND
+                     iheight IS NULL) AS inputs) -
+               (SELECT
+                  COALESCE(SUM(ovalue), 0)
+                FROM
+                  (SELECT DISTINCT
+                     otxid, oindex, ovalue
+                   FROM
+                     history
+                   WHERE
+                     oheight IS NULL) AS outputs) AS fees
+             FROM
+               transactions
+             WHERE
+               height IS NULL`,
+      txIds: `SELECT
+                txid AS txid,
+                octet_length(tx) AS size,
+                seen AS seen,
+                (SELECT
+                   COALESCE(SUM(ovalue), 0)
+                 FROM
+                   (SELECT DISTINCT
+                      otxid, oindex, ovalue
+                    FROM
+                      history
+                    WHERE
+                      itxid = transactions.txid) AS inputs) -
+                (SELECT
+                   COALESCE(SUM(ovalue), 0)
+                 FROM
+                   (SELECT DISTINCT
+                      otxid, oindex, ovalue
+                    FROM
+                      history
+                    WHERE
+                      otxid = transactions.txid) AS outputs) AS fee
+              FROM
+                transactions
+              WHERE
+                height IS NULL
+              ORDER BY
+                seen, txid
+              OFFSET $1
+              LIMIT $2`,
+      txs: `SELECT
+              txid AS txid,
+              size AS size,
+              fee AS fee,
+              rbf AS rbf
+            FROM
+              mempool_txs
+            WHERE
+              txid = ANY($1)`,
+      spenders: `SELECT DISTINCT
+                   history.itxid AS txid
+                 FROM
+                   history
+                 JOIN
+                   mempool_txs ON mempool_txs.txid = history.itxid
+                 WHERE
+                   history.otxid = $1`,
+      ancestors: `SELECT DISTINCT
+                    ancestor AS txid
+                  FROM
+                    mempool_ancestors
+                  WHERE
+                    txid = ANY($1)`,
+      descendants: `SELECT DISTINCT
+                      txid AS txid
+                    FROM
+                      mempool_ancestors
+                    WHERE
+                      ancestor = ANY($1)`,
+      ancestorsPackages: `SELECT
+                            mempool_ancestors.txid AS txid,
+                            COUNT(*) AS count,
+                            SUM(mempool_txs.size) AS size,
+                            SUM(mempool_txs.fee) AS fee,
+                            COUNT(mempool_txs.fee) AS fees,
+                            BOOL_OR(mempool_txs.rbf) AS rbf
+                          FROM
+                            mempool_ancestors
+                          JOIN
+                            mempool_txs ON mempool_txs.txid = mempool_ancestors.ancestor
+                          WHERE
+                            mempool_ancestors.txid = ANY($1)
+                          GROUP BY
+                            mempool_ancestors.txid`,
+      descendantsPackages: `SELECT
+                              mempool_ancestors.ancestor AS txid,
+                              COUNT(*) AS count,
+                              SUM(mempool_txs.size) AS size,
+                              SUM(mempool_txs.fee) AS fee,
+                              COUNT(mempool_txs.fee) AS fees
+                            FROM
+                              mempool_ancestors
+                            JOIN
+                              mempool_txs ON mempool_txs.txid = mempool_ancestors.txid
+                            WHERE
+                              mempool_ancestors.ancestor = ANY($1)
+                            GROUP BY
+                              mempool_ancestors.ancestor`
+    },
+    fees: {
+      samples: `SELECT
+                  tx AS tx,
+                  (SELECT
+                     COUNT(*)
+                   FROM
+                     (SELECT DISTINCT
+                        otxid, oindex
+                      FROM
+                        history
+                      WHERE
+                        itxid = transactions.txid) AS inputs) AS icount,
+                  (SELECT
+                     COALESCE(SUM(ovalue), 0)
+                   FROM
+                     (SELECT DISTINCT
+                        otxid, oindex, ovalue
+                      FROM
+                        history
+                      WHERE
+                        itxid = transactions.txid) AS inputs) AS ivalue
+                FROM
+                  transactions
+                WHERE
+                  height > $1 OR
+                  height IS NULL`
+    },
+    events: {
+      first: `SELECT MIN(id) AS id FROM events`,
+      since: `SELECT
+                id AS id,
+                type AS type,
+                payload AS payload
+              FROM
+                events
+              WHERE
+                id > $1 AND
+                ((type = 'block' AND $2) OR
+                 (type = 'tx' AND ($3 OR key = ANY($4))) OR
+                 (type = 'address' AND key = ANY($5)))
+              ORDER BY
+                id
+              LIMIT $6`
+    },
+    webhooks: {
+      byId: `SELECT
+               id AS id,
+               secret AS secret
+             FROM
+               webhooks
+             WHERE
+               id = $1`,
+      confirmed: `SELECT
+                    webhooks.id AS id,
+                    webhooks.confirmations AS confirmations,
+                    transactions.txid AS txid,
+                    transactions.height AS height
+                  FROM
+                    webhooks
+                  JOIN
+                    transactions ON transactions.txid = decode(webhooks.keys[1], 'hex')
+                  WHERE
+                    webhooks.type = 'tx' AND
+                    webhooks.confirmations > 0 AND
+                    webhooks.notified = FALSE AND
+                    transactions.height IS NOT NULL AND
+                    $1 - transactions.height + 1 >= webhooks.confirmations`
+    },
+    webhookDeliveries: {
+      byWebhook: `SELECT
+                    id AS id,
+                    event AS event,
+                    payload AS payload,
+                    status AS status,
+                    attempts AS attempts,
+                    next_attempt AS next_attempt,
+                    response_status AS response_status,
+                    last_error AS last_error,
+                    created AS created,
+                    updated AS updated
+                  FROM
+                    webhook_deliveries
+                  WHERE
+                    webhook_id = $1
+                  ORDER BY
+                    id DESC
+                  LIMIT $2`
+    },
+    webhookDeadLetters: {
+      byWebhook: `SELECT
+                    id AS id,
+                    event AS event,
+                    payload AS payload,
+                    attempts AS attempts,
+                    response_status AS response_status,
+                    last_error AS last_error,
+                    created AS created,
+                    failed AS failed
+                  FROM
+                    webhook_dead_letters
+                  WHERE
+                    webhook_id = $1
+                  ORDER BY
+                    id DESC
+                  LIMIT $2`
+    },
+    opreturns: {
+      byOutpoint: `SELECT
+                     txid AS txid,
+                     vout AS vout,
+                     height AS height,
+                     payload AS payload
+                   FROM
+                     opreturns
+                   WHERE
+                     txid = $1 AND
+                     vout = $2`,
+      byPrefix: `SELECT
+                   txid AS txid,
+                   vout AS vout,
+                   height AS height,
+                   payload AS payload
+                 FROM
+                   opreturns
+                 WHERE
+                   substring(payload FROM 1 FOR 80) >= $1 AND
+                   ($2::BYTEA IS NULL OR substring(payload FROM 1 FOR 80) < $2) AND
+                   ((height > $3 AND height <= $4 AND $5) OR
+                    (height IS NULL AND $6)) AND
+                   (COALESCE(height, 2147483647), txid, vout) > ($7, $8, $9)
+                 ORDER BY
+                   COALESCE(height, 2147483647), txid, vout
+                 LIMIT $10`
+    },
+    orphans: {
+      all: `SELECT
+              txid AS txid,
+              deps AS deps,
+              seen AS seen
+            FROM
+              orphans
+            ORDER BY
+              seen, txid`
+    },
+    conflicts: {
+      byTxId: `SELECT
+                 otxid AS otxid,
+                 oindex AS oindex,
+                 txid AS txid,
+                 winner AS winner,
+                 height AS height,
+                 time AS time
+               FROM
+                 conflicts
+               WHERE
+                 (otxid, oindex) IN (SELECT
+                                       otxid, oindex
+                                     FROM
+                                       conflicts
+                                     WHERE
+                                       txid = $1)
+               ORDER BY
+                 id`
+    },
+    reorgs: {
+      byId: `SELECT
+               id AS id,
+               height AS height,
+               old_hash AS old_hash,
+               old_height AS old_height,
+               new_hash AS new_hash,
+               new_height AS new_height,
+               txids AS txids,
+               time AS time
+             FROM
+               reorgs
+             WHERE
+               id = $1`,
+      latest: `SELECT
+                 id AS id,
+                 height AS height,
+                 old_hash AS old_hash,
+                 old_height AS old_height,
+                 new_hash AS new_hash,
+                 new_height AS new_height,
+                 txids AS txids,
+                 time AS time
+               FROM
+                 reorgs
+               ORDER BY
+                 id DESC
+               OFFSET $1
+               LIMIT $2`
+    },
     ccScannedTxIds: {
       latestBlock: `SELECT
                       blockhash AS blockhash,
@@ -316,6 +984,73 @@ export default {
     }
   },
   update: {
+    info: {
+      value: `UPDATE info SET value = $2 WHERE key = $1`
+    },
+    webhooks: {
+      notified: `UPDATE webhooks SET notified = TRUE WHERE id = $1`,
+      makeUnnotified: `UPDATE
+                          webhooks
+                        SET
+                          notified = FALSE
+                        WHERE
+                          type = 'tx' AND
+                          notified = TRUE AND
+                          keys[1] = ANY($1)`
+    },
+    webhookDeliveries: {
+      delivered: `UPDATE
+                    webhook_deliveries
+                  SET
+                    status = 'delivered',
+                    attempts = attempts + 1,
+                    response_status = $2,
+                    last_error = NULL,
+                    updated = NOW()
+                  WHERE
+                    id = $1`,
+      claim: `UPDATE
+                webhook_deliveries
+              SET
+                status = 'delivering',
+                updated = NOW()
+              FROM
+                webhooks
+              WHERE
+                webhooks.id = webhook_deliveries.webhook_id AND
+                webhook_deliveries.id IN (SELECT
+                                            id
+                                          FROM
+                                            webhook_deliveries
+                                          WHERE
+                                            (status = 'pending' AND next_attempt <= NOW()) OR
+                                            (status = 'delivering' AND updated < NOW() - $2 * INTERVAL '1 millisecond')
+                                          ORDER BY
+                                            id
+                                          LIMIT $1
+                                          FOR UPDATE SKIP LOCKED) AND
+                (webhook_deliveries.status = 'pending' OR
+                 webhook_deliveries.updated < NOW() - $2 * INTERVAL '1 millisecond')
+              RETURNING
+                webhook_deliveries.id AS id,
+                webhook_deliveries.webhook_id AS webhook_id,
+                webhook_deliveries.event AS event,
+                webhook_deliveries.payload AS payload,
+                webhook_deliveries.attempts AS attempts,
+                webhooks.url AS url,
+                webhooks.secret AS secret`,
+      failed: `UPDATE
+                 webhook_deliveries
+               SET
+                 status = 'pending',
+                 attempts = attempts + 1,
+                 next_attempt = NOW() + $4 * INTERVAL '1 second',
+                 response_status = $2,
+                 last_error = $3,
+                 updated = NOW()
+               WHERE
+                 id = $1`
+    },
     transactions: {
       makeConfirmed: `UPDATE
                         transactions
@@ -395,6 +1130,48 @@ export default {
                                          iheight IS NULL AND
                                          itxid = ANY($1)`
     },
+    opreturns: {
+      makeConfirmed: `UPDATE
+                        opreturns
+                      SET
+                        height = $1
+                      WHERE
+                        txid = $2
+                      RETURNING
+                        vout`,
+      makeUnconfirmed: `UPDATE
+                          opreturns
+                        SET
+                          height = NULL
+                        WHERE
+                          height > $1
+                        RETURNING
+                          txid, vout`
+    },
+    conflicts: {
+      resolve: `UPDATE
+                  conflicts
+                SET
+                  winner = history.itxid,
+                  height = history.iheight
+                FROM
+                  history
+                WHERE
+                  conflicts.winner IS NULL AND
+                  history.otxid = conflicts.otxid AND
+                  history.oindex = conflicts.oindex AND
+                  history.iheight = $1`,
+      makeUnresolved: `UPDATE
+                         conflicts
+                       SET
+                         winner = NULL,
+                         height = NULL
+                       WHERE
+                         height > $1`
+    },
+    orphans: {
+      deps: `UPDATE orphans SET deps = $2 WHERE txid = $1`
+    },
     ccScannedTxIds: {
       makeUnconfirmed: `UPDATE
                           cc_scanned_txids
@@ -413,6 +1190,9 @@ export default {
     }
   },
   delete: {
+    info: {
+      byKey: `DELETE FROM info WHERE key = $1`
+    },
     blocks: {
       fromHeight: `DELETE FROM blocks WHERE height > $1 RETURNING hash`
     },
@@ -425,6 +1205,38 @@ export default {
                            RETURNING
                              txid`
     },
+    events: {
+      old: `DELETE FROM
+              events
+            WHERE
+              id <= (SELECT MAX(id) FROM events) - $1`
+    },
+    webhooks: {
+      byId: `DELETE FROM webhooks WHERE id = $1`
+    },
+    webhookDeliveries: {
+      byId: `DELETE FROM webhook_deliveries WHERE id = $1`,
+      byWebhook: `DELETE FROM webhook_deliveries WHERE webhook_id = $1`,
+      delivered: `DELETE FROM
+                    webhook_deliveries
+                  WHERE
+                    status = 'delivered' AND
+                    updated < NOW() - $1 * INTERVAL '1 day'`
+    },
+    webhookDeadLetters: {
+      byWebhook: `DELETE FROM webhook_dead_letters WHERE webhook_id = $1`
+    },
+    opreturns: {
+      unconfirmedByTxIds: `DELETE FROM
+                             opreturns
+                           WHERE
+                             height IS NULL AND
+                             txid = ANY($1)`
+    },
+    orphans: {
+      all: `DELETE FROM orphans`,
+      byTxId: `DELETE FROM orphans WHERE txid = $1`
+    },
     history: {
       unconfirmedByTxIds: `DELETE FROM
                              history
@@ -437,8 +1249,135 @@ export default {
     newTx: {
       byId: `DELETE FROM new_txs WHERE id = $1 RETURNING tx`
     },
+    mempoolTxs: {
+      byTxIds: `DELETE FROM mempool_txs WHERE txid = ANY($1)`
+    },
+    mempoolAncestors: {
+      byTxIds: `DELETE FROM
+                  mempool_ancestors
+                WHERE
+                  txid = ANY($1) OR
+                  ancestor = ANY($1)`
+    },
     ccScannedTxIds: {
       byTxId: `DELETE FROM cc_scanned_txids WHERE txid = $1`
     }
+  },
+  ibd: {
+    copy: {
+      blocks: `COPY blocks (height, hash, header, txids) FROM STDIN`,
+      transactions: `COPY transactions (txid, height, tx) FROM STDIN`,
+      history: `COPY history
+                  (address, otxid, oindex, ovalue, oscript, scripthash, oheight)
+                FROM STDIN`,
+      opreturns: `COPY opreturns (txid, vout, height, payload) FROM STDIN`,
+      inputs: `COPY ibd_inputs (otxid, oindex, itxid, iheight) FROM STDIN`
+    },
+    createInputs: `CREATE TEMPORARY TABLE ibd_inputs (
+                     otxid BYTEA NOT NULL,
+                     oindex INTEGER NOT NULL,
+                     itxid BYTEA NOT NULL,
+                     iheight INTEGER NOT NULL)
+                   ON COMMIT DROP`,
+    spendInputs: `UPDATE
+                    history
+                  SET
+                    itxid = ibd_inputs.itxid,
+                    iheight = ibd_inputs.iheight
+                  FROM
+                    ibd_inputs
+                  WHERE
+                    history.otxid = ibd_inputs.otxid AND
+                    history.oindex = ibd_inputs.oindex`,
+    indices: `SELECT
+                indexname AS name,
+                tablename AS table,
+                indexdef AS definition
+              FROM
+                pg_indexes
+              WHERE
+                tablename = ANY($1) AND
+                indexname NOT LIKE '%_pkey'`
+  },
+  verify: {
+    transactions: `SELECT
+                     txid AS txid,
+                     height AS height
+                   FROM
+                     transactions
+                   WHERE
+                     txid = ANY($2) OR
+                     height = $1`,
+    history: {
+      outputs: `SELECT
+                  COUNT(*) AS count
+                FROM
+                  history
+                WHERE
+                  (otxid = ANY($2) AND oheight IS DISTINCT FROM $1) OR
+                  (oheight = $1 AND NOT otxid = ANY($2))`,
+      inputs: `SELECT
+                 COUNT(*) AS count
+               FROM
+                 history
+               WHERE
+                 (itxid = ANY($2) AND iheight IS DISTINCT FROM $1) OR
+                 (iheight = $1 AND NOT itxid = ANY($2))`
+    },
+    repair: {
+      transactions: `UPDATE
+                       transactions
+                     SET
+                       height = $1
+                     WHERE
+                       txid = ANY($2) AND
+                       height IS DISTINCT FROM $1`,
+      opreturns: `UPDATE
+                    opreturns
+                  SET
+                    height = $1
+                  WHERE
+                    txid = ANY($2) AND
+                    height IS DISTINCT FROM $1`,
+      txHeight: `SELECT
+                   height AS height
+                 FROM
+                   blocks
+                 WHERE
+                   position($1::BYTEA IN txids) % 32 = 1
+                 ORDER BY
+                   height
+                 LIMIT 1`,
+      moveTx: [
+        `UPDATE transactions SET height = $2 WHERE txid = $1`,
+        `UPDATE opreturns SET height = $2 WHERE txid = $1`
+      ],
+      deleteTx: [
+        `DELETE FROM transactions WHERE txid = $1`,
+        `DELETE FROM history WHERE otxid = $1`,
+        `UPDATE history SET itxid = NULL, iheight = NULL WHERE itxid = $1`,
+        `DELETE FROM opreturns WHERE txid = $1`
+      ],
+      outputs: `UPDATE
+                  history
+                SET
+                  oheight = transactions.height
+                FROM
+                  transactions
+                WHERE
+                  transactions.txid = history.otxid AND
+                  ((history.otxid = ANY($2) AND history.oheight IS DISTINCT FROM $1) OR
+                   (history.oheight = $1 AND NOT history.otxid = ANY($2)))`,
+      inputs: `UPDATE
+                 history
+               SET
+                 iheight = transactions.height
+               FROM
+                 transactions
+               WHERE
+                 transactions.txid = history.itxid AND
+                 ((history.itxid = ANY($2) AND history.iheight IS DISTINCT FROM $1) OR
+                  (history.iheight = $1 AND NOT history.itxid = ANY($2)))`
+    }
   }
 }
@@ -1,10 +1,13 @@
+import _ from 'lodash'
 import PUtils from 'promise-useful-utils'
 import { mixin } from 'core-decorators'
 import ReadyMixin from 'ready-mixin'
+import ElapsedTime from 'elapsed-time'
 
 import config from './config'
 import errors from './errors'
 import logger from './logger'
+import migrations, { BASE_VERSION } from './migrations'
 import SQL from './sql'
 
 let pg = PUtils.promisifyAll(require('pg').native)
@@ -14,17 +17,41 @@ let pg = PUtils.promisifyAll(require('pg').native)
  */
 @mixin(ReadyMixin)
 export default class Storage {
-  _version = '4'
+  _version = _.get(_.last(migrations), 'version', BASE_VERSION)
+  _tables = [
+    'info',
+    'blocks',
+    'transactions',
+    'history',
+    'new_txs',
+    'cc_scanned_txids',
+    'reorgs',
+    'orphans',
+    'opreturns',
+    'events',
+    'webhooks',
+    'webhook_deliveries',
+    'webhook_dead_letters',
+    'conflicts',
+    'mempool_txs',
+    'mempool_ancestors'
+  ]
+  _locks = {} // id -> pg.Client
 
   /**
    * @constructor
+   * @param {Object} [opts]
+   * @param {boolean} [opts.migrate=false] apply pending migrations
+   * @param {boolean} [opts.dryRun=false] only show pending migrations
    */
-  constructor () {
+  constructor (opts) {
+    opts = _.extend({migrate: false, dryRun: false}, opts)
+
     this._url = config.get('postgresql.url')
 
     pg.defaults.poolSize = config.get('postgresql.poolSize', 10)
 
-    this._checkEnv()
+    this._checkEnv(opts)
       .then(() => this._ready(null), (err) => this._ready(err))
 
     this.ready
@@ -32,46 +59,116 @@ export default class Storage {
   }
 
   /**
+   * @param {Object} opts
+   * @param {boolean} opts.migrate
+   * @param {boolean} opts.dryRun
    * @return {Promise}
    */
-  _checkEnv (client) {
-    return this.executeTransaction(async (client) => {
-      let result = await client.queryAsync(SQL.select.tablesCount, [[
-        'info',
-        'blocks',
-        'transactions',
-        'history',
-        'new_txs',
-        'cc_scanned_txids'
-      ]])
-      let count = parseInt(result.rows[0].count, 10)
-      logger.info(`Found ${count} tables`)
-
-      if (count === 0) {
-        await this._createEnv(client)
-      } else if (count !== 6) {
-        throw new errors.Storage.InconsistentTables(count, 6)
-      }
+  async _checkEnv (opts) {
+    let count = await this._getTablesCount()
+    logger.info(`Found ${count} tables`)
 
-      let [version, network] = await* [
-        client.queryAsync(SQL.select.info.value, ['version']),
-        client.queryAsync(SQL.select.info.value, ['network'])
-      ]
+    if (count === 0) {
+      await this.executeTransaction(::this._createEnv)
+    }
+
+    let [version, network] = await* [
+      this.executeQuery(SQL.select.info.value, ['version']),
+      this.executeQuery(SQL.select.info.value, ['network'])
+    ]
+
+    // check version
+    if (version.rowCount !== 1) {
+      throw new errors.Storage.InvalidVersion(null, this._version)
+    }
 
-      // check version
-      if (version.rowCount !== 1 ||
-          version.rows[0].value !== this._version) {
-        throw new errors.Storage.InvalidVersion(
+    let pending = this._getPendingMigrations(version.rows[0].value)
+    if (pending.length > 0) {
+      if (!opts.migrate) {
+        throw new errors.Storage.MigrationRequired(
           version.rows[0].value, this._version)
       }
 
-      // check network
-      if (network.rowCount !== 1 ||
-          network.rows[0].value !== config.get('chromanode.network')) {
-        throw new errors.Storage.InvalidNetwork(
-          network.rows[0].value, config.get('chromanode.network'))
+      for (let migration of pending) {
+        if (opts.dryRun) {
+          logger.warn(`Pending migration to version ${migration.version}: ${migration.description}`)
+          continue
+        }
+
+        await this._applyMigration(migration)
+      }
+
+      if (opts.dryRun) {
+        return
+      }
+    }
+
+    // check tables
+    count = await this._getTablesCount()
+    if (count !== this._tables.length) {
+      throw new errors.Storage.InconsistentTables(count, this._tables.length)
+    }
+
+    // check network
+    if (network.rowCount !== 1 ||
+        network.rows[0].value !== config.get('chromanode.network')) {
+      throw new errors.Storage.InvalidNetwork(
+        network.rows[0].value, config.get('chromanode.network'))
+    }
+  }
+
+  /**
+   * @return {Promise<number>}
+   */
+  async _getTablesCount () {
+    let result = await this.executeQuery(SQL.select.tablesCount, [this._tables])
+    return parseInt(result.rows[0].count, 10)
+  }
+
+  /**
+   * @param {string} version
+   * @return {Array.<Object>}
+   * @throws {errors.Storage.InvalidVersion}
+   */
+  _getPendingMigrations (version) {
+    if (version === this._version) {
+      return []
+    }
+
+    let index = version === BASE_VERSION
+                  ? 0
+                  : _.findIndex(migrations, {version: version}) + 1
+    if (index === 0 && version !== BASE_VERSION) {
+      throw new errors.Storage.InvalidVersion(version, this._version)
+    }
+
+    return migrations.slice(index)
+  }
+
+  /**
+   * @param {Object} migration
+   * @return {Promise}
+   */
+  async _applyMigration (migration) {
+    let stopwatch = ElapsedTime.new().start()
+    logger.info(`Applying migration to version ${migration.version}: ${migration.description}`)
+
+    await this.executeTransaction(async (client) => {
+      await migration.up(client)
+
+      let info = {
+        description: migration.description,
+        applied: new Date().toISOString()
       }
+
+      await* [
+        client.queryAsync(SQL.update.info.value, ['version', migration.version]),
+        client.queryAsync(SQL.insert.info.row, [
+          `migration-${migration.version}`, JSON.stringify(info)])
+      ]
     })
+
+    logger.warn(`Migration to version ${migration.version} applied, elapsed time: ${stopwatch.getValue()}`)
   }
 
   /**
@@ -95,6 +192,47 @@ export default class Storage {
     ]
   }
 
+  /**
+   * Close all clients in pool
+   */
+  close () {
+    pg.end()
+  }
+
+  /**
+   * Take session advisory lock on dedicated connection (not from pool),
+   *  lock held until process exit
+   *
+   * @param {number} id
+   * @return {Promise<boolean>} false if lock held by other session
+   */
+  async tryLock (id) {
+    if (this._locks[id] !== undefined) {
+      return true
+    }
+
+    let client = PUtils.promisifyAll(new pg.Client(this._url))
+    await client.connectAsync()
+
+    try {
+      let {rows} = await client.queryAsync(SQL.select.lock.tryAdvisory, [id])
+      if (rows[0].locked) {
+        client.on('error', (err) => {
+          logger.error(`Storage.tryLock: lock ${id} lost: ${err.stack}`)
+          delete this._locks[id]
+        })
+        this._locks[id] = client
+        return true
+      }
+    } catch (err) {
+      client.end()
+      throw err
+    }
+
+    client.end()
+    return false
+  }
+
   /**
    * @param {function} fn
    * @return {Promise}
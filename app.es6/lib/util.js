@@ -1,4 +1,6 @@
 import _ from 'lodash'
+import bitcore from 'bitcore-lib'
+import script2addresses from 'script2addresses'
 
 /**
  * @param {string} s
@@ -16,6 +18,44 @@ function encode (s) {
   return Array.prototype.reverse.call(new Buffer(s)).toString('hex')
 }
 
+/**
+ * @param {?bitcore.Script} script
+ * @param {bitcore.Network} network
+ * @return {string[]}
+ */
+function getAddresses (script, network) {
+  if (script === null) {
+    return []
+  }
+
+  let result = script2addresses(script.toBuffer(), network, false)
+  return result.addresses
+}
+
+/**
+ * @param {Buffer} script
+ * @return {string} sha256 of script
+ */
+function getScriptHash (script) {
+  return bitcore.crypto.Hash.sha256(script).toString('hex')
+}
+
+/**
+ * Payload of null-data output (all data pushes after OP_RETURN)
+ *
+ * @param {?bitcore.Script} script
+ * @return {?Buffer} null if script is not null-data
+ */
+function getOpReturnData (script) {
+  if (script === null ||
+      script.chunks.length === 0 ||
+      script.chunks[0].opcodenum !== bitcore.Opcode.OP_RETURN) {
+    return null
+  }
+
+  return Buffer.concat(_.filter(_.pluck(script.chunks.slice(1), 'buf')))
+}
+
 /**
  * @param {bitcore.Transaction[]} txs
  * @return {bitcore.Transaction[]}
@@ -130,6 +170,9 @@ class SmartLock {
 export default {
   decode: decode,
   encode: encode,
+  getAddresses: getAddresses,
+  getScriptHash: getScriptHash,
+  getOpReturnData: getOpReturnData,
   toposort: toposort,
   SmartLock: SmartLock
 }
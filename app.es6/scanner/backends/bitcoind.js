@@ -0,0 +1,403 @@
+import _ from 'lodash'
+import { EventEmitter } from 'events'
+import { mixin } from 'core-decorators'
+import ReadyMixin from 'ready-mixin'
+import bitcore from 'bitcore-lib'
+import p2p from 'bitcore-p2p'
+import RpcClient from 'bitcoind-rpc-client'
+
+import config from '../../lib/config'
+import errors from '../../lib/errors'
+import logger from '../../lib/logger'
+import util from '../../lib/util'
+
+/**
+ * @event BitcoindBackend#connect
+ *  also emitted when notifications was lost
+ */
+
+/**
+ * @event BitcoindBackend#block
+ * @param {string} hash
+ */
+
+/**
+ * @event BitcoindBackend#tx
+ * @param {string} txId
+ * @param {string} [rawTx] raw transaction if received with notification
+ */
+
+// number of blocks from notifications kept for getBlock
+const RECENT_BLOCKS_SIZE = 10
+
+// bitcoind publish rawtx for every transaction of connected block before
+//  rawblock, so rawtx delayed and dropped if block with transaction received
+const RAWTX_DELAY = 100
+
+/**
+ * Bitcoind over RPC, new blocks and transactions from trusted peer or
+ *  ZeroMQ notifications
+ *
+ * @class BitcoindBackend
+ * @extends events.EventEmitter
+ */
+@mixin(ReadyMixin)
+export default class BitcoindBackend extends EventEmitter {
+  /**
+   * @constructor
+   * @param {Object} opts
+   * @param {string} opts.name
+   * @param {Object} opts.rpc
+   * @param {Object} [opts.peer]
+   * @param {Object} [opts.zmq]
+   * @param {string} [opts.notifications=peer] peer or zmq
+   */
+  constructor (opts) {
+    super()
+
+    this._opts = _.extend({notifications: 'peer'}, opts)
+    this._recentBlocks = [] // [{hash: string, rawBlock: string}]
+    this._pendingTxs = [] // [{txId: string, rawTx: string}]
+    this._pendingTimeout = null
+    this._zmqSequences = {} // topic -> sequence number of last message
+    this._notificationsConnected = false
+
+    let notifications = this._opts.notifications
+    let initNotifications = {
+      peer: ::this._initTrustedPeer,
+      zmq: ::this._initZmq
+    }[notifications]
+    if (initNotifications === undefined) {
+      throw new errors.InvalidNotifications(notifications)
+    }
+
+    Promise.all([
+      this._initBitcoind(),
+      initNotifications()
+    ])
+    .then(() => this._ready(null), (err) => this._ready(err))
+  }
+
+  /**
+   * @return {Promise}
+   */
+  async _initBitcoind () {
+    // create rpc client
+    this._bitcoind = new RpcClient({
+      host: this._opts.rpc.host,
+      port: this._opts.rpc.port,
+      user: this._opts.rpc.user,
+      pass: this._opts.rpc.pass,
+      ssl: this._opts.rpc.protocol === 'https',
+      concurrency: 512 // Otherwise, we risk get EMFILE error
+    })
+
+    // request info
+    let {result} = await this._bitcoind.getInfo()
+
+    // check network
+    let bitcoindNetwork = result.testnet ? 'testnet' : 'livenet'
+    let chromanodeNetwork = config.get('chromanode.network')
+    if (bitcoindNetwork !== chromanodeNetwork &&
+        !(bitcoindNetwork === 'livenet' && chromanodeNetwork === 'regtest')) {
+      throw new errors.InvalidBitcoindNetwork(bitcoindNetwork, chromanodeNetwork)
+    }
+
+    // show info
+    logger.info(
+      `Bitcoind ${this._opts.name} checked. (version ${result.version}, bestHeight: ${result.blocks}, connections: ${result.connections})`)
+  }
+
+  /**
+   */
+  _tryConnectToTrusted () {
+    let onCallback = (err) => {
+      this._peer.removeListener('error', onCallback)
+      this._peer.removeListener('connect', onCallback)
+
+      if (err) {
+        logger.error(`Error on connecting to bitcoind: ${err.stack}`)
+        // error also emit disconnect, that call _tryConnectToTrusted
+      }
+    }
+
+    this._peer.once('error', onCallback)
+    this._peer.once('connect', onCallback)
+    this._peer.connect()
+  }
+
+  /**
+   * @return {Promise}
+   */
+  _initTrustedPeer () {
+    // create trusted peer
+    this._peer = new p2p.Peer({
+      host: this._opts.peer.host,
+      port: this._opts.peer.port,
+      network: config.get('chromanode.network')
+    })
+
+    // inv event
+    this._peer.on('inv', (message) => {
+      let names = []
+
+      for (let inv of message.inventory) {
+        // store inv type name
+        names.push(p2p.Inventory.TYPE_NAME[inv.type])
+
+        // store inv if tx type
+        if (inv.type === p2p.Inventory.TYPE.TX) {
+          this.emit('tx', util.encode(inv.hash))
+        }
+
+        // emit block if block type
+        if (inv.type === p2p.Inventory.TYPE.BLOCK) {
+          this.emit('block', util.encode(inv.hash))
+        }
+      }
+
+      logger.verbose(
+        `Receive inv (${names.join(', ')}) message from peer ${this._peer.host}:${this._peer.port}`)
+    })
+
+    // connect event
+    this._peer.on('connect', () => {
+      logger.info(`Connected to peer ${this._peer.host}:${this._peer.port}`)
+    })
+
+    // disconnect event
+    this._peer.on('disconnect', () => {
+      this._notificationsConnected = false
+      logger.info(`Disconnected from peer ${this._peer.host}:${this._peer.port}`)
+      setTimeout(::this._tryConnectToTrusted, 5000)
+    })
+
+    // ready event
+    this._peer.on('ready', () => {
+      this._notificationsConnected = true
+      logger.info(
+        `Peer ${this._peer.host}:${this._peer.port} is ready (version: ${this._peer.version}, subversion: ${this._peer.subversion}, bestHeight: ${this._peer.bestHeight})`)
+      this.emit('connect')
+    })
+
+    // waiting peer ready
+    return new Promise((resolve, reject) => {
+      let onCallback = (err) => {
+        this._peer.removeListener('error', onCallback)
+        this._peer.removeListener('ready', onCallback)
+
+        if (err) {
+          return reject(err)
+        }
+
+        resolve()
+      }
+
+      this._peer.once('error', onCallback)
+      this._peer.once('ready', onCallback)
+
+      // try connect
+      this._tryConnectToTrusted()
+    })
+  }
+
+  /**
+   * @return {Promise}
+   */
+  async _initZmq () {
+    // zmq required only for this mode
+    let zmq = require('zmq')
+
+    let socket = zmq.socket('sub')
+    socket.on('message', (topic, message, sequence) => {
+      topic = topic.toString()
+      this._checkZmqSequence(topic, sequence)
+
+      // malformed frame dropped, missed block or tx found by next sync
+      let parse = (fn) => {
+        try {
+          return fn(message)
+        } catch (err) {
+          logger.error(`Bitcoind ${this._opts.name}: drop malformed ${topic} message: ${err.message}`)
+          return null
+        }
+      }
+
+      if (topic === 'rawblock') {
+        let block = parse(bitcore.Block)
+        if (block === null) {
+          return
+        }
+
+        this._recentBlocks = _.takeRight(this._recentBlocks.concat({
+          hash: block.hash,
+          rawBlock: message.toString('hex')
+        }), RECENT_BLOCKS_SIZE)
+
+        // transactions of block imported with block
+        let txIds = _.zipObject(block.transactions.map((tx) => [tx.id, true]))
+        this._pendingTxs = this._pendingTxs.filter((item) => txIds[item.txId] !== true)
+        this._flushPendingTxs()
+
+        this.emit('block', block.hash)
+      }
+
+      if (topic === 'rawtx') {
+        let tx = parse(bitcore.Transaction)
+        if (tx === null) {
+          return
+        }
+
+        this._pendingTxs.push({txId: tx.id, rawTx: message.toString('hex')})
+        if (this._pendingTimeout === null) {
+          this._pendingTimeout = setTimeout(::this._flushPendingTxs, RAWTX_DELAY)
+        }
+      }
+    })
+
+    let urls = _.uniq([this._opts.zmq.rawblock, this._opts.zmq.rawtx])
+    let connected = {} // endpoint -> true
+
+    // missed notifications while connection was lost
+    socket.on('connect', (fd, endpoint) => {
+      logger.info(`Connected to zmq ${endpoint}`)
+      connected[endpoint] = true
+      this._notificationsConnected = _.size(connected) === urls.length
+      this.emit('connect')
+    })
+    socket.on('disconnect', (fd, endpoint) => {
+      logger.info(`Disconnected from zmq ${endpoint}`)
+      delete connected[endpoint]
+      this._notificationsConnected = false
+    })
+    socket.monitor(500, 0)
+
+    for (let url of urls) {
+      socket.connect(url)
+    }
+
+    socket.subscribe('rawblock')
+    socket.subscribe('rawtx')
+  }
+
+  /**
+   * Notifications lost if sequence number of message not follow previous,
+   *  lost transactions received with mempool update on connect event, lost
+   *  blocks imported with next block
+   *
+   * @param {string} topic
+   * @param {Buffer} [sequence] not sent by bitcoind before 0.13
+   */
+  _checkZmqSequence (topic, sequence) {
+    if (sequence === undefined || sequence.length !== 4) {
+      return
+    }
+
+    let current = sequence.readUInt32LE(0)
+    let previous = this._zmqSequences[topic]
+    this._zmqSequences[topic] = current
+
+    if (previous === undefined || current === ((previous + 1) >>> 0)) {
+      return
+    }
+
+    logger.warn(`Bitcoind ${this._opts.name}: lost ${topic} notifications (sequence ${previous} -> ${current})`)
+    if (topic === 'rawtx') {
+      this.emit('connect')
+    }
+  }
+
+  /**
+   * Emit delayed rawtx notifications
+   */
+  _flushPendingTxs () {
+    clearTimeout(this._pendingTimeout)
+    this._pendingTimeout = null
+
+    let pending = this._pendingTxs
+    this._pendingTxs = []
+    for (let {txId, rawTx} of pending) {
+      this.emit('tx', txId, rawTx)
+    }
+  }
+
+  /**
+   * @return {boolean} trusted peer or zmq connected
+   */
+  isNotificationsConnected () {
+    return this._notificationsConnected
+  }
+
+  /**
+   * @return {Promise<Object>}
+   */
+  async getInfo () {
+    let {result} = await this._bitcoind.getInfo()
+    return result
+  }
+
+  /**
+   * @return {Promise<number>}
+   */
+  async getBlockCount () {
+    let {result} = await this._bitcoind.getBlockCount()
+    return result
+  }
+
+  /**
+   * @param {number} height
+   * @return {Promise<string>}
+   */
+  async getBlockHash (height) {
+    let {result} = await this._bitcoind.getBlockHash(height)
+    return result
+  }
+
+  /**
+   * @param {string} hash
+   * @return {Promise<string>} raw block
+   */
+  async getBlock (hash) {
+    let recent = _.find(this._recentBlocks, {hash: hash})
+    if (recent !== undefined) {
+      return recent.rawBlock
+    }
+
+    let {result} = await this._bitcoind.getBlock(hash, false)
+    return result
+  }
+
+  /**
+   * @param {string} txId
+   * @return {Promise<string>} raw transaction
+   */
+  async getTx (txId) {
+    let {result} = await this._bitcoind.getRawTransaction(txId)
+    return result
+  }
+
+  /**
+   * @return {Promise<string[]>}
+   */
+  async getMempool () {
+    let {result} = await this._bitcoind.getRawMemPool()
+    return result
+  }
+
+  /**
+   * @param {string} txHex
+   * @return {Promise}
+   */
+  async sendTx (txHex) {
+    await this._bitcoind.sendRawTransaction(txHex)
+  }
+
+  /**
+   * @param {number} blocks
+   * @return {Promise<number>} BTC per kilobyte, -1 if not enough data
+   */
+  async estimateFee (blocks) {
+    let {result} = await this._bitcoind.estimateFee(blocks)
+    return result
+  }
+}
@@ -0,0 +1,421 @@
+import _ from 'lodash'
+import { EventEmitter } from 'events'
+import { mixin } from 'core-decorators'
+import ReadyMixin from 'ready-mixin'
+import bitcore from 'bitcore-lib'
+
+import config from '../../lib/config'
+import { ZERO_HASH } from '../../lib/const'
+import util from '../../lib/util'
+
+// regtest genesis time, every next block 10 minutes later
+const GENESIS_TIME = 1296688602
+const BLOCK_INTERVAL = 600
+
+const BLOCK_SUBSIDY = 50e8
+const TX_FEE = 1e4
+
+/**
+ * @event FakeBackend#connect
+ */
+
+/**
+ * @event FakeBackend#block
+ * @param {string} hash
+ */
+
+/**
+ * @event FakeBackend#tx
+ * @param {string} txId
+ * @param {string} [rawTx] raw transaction if announced with raw transaction
+ */
+
+/**
+ * In-process chain for tests, blocks and transactions are generated
+ *  deterministically from seed, all outputs belong to one private key.
+ *  Proof of work and scripts are not checked.
+ *
+ * @class FakeBackend
+ * @extends events.EventEmitter
+ */
+@mixin(ReadyMixin)
+export default class FakeBackend extends EventEmitter {
+  /**
+   * @constructor
+   * @param {Object} [opts]
+   * @param {string} [opts.network] network from config by default
+   * @param {string} [opts.seed=chromanode] seed for private key
+   */
+  constructor (opts) {
+    super()
+
+    opts = _.extend({network: config.get('chromanode.network'), seed: 'chromanode'}, opts)
+
+    let network = bitcore.Networks.get(opts.network)
+    let seed = bitcore.crypto.Hash.sha256(new Buffer(opts.seed))
+    this._privKey = new bitcore.PrivateKey(bitcore.crypto.BN.fromBuffer(seed), network)
+    this._address = this._privKey.toAddress()
+    this._testnet = network !== bitcore.Networks.livenet
+
+    this._blocks = {} // hash -> {block: bitcore.Block, height: number}
+    this._chain = [] // hashes of active chain
+    this._txs = {} // txId -> bitcore.Transaction
+    this._mempool = [] // txIds
+    this._generated = 0 // number of generated blocks, makes coinbase unique in forks
+    this._notificationsConnected = true
+
+    this._ready(null)
+    setImmediate(() => this.emit('connect'))
+  }
+
+  /**
+   * @return {string}
+   */
+  getAddress () {
+    return this._address.toString()
+  }
+
+  /**
+   * @return {boolean}
+   */
+  isNotificationsConnected () {
+    return this._notificationsConnected
+  }
+
+  /**
+   * Simulate lost connection of notifications, events are not emitted
+   *  while disconnected
+   *
+   * @param {boolean} connected
+   */
+  setNotificationsConnected (connected) {
+    this._notificationsConnected = connected
+    if (connected) {
+      setImmediate(() => this.emit('connect'))
+    }
+  }
+
+  /**
+   * @return {Promise<Object>}
+   */
+  async getInfo () {
+    return {
+      version: 0,
+      protocolversion: 0,
+      blocks: this._chain.length - 1,
+      connections: 0,
+      testnet: this._testnet,
+      errors: ''
+    }
+  }
+
+  /**
+   * @return {Promise<number>}
+   */
+  async getBlockCount () {
+    return this._chain.length - 1
+  }
+
+  /**
+   * @param {number} height
+   * @return {Promise<string>}
+   */
+  async getBlockHash (height) {
+    if (!(height >= 0 && height < this._chain.length)) {
+      throw new Error(`Block height out of range: ${height}`)
+    }
+
+    return this._chain[height]
+  }
+
+  /**
+   * @param {string} hash
+   * @return {Promise<string>} raw block
+   */
+  async getBlock (hash) {
+    if (this._blocks[hash] === undefined) {
+      throw new Error(`Block not found: ${hash}`)
+    }
+
+    return this._blocks[hash].block.toString()
+  }
+
+  /**
+   * @param {string} txId
+   * @return {Promise<string>} raw transaction
+   */
+  async getTx (txId) {
+    if (this._txs[txId] === undefined) {
+      throw new Error(`No information available about transaction: ${txId}`)
+    }
+
+    return this._txs[txId].toString()
+  }
+
+  /**
+   * @return {Promise<string[]>}
+   */
+  async getMempool () {
+    return this._mempool.slice()
+  }
+
+  /**
+   * @param {string} txHex
+   * @return {Promise}
+   */
+  async sendTx (txHex) {
+    this.addTx(new bitcore.Transaction(txHex))
+  }
+
+  /**
+   * @param {number} blocks
+   * @return {Promise<number>}
+   */
+  async estimateFee (blocks) {
+    return -1
+  }
+
+  /**
+   * @param {string} txId
+   * @param {number} outputIndex
+   * @return {bitcore.Transaction.Output}
+   */
+  _getOutput (txId, outputIndex) {
+    let tx = this._txs[txId]
+    if (tx === undefined || tx.outputs[outputIndex] === undefined) {
+      throw new Error(`Output not found: ${txId}:${outputIndex}`)
+    }
+
+    return tx.outputs[outputIndex]
+  }
+
+  /**
+   * Remove from mempool transactions which spend same outputs as given
+   *  transactions and all their descendants
+   *
+   * @param {bitcore.Transaction[]} txs
+   */
+  _removeConflicts (txs) {
+    let txIds = _.zipObject(txs.map((tx) => [tx.id, true]))
+    let spent = {}
+    for (let tx of txs) {
+      for (let input of tx.inputs) {
+        spent[`${input.prevTxId.toString('hex')}:${input.outputIndex}`] = true
+      }
+    }
+
+    let removed = {}
+    let isRemoved = (txId) => {
+      let tx = this._txs[txId]
+      return _.any(tx.inputs, (input) => {
+        let prevTxId = input.prevTxId.toString('hex')
+        return removed[prevTxId] === true ||
+               (txIds[txId] !== true && spent[`${prevTxId}:${input.outputIndex}`] === true)
+      })
+    }
+
+    for (let txId of util.toposort(this._mempool.map((txId) => this._txs[txId])).map((tx) => tx.id)) {
+      if (isRemoved(txId)) {
+        removed[txId] = true
+      }
+    }
+
+    this._mempool = this._mempool.filter((txId) => removed[txId] !== true)
+  }
+
+  /**
+   * Add transaction to mempool, conflicting transactions replaced
+   *
+   * @param {bitcore.Transaction} tx
+   * @param {boolean} [announce=true] emit tx event
+   * @return {string}
+   */
+  addTx (tx, announce = true) {
+    if (this._txs[tx.id] !== undefined) {
+      throw new Error(`Transaction already known: ${tx.id}`)
+    }
+
+    this._txs[tx.id] = tx
+    this._removeConflicts([tx])
+    this._mempool.push(tx.id)
+
+    if (announce) {
+      this.announceTx(tx.id)
+    }
+
+    return tx.id
+  }
+
+  /**
+   * @param {string} txId
+   * @param {boolean} [withRawTx=false] emit raw transaction like ZeroMQ notifications
+   */
+  announceTx (txId, withRawTx = false) {
+    setImmediate(() => {
+      if (!this._notificationsConnected) {
+        return
+      }
+
+      if (withRawTx) {
+        return this.emit('tx', txId, this._txs[txId].toString())
+      }
+
+      this.emit('tx', txId)
+    })
+  }
+
+  /**
+   * Create transaction which spend given outputs to backend address
+   *
+   * @param {Array.<{txId: string, outputIndex: number}>} outpoints
+   * @param {Object} [opts]
+   * @param {number} [opts.outputs=1] number of outputs
+   * @param {number} [opts.fee]
+   * @param {number} [opts.sequenceNumber=0xffffffff]
+   * @return {bitcore.Transaction}
+   */
+  createTx (outpoints, opts) {
+    opts = _.extend({outputs: 1, fee: TX_FEE, sequenceNumber: 0xffffffff}, opts)
+
+    let tx = new bitcore.Transaction()
+    for (let {txId, outputIndex} of outpoints) {
+      let output = this._getOutput(txId, outputIndex)
+      tx.from({
+        txId: txId,
+        outputIndex: outputIndex,
+        script: output.script,
+        satoshis: output.satoshis
+      })
+    }
+
+    for (let input of tx.inputs) {
+      input.sequenceNumber = opts.sequenceNumber
+    }
+
+    let value = _.sum(tx.inputs, (input) => input.output.satoshis) - opts.fee
+    let amount = Math.floor(value / opts.outputs)
+    for (let index = 0; index < opts.outputs; ++index) {
+      let satoshis = index === opts.outputs - 1 ? value - amount * index : amount
+      tx.to(this._address, satoshis)
+    }
+
+    return tx.sign(this._privKey)
+  }
+
+  /**
+   * @param {string} prevHash
+   * @param {number} height
+   * @param {bitcore.Transaction[]} txs
+   * @return {bitcore.Block}
+   */
+  _createBlock (prevHash, height, txs) {
+    let heightBuffer = new Buffer(4)
+    heightBuffer.writeUInt32LE(height, 0)
+    let extraNonce = new Buffer(4)
+    extraNonce.writeUInt32LE(this._generated++, 0)
+
+    let coinbase = new bitcore.Transaction()
+    coinbase.uncheckedAddInput(new bitcore.Transaction.Input({
+      prevTxId: ZERO_HASH,
+      outputIndex: 0xFFFFFFFF,
+      sequenceNumber: 0xFFFFFFFF,
+      script: bitcore.Script.empty().add(heightBuffer).add(extraNonce)
+    }))
+    coinbase.addOutput(new bitcore.Transaction.Output({
+      script: bitcore.Script.buildPublicKeyHashOut(this._address),
+      satoshis: BLOCK_SUBSIDY
+    }))
+
+    let transactions = [coinbase].concat(txs)
+    let header = {
+      version: 4,
+      prevHash: prevHash,
+      merkleRoot: ZERO_HASH,
+      time: GENESIS_TIME + height * BLOCK_INTERVAL,
+      bits: 0x207fffff,
+      nonce: 0
+    }
+
+    let merkleRoot = new bitcore.Block({header: header, transactions: transactions}).getMerkleRoot()
+    header.merkleRoot = merkleRoot
+    return new bitcore.Block({header: header, transactions: transactions})
+  }
+
+  /**
+   * Switch active chain to given block if it has more height
+   *
+   * @param {string} hash
+   */
+  _setTip (hash) {
+    let height = this._blocks[hash].height
+    if (height < this._chain.length) {
+      return
+    }
+
+    let chain = new Array(height + 1)
+    for (let current = hash; current !== ZERO_HASH;) {
+      let item = this._blocks[current]
+      chain[item.height] = current
+      current = util.encode(item.block.header.prevHash)
+    }
+
+    let index = _.findIndex(chain, (hash, height) => this._chain[height] !== hash)
+    let disconnected = this._chain.slice(index)
+    let connected = chain.slice(index)
+    this._chain = chain
+
+    // transactions from disconnected blocks back to mempool
+    let getTxs = (hashes) => {
+      return _.flatten(hashes.map((hash) => this._blocks[hash].block.transactions.slice(1)))
+    }
+    let connectedTxs = getTxs(connected)
+    let connectedTxIds = _.pluck(connectedTxs, 'id')
+    let returned = _.difference(_.pluck(getTxs(disconnected), 'id'), connectedTxIds)
+
+    this._mempool = _.difference(_.union(returned, this._mempool), connectedTxIds)
+    this._removeConflicts(connectedTxs)
+
+    setImmediate(() => {
+      if (this._notificationsConnected) {
+        this.emit('block', hash)
+      }
+    })
+  }
+
+  /**
+   * Generate blocks on top of parent, first block include given
+   *  transactions (mempool by default, if parent is the tip)
+   *
+   * @param {number} count
+   * @param {Object} [opts]
+   * @param {string} [opts.parent] hash of parent block, the tip by default
+   * @param {string[]} [opts.txIds]
+   * @return {string[]} hashes of generated blocks
+   */
+  generateBlocks (count, opts) {
+    let tip = _.last(this._chain) || ZERO_HASH
+    opts = _.extend({parent: tip}, opts)
+    if (opts.txIds === undefined) {
+      opts.txIds = opts.parent === tip ? this._mempool : []
+    }
+
+    let txs = util.toposort(opts.txIds.map((txId) => this._txs[txId]))
+    let parent = opts.parent
+    let hashes = []
+    for (let index = 0; index < count; ++index) {
+      let height = parent === ZERO_HASH ? 0 : this._blocks[parent].height + 1
+      let block = this._createBlock(parent, height, index === 0 ? txs : [])
+
+      this._blocks[block.hash] = {block: block, height: height}
+      for (let tx of block.transactions) {
+        this._txs[tx.id] = tx
+      }
+
+      parent = block.hash
+      hashes.push(block.hash)
+    }
+
+    this._setTip(parent)
+    return hashes
+  }
+}
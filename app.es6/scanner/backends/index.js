@@ -0,0 +1,7 @@
+import FakeBackend from './fake'
+import UpstreamsBackend from './upstreams'
+
+export default {
+  bitcoind: UpstreamsBackend,
+  fake: FakeBackend
+}
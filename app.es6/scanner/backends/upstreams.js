@@ -0,0 +1,367 @@
+import _ from 'lodash'
+import { EventEmitter } from 'events'
+import { mixin } from 'core-decorators'
+import ReadyMixin from 'ready-mixin'
+import PUtils from 'promise-useful-utils'
+
+import config from '../../lib/config'
+import errors from '../../lib/errors'
+import logger from '../../lib/logger'
+import BitcoindBackend from './bitcoind'
+
+const HEALTH_CHECK_INTERVAL = 5000
+
+// upstream is healthy only with score not less than HEALTHY_SCORE, failures
+//  decrease score faster than successful checks restore it
+const MAX_SCORE = 100
+const HEALTHY_SCORE = 50
+const SUCCESS_SCORE = 10
+const FAILURE_SCORE = 25
+
+/**
+ * @event UpstreamsBackend#connect
+ */
+
+/**
+ * @event UpstreamsBackend#block
+ * @param {string} [hash] not defined on switch of active upstream
+ */
+
+/**
+ * @event UpstreamsBackend#tx
+ * @param {string} txId
+ * @param {string} [rawTx]
+ */
+
+/**
+ * Several bitcoind nodes, requests and notifications served by active
+ *  upstream, which changed when it fails health checks
+ *
+ * @class UpstreamsBackend
+ * @extends events.EventEmitter
+ */
+@mixin(ReadyMixin)
+export default class UpstreamsBackend extends EventEmitter {
+  /**
+   * @constructor
+   * @param {Array.<{name: string, backend: Object}>} [upstreams] backends
+   *   created from config by default
+   */
+  constructor (upstreams) {
+    super()
+
+    if (upstreams === undefined) {
+      upstreams = this._createUpstreams()
+    }
+
+    this._maxLag = config.get('bitcoind.maxLag', 2)
+    this._healthCheckInterval = config.get('bitcoind.healthCheckInterval', HEALTH_CHECK_INTERVAL)
+    this._active = null
+    this._upstreams = upstreams.map(({name, backend}) => {
+      let upstream = {
+        name: name,
+        backend: backend,
+        ready: false,
+        health: {
+          healthy: false,
+          score: MAX_SCORE,
+          height: null,
+          hash: null,
+          latency: null,
+          synced: false,
+          consistent: true,
+          notifications: false,
+          lastError: null,
+          lastCheck: null
+        }
+      }
+
+      // notifications only from active upstream
+      upstream.backend.on('connect', () => {
+        if (this._active === upstream) {
+          this.emit('connect')
+        }
+      })
+      upstream.backend.on('block', (hash) => {
+        if (this._active === upstream) {
+          this.emit('block', hash)
+        }
+      })
+      upstream.backend.on('tx', (txId, rawTx) => {
+        if (this._active === upstream) {
+          this.emit('tx', txId, rawTx)
+        }
+      })
+
+      return upstream
+    })
+
+    PUtils.try(async () => {
+      // ready with first healthy upstream, others checked when ready
+      await new Promise((resolve, reject) => {
+        let pending = this._upstreams.length
+        for (let upstream of this._upstreams) {
+          upstream.backend.ready
+            .then(() => {
+              upstream.ready = true
+              return this._checkHealth()
+            }, (err) => this._onFailure(upstream, err))
+            .then(() => {
+              pending -= 1
+              if (this._active !== null) {
+                resolve()
+              } else if (pending === 0) {
+                reject(new errors.UpstreamsUnavailable())
+              }
+            })
+            .catch(reject)
+        }
+      })
+
+      PUtils.try(async () => {
+        while (true) {
+          await PUtils.delay(this._healthCheckInterval)
+          try {
+            await this._checkHealth()
+          } catch (err) {
+            logger.error(`UpstreamsBackend._checkHealth: ${err.stack}`)
+          }
+        }
+      })
+    })
+    .then(() => this._ready(null), (err) => this._ready(err))
+  }
+
+  /**
+   * @return {Array.<{name: string, backend: BitcoindBackend}>}
+   */
+  _createUpstreams () {
+    // single upstream from old config format
+    let upstreams = config.get('bitcoind.upstreams', null)
+    if (upstreams === null) {
+      upstreams = [{
+        name: 'default',
+        rpc: config.get('bitcoind.rpc'),
+        peer: config.get('bitcoind.peer'),
+        zmq: config.get('bitcoind.zmq'),
+        notifications: config.get('bitcoind.notifications')
+      }]
+    }
+
+    return upstreams.map((opts) => {
+      let name = opts.name || `${opts.rpc.host}:${opts.rpc.port}`
+      return {
+        name: name,
+        backend: new BitcoindBackend(_.extend({}, opts, {name: name}))
+      }
+    })
+  }
+
+  /**
+   * @param {Object} upstream
+   * @param {Error} err
+   */
+  _onFailure (upstream, err) {
+    logger.error(`Bitcoind upstream ${upstream.name}: ${err.message}`)
+
+    upstream.health.score = Math.max(upstream.health.score - FAILURE_SCORE, 0)
+    upstream.health.lastError = err.message
+    upstream.health.healthy = false
+
+    if (this._active === upstream) {
+      this._selectActive()
+    }
+  }
+
+  /**
+   * Request tip of every upstream, check that upstreams agree with the
+   *  best of them and select active
+   *
+   * @return {Promise}
+   */
+  async _checkHealth () {
+    let upstreams = _.filter(this._upstreams, 'ready')
+    await* upstreams.map(async (upstream) => {
+      let started = Date.now()
+      try {
+        let height = await upstream.backend.getBlockCount()
+        let hash = await upstream.backend.getBlockHash(height)
+
+        _.extend(upstream.health, {
+          score: Math.min(upstream.health.score + SUCCESS_SCORE, MAX_SCORE),
+          height: height,
+          hash: hash,
+          latency: Date.now() - started,
+          lastError: null
+        })
+      } catch (err) {
+        this._onFailure(upstream, err)
+      }
+
+      // notifications lost without new blocks and transactions
+      upstream.health.notifications = upstream.backend.isNotificationsConnected()
+      upstream.health.lastCheck = new Date().toISOString()
+    })
+
+    let available = upstreams.filter((upstream) => upstream.health.lastError === null)
+    let best = _.max(available, (upstream) => upstream.health.height)
+
+    await* available.map(async (upstream) => {
+      let health = upstream.health
+      health.synced = health.height >= best.health.height - this._maxLag
+
+      try {
+        let hash = health.height === best.health.height
+          ? best.health.hash
+          : await best.backend.getBlockHash(health.height)
+
+        if (health.consistent && hash !== health.hash) {
+          logger.warn(`Bitcoind upstream ${upstream.name} disagree with ${best.name} at height ${health.height}`)
+        }
+
+        health.consistent = hash === health.hash
+      } catch (err) {
+        logger.error(`Bitcoind upstream ${best.name}: ${err.message}`)
+      }
+
+      health.healthy = health.lastError === null &&
+                       health.score >= HEALTHY_SCORE &&
+                       health.synced &&
+                       health.consistent &&
+                       health.notifications
+    })
+
+    this._selectActive()
+  }
+
+  /**
+   * Keep active upstream while it healthy, otherwise switch to healthy
+   *  upstream with best score
+   */
+  _selectActive () {
+    if (this._active !== null && this._active.health.healthy) {
+      return
+    }
+
+    let healthy = this._upstreams.filter((upstream) => upstream.health.healthy)
+    if (healthy.length === 0) {
+      if (this._active !== null) {
+        logger.error('All bitcoind upstreams are unhealthy')
+      }
+
+      return
+    }
+
+    let previous = this._active
+    this._active = _.max(healthy, (upstream) => upstream.health.score)
+    if (previous === null) {
+      return logger.info(`Bitcoind upstream ${this._active.name} is active`)
+    }
+
+    logger.warn(`Switch bitcoind upstream from ${previous.name} to ${this._active.name}`)
+
+    // notifications from previous upstream could be lost
+    this.emit('connect')
+    this.emit('block')
+  }
+
+  /**
+   * Call method on active upstream, other upstreams tried on connection
+   *  errors (errors returned by bitcoind have numeric code)
+   *
+   * @param {string} method
+   * @param {Array.<*>} args
+   * @return {Promise<*>}
+   */
+  async _call (method, args) {
+    let upstreams = _.sortBy(_.filter(this._upstreams, 'ready'), (upstream) => {
+      return upstream === this._active ? -Infinity : -upstream.health.score
+    })
+
+    let lastError
+    for (let upstream of upstreams) {
+      try {
+        return await upstream.backend[method](...args)
+      } catch (err) {
+        if (_.isNumber(err.code)) {
+          throw err
+        }
+
+        this._onFailure(upstream, err)
+        lastError = err
+      }
+    }
+
+    throw lastError || new errors.UpstreamsUnavailable()
+  }
+
+  /**
+   * @return {Object[]}
+   */
+  getUpstreams () {
+    return this._upstreams.map((upstream) => {
+      return _.extend({name: upstream.name, active: upstream === this._active}, upstream.health)
+    })
+  }
+
+  /**
+   * @return {Promise<Object>}
+   */
+  getInfo () {
+    return this._call('getInfo', [])
+  }
+
+  /**
+   * @return {Promise<number>}
+   */
+  getBlockCount () {
+    return this._call('getBlockCount', [])
+  }
+
+  /**
+   * @param {number} height
+   * @return {Promise<string>}
+   */
+  getBlockHash (height) {
+    return this._call('getBlockHash', [height])
+  }
+
+  /**
+   * @param {string} hash
+   * @return {Promise<string>} raw block
+   */
+  getBlock (hash) {
+    return this._call('getBlock', [hash])
+  }
+
+  /**
+   * @param {string} txId
+   * @return {Promise<string>} raw transaction
+   */
+  getTx (txId) {
+    return this._call('getTx', [txId])
+  }
+
+  /**
+   * @return {Promise<string[]>}
+   */
+  getMempool () {
+    return this._call('getMempool', [])
+  }
+
+  /**
+   * @param {string} txHex
+   * @return {Promise}
+   */
+  sendTx (txHex) {
+    return this._call('sendTx', [txHex])
+  }
+
+  /**
+   * @param {number} blocks
+   * @return {Promise<number>}
+   */
+  estimateFee (blocks) {
+    return this._call('estimateFee', [blocks])
+  }
+}
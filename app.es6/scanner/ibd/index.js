@@ -0,0 +1,387 @@
+import _ from 'lodash'
+import { EventEmitter } from 'events'
+import { fork } from 'child_process'
+import os from 'os'
+import path from 'path'
+import { from as copyFrom } from 'pg-copy-streams'
+import ElapsedTime from 'elapsed-time'
+import PUtils from 'promise-useful-utils'
+
+import config from '../../lib/config'
+import logger from '../../lib/logger'
+import SQL from '../../lib/sql'
+import { parseBlock } from './worker'
+
+// pg-copy-streams works only with pure javascript client
+let pg = require('pg')
+
+// tables which non-primary indices dropped while initial block download
+const DEFERRED_TABLES = ['transactions', 'history', 'opreturns']
+
+// required for spending outputs while initial block download
+const KEPT_INDEX = `CREATE INDEX ON history (otxid, oindex)`
+
+/**
+ * Encode row to COPY text format, bytea expected as hex strings
+ *
+ * @param {Array.<*>} values
+ * @param {boolean[]} bytea
+ * @return {string}
+ */
+function encodeRow (values, bytea) {
+  return values.map((value, index) => {
+    if (value === null) {
+      return '\\N'
+    }
+
+    return bytea[index] ? `\\\\x${value}` : String(value)
+  }).join('\t') + '\n'
+}
+
+/**
+ * Pool of child processes for parsing blocks
+ *
+ * @class WorkersPool
+ */
+class WorkersPool {
+  /**
+   * @constructor
+   * @param {number} size
+   */
+  constructor (size) {
+    this._network = config.get('chromanode.network')
+    this._closed = false
+    this._workers = []
+    this._next = 0
+    this._requestId = 0
+    this._requests = {} // id -> {resolve, reject}
+
+    for (let index = 0; index < size; ++index) {
+      // config and network initialized in worker same as in scanner
+      let worker = fork(path.join(__dirname, 'worker.js'), process.argv.slice(2))
+      worker.on('message', (msg) => {
+        let deferred = this._requests[msg.id]
+        if (deferred === undefined) {
+          return
+        }
+
+        delete this._requests[msg.id]
+
+        if (msg.error !== undefined) {
+          return deferred.reject(new Error(msg.error))
+        }
+
+        deferred.resolve(msg.result)
+      })
+      worker.on('exit', (code) => {
+        this._rejectAll(new Error(`IBD worker exited with code ${code}`))
+      })
+      this._workers.push(worker)
+    }
+  }
+
+  /**
+   * @param {Error} err
+   */
+  _rejectAll (err) {
+    for (let id of _.keys(this._requests)) {
+      this._requests[id].reject(err)
+      delete this._requests[id]
+    }
+  }
+
+  /**
+   * @param {string} rawBlock
+   * @param {number} height
+   * @return {Promise<Object>}
+   */
+  parse (rawBlock, height) {
+    if (this._closed) {
+      return Promise.reject(new Error('IBD workers pool closed'))
+    }
+
+    if (this._workers.length === 0) {
+      return PUtils.try(() => parseBlock(rawBlock, height, this._network))
+    }
+
+    return new Promise((resolve, reject) => {
+      let id = this._requestId++
+      this._requests[id] = {resolve: resolve, reject: reject}
+
+      let worker = this._workers[this._next]
+      this._next = (this._next + 1) % this._workers.length
+      worker.send({id: id, rawBlock: rawBlock, height: height, network: this._network})
+    })
+  }
+
+  /**
+   * Stop workers, not finished requests are rejected
+   */
+  close () {
+    this._closed = true
+    for (let worker of this._workers) {
+      worker.disconnect()
+    }
+    this._workers = []
+
+    this._rejectAll(new Error('IBD workers pool closed'))
+  }
+}
+
+/**
+ * @event InitialBlockDownload#latest
+ * @param {{hash: string, height: number}} latest
+ */
+
+/**
+ * Bulk import of blocks far from the tip: blocks are downloaded ahead,
+ *  parsed in child processes and written with COPY, indices are deferred
+ *  until download finished
+ *
+ * @class InitialBlockDownload
+ * @extends events.EventEmitter
+ */
+export default class InitialBlockDownload extends EventEmitter {
+  /**
+   * @constructor
+   * @param {Storage} storage
+   * @param {Network} network
+   * @param {Service} service
+   */
+  constructor (storage, network, service) {
+    super()
+
+    this._storage = storage
+    this._network = network
+    this._service = service
+
+    this._batchSize = config.get('chromanode.ibd.batchSize', 100)
+    this._concurrency = config.get('chromanode.ibd.concurrency', 4)
+    this._workers = config.get('chromanode.ibd.workers', os.cpus().length)
+  }
+
+  /**
+   * @return {Promise<boolean>}
+   */
+  async isAllowed () {
+    let {rowCount} = await this._storage.executeQuery(
+      SQL.select.transactions.unconfirmed)
+
+    // history of unconfirmed transactions can't be updated by COPY, even
+    //  if download was interrupted mempool can be imported after restart
+    return rowCount === 0
+  }
+
+  /**
+   * @param {number} from
+   * @param {number} to
+   * @param {WorkersPool} pool
+   * @return {Promise<Object[]>}
+   */
+  _fetchBatch (from, to, pool) {
+    return PUtils.map(_.range(from, to + 1), async (height) => {
+      let rawBlock = await this._network.getRawBlock(height)
+      return await pool.parse(rawBlock, height)
+    }, {concurrency: this._concurrency})
+  }
+
+  /**
+   * @param {pg.Client} client
+   * @param {string} query
+   * @param {Array.<Array.<*>>} rows
+   * @param {boolean[]} bytea
+   * @return {Promise}
+   */
+  _copy (client, query, rows, bytea) {
+    return new Promise((resolve, reject) => {
+      let stream = client.query(copyFrom(query))
+      stream.on('end', resolve)
+      stream.on('error', reject)
+
+      for (let row of rows) {
+        stream.write(encodeRow(row, bytea))
+      }
+      stream.end()
+    })
+  }
+
+  /**
+   * Write blocks with COPY, every block journaled and notified in same
+   *  transaction (transactions and addresses are not notified)
+   *
+   * @param {pg.Client} client
+   * @param {Object[]} blocks
+   * @return {Promise}
+   */
+  async _writeBatch (client, blocks) {
+    let rows = {blocks: [], transactions: [], history: [], inputs: [], opreturns: []}
+    for (let block of blocks) {
+      let height = block.height
+      rows.blocks.push([height, block.hash, block.header, block.txIds.join('')])
+      for (let [txId, tx] of block.transactions) {
+        rows.transactions.push([txId, height, tx])
+      }
+      for (let output of block.outputs) {
+        rows.history.push(output.concat(height))
+      }
+      for (let [otxId, oindex, itxId] of block.inputs) {
+        rows.inputs.push([otxId, oindex, itxId, height])
+      }
+      for (let opreturn of block.opreturns) {
+        rows.opreturns.push([opreturn[0], opreturn[1], height, opreturn[2]])
+      }
+    }
+
+    await client.queryAsync('BEGIN')
+    try {
+      await this._copy(client, SQL.ibd.copy.blocks, rows.blocks, [false, true, true, true])
+      await this._copy(client, SQL.ibd.copy.transactions, rows.transactions, [true, false, true])
+      await this._copy(client, SQL.ibd.copy.history, rows.history, [false, true, false, false, true, true, false])
+      await this._copy(client, SQL.ibd.copy.opreturns, rows.opreturns, [true, false, false, true])
+
+      await client.queryAsync(SQL.ibd.createInputs)
+      await this._copy(client, SQL.ibd.copy.inputs, rows.inputs, [true, false, true, false])
+      await client.queryAsync(SQL.ibd.spendInputs)
+
+      for (let block of blocks) {
+        await this._service.broadcastBlock(block.hash, block.height, {client: client})
+        await this._service.addBlock(block.hash, {client: client})
+      }
+      await this._service.pruneJournal({client: client})
+
+      await client.queryAsync('COMMIT')
+    } catch (err) {
+      logger.error('Rolling back transaction due to an error')
+      await client.queryAsync('ROLLBACK')
+      throw err
+    }
+  }
+
+  /**
+   * @param {pg.Client} client
+   * @return {Promise}
+   */
+  async _dropIndices (client) {
+    let {rows} = await client.queryAsync(SQL.ibd.indices, [DEFERRED_TABLES])
+    for (let row of rows) {
+      let kept = row.table === 'history' &&
+                 _.endsWith(row.definition, 'USING btree (otxid, oindex)')
+      if (!kept) {
+        await client.queryAsync(`DROP INDEX ${row.name}`)
+      }
+    }
+  }
+
+  /**
+   * @return {Promise}
+   */
+  async _deferIndices () {
+    let {rowCount} = await this._storage.executeQuery(SQL.select.info.value, ['ibd'])
+    if (rowCount === 1) {
+      return
+    }
+
+    let stopwatch = ElapsedTime.new().start()
+    await this._storage.executeTransaction(async (client) => {
+      await this._dropIndices(client)
+      await client.queryAsync(SQL.insert.info.row, ['ibd', new Date().toISOString()])
+    })
+    logger.info(`IBD: indices dropped, elapsed time: ${stopwatch.getValue()}`)
+  }
+
+  /**
+   * Create indices dropped by interrupted or finished download
+   *
+   * @return {Promise}
+   */
+  async restoreIndices () {
+    let {rowCount} = await this._storage.executeQuery(SQL.select.info.value, ['ibd'])
+    if (rowCount === 0) {
+      return
+    }
+
+    let stopwatch = ElapsedTime.new().start()
+    logger.info('IBD: creating indices...')
+
+    await this._storage.executeTransaction(async (client) => {
+      await this._dropIndices(client)
+
+      let tables = new RegExp(`^CREATE INDEX ON (${DEFERRED_TABLES.join('|')}) `)
+      for (let query of SQL.create.indices) {
+        if (tables.test(query) && query !== KEPT_INDEX) {
+          await client.queryAsync(query)
+        }
+      }
+
+      await client.queryAsync(SQL.delete.info.byKey, ['ibd'])
+    })
+
+    logger.info(`IBD: indices created, elapsed time: ${stopwatch.getValue()}`)
+  }
+
+  /**
+   * Import blocks up to height
+   *
+   * @param {{hash: string, height: number}} latest
+   * @param {number} height
+   * @return {Promise<{hash: string, height: number}>}
+   */
+  async run (latest, height) {
+    let stopwatch = ElapsedTime.new().start()
+    logger.info(`IBD: import blocks from ${latest.height + 1} to ${height}`)
+
+    await this._deferIndices()
+
+    let pool = new WorkersPool(this._workers)
+    let client = PUtils.promisifyAll(new pg.Client(config.get('postgresql.url')))
+    let pBatch = null
+    try {
+      await client.connectAsync()
+
+      let fetchNext = (from) => {
+        if (from > height) {
+          return null
+        }
+
+        return this._fetchBatch(from, Math.min(from + this._batchSize - 1, height), pool)
+      }
+
+      pBatch = fetchNext(latest.height + 1)
+      while (pBatch !== null) {
+        let batchStopwatch = ElapsedTime.new().start()
+        let blocks = await pBatch
+        let last = _.last(blocks)
+
+        // download next batch while current is written
+        pBatch = fetchNext(last.height + 1)
+
+        blocks.forEach((block, index) => {
+          let prevHash = index === 0 ? latest.hash : blocks[index - 1].hash
+          if (block.prevHash !== prevHash) {
+            throw new Error(`IBD: block ${block.hash} (${block.height}) not follow ${prevHash}`)
+          }
+        })
+
+        await this._writeBatch(client, blocks)
+
+        latest = {hash: last.hash, height: last.height}
+        logger.verbose(`IBD: import blocks #${blocks[0].height}-${last.height}, elapsed time: ${batchStopwatch.getValue()}`)
+
+        this.emit('latest', latest)
+      }
+    } finally {
+      // batch prefetched before error not required anymore
+      if (pBatch !== null) {
+        pBatch.catch(_.noop)
+      }
+
+      client.end()
+      pool.close()
+    }
+
+    await this.restoreIndices()
+
+    logger.info(`IBD: finished at ${latest.hash}:${latest.height}, elapsed time: ${stopwatch.getValue()}`)
+    return latest
+  }
+}
@@ -0,0 +1,78 @@
+import bitcore from 'bitcore-lib'
+
+import { ZERO_HASH } from '../../lib/const'
+import util from '../../lib/util'
+
+/**
+ * Rows of block for bulk import, bytea columns as hex
+ *
+ * @param {string} rawBlock
+ * @param {number} height
+ * @param {string} networkName
+ * @return {Object}
+ */
+export function parseBlock (rawBlock, height, networkName) {
+  let network = bitcore.Networks.get(networkName)
+  let block = new bitcore.Block(new Buffer(rawBlock, 'hex'))
+
+  let result = {
+    height: height,
+    hash: block.hash,
+    prevHash: util.encode(block.header.prevHash),
+    header: block.header.toString(),
+    txIds: [],
+    transactions: [], // [txid, tx]
+    outputs: [], // [address, otxid, oindex, ovalue, oscript, scripthash]
+    inputs: [], // [otxid, oindex, itxid]
+    opreturns: [] // [txid, vout, payload]
+  }
+
+  for (let tx of block.transactions) {
+    let txId = tx.id
+    result.txIds.push(txId)
+    result.transactions.push([txId, tx.toString()])
+
+    tx.inputs.forEach((input, index) => {
+      let prevTxId = input.prevTxId.toString('hex')
+      if (index === 0 &&
+          input.outputIndex === 0xFFFFFFFF &&
+          prevTxId === ZERO_HASH) {
+        return
+      }
+
+      result.inputs.push([prevTxId, input.outputIndex, txId])
+    })
+
+    tx.outputs.forEach((output, index) => {
+      let script = output._scriptBuffer.toString('hex')
+      let scriptHash = util.getScriptHash(output._scriptBuffer)
+
+      // outputs without addresses indexed only by script hash
+      let addresses = util.getAddresses(output.script, network)
+      for (let address of (addresses.length === 0 ? [null] : addresses)) {
+        result.outputs.push([address, txId, index, output.satoshis, script, scriptHash])
+      }
+
+      let payload = util.getOpReturnData(output.script)
+      if (payload !== null) {
+        result.opreturns.push([txId, index, payload.toString('hex')])
+      }
+    })
+  }
+
+  return result
+}
+
+// run as child process of InitialBlockDownload with scanner arguments
+if (require.main === module) {
+  require('../../lib/init')(() => {
+    process.on('message', (msg) => {
+      try {
+        let result = parseBlock(msg.rawBlock, msg.height, msg.network)
+        process.send({id: msg.id, result: result})
+      } catch (err) {
+        process.send({id: msg.id, error: err.stack})
+      }
+    })
+  })
+}
@@ -11,16 +11,37 @@ import Messages from '../lib/messages'
 import Network from './network'
 import Service from './service'
 import util from '../lib/util'
-import { VERSION } from '../lib/const'
+import { SCANNER_LOCK_ID, VERSION } from '../lib/const'
 import Sync from './sync'
+import Verifier from './verify'
 import SQL from '../lib/sql'
 
 let sha256sha256 = bitcore.crypto.Hash.sha256sha256
 
 /**
+ * @param {Object} [opts]
+ * @param {boolean} [opts.migrate=false] only apply storage migrations
+ * @param {boolean} [opts.dryRun=false] only show storage migrations
+ * @param {?Object} [opts.verify=null] only verify stored blocks (options for Verifier.run)
  * @return {Promise}
  */
-export default async function () {
+export default async function (opts) {
+  opts = _.extend({migrate: false, dryRun: false, verify: null}, opts)
+
+  if (opts.migrate) {
+    let storage = new Storage({migrate: true, dryRun: opts.dryRun})
+    await storage.ready
+    logger.warn(opts.dryRun ? 'Dry run finished' : 'Migration finished')
+    process.exit(0)
+  }
+
+  if (opts.verify !== null) {
+    let storage = new Storage()
+    await storage.ready
+    let mismatches = await new Verifier(storage).run(opts.verify)
+    process.exit(mismatches === 0 ? 0 : 1)
+  }
+
   let status = {
     version: VERSION,
     network: config.get('chromanode.network'),
@@ -37,25 +58,44 @@ export default async function () {
       latest: {
         hash: null,
         height: null
-      }
+      },
+      upstreams: null
     }
   }
   let sendTxDeferreds = {}
 
   let storage = new Storage()
   let messages = new Messages({storage: storage})
-  let service = new Service(messages)
+  let service = new Service(messages, storage)
   let network = new Network()
   await* _.pluck([storage, messages, service, network], 'ready')
 
+  // verify with repair refused while lock held
+  if (!(await storage.tryLock(SCANNER_LOCK_ID))) {
+    logger.warn('Scanner lock held by other process (other scanner or verify with repair), waiting...')
+    do {
+      await PUtils.delay(5000)
+    } while (!(await storage.tryLock(SCANNER_LOCK_ID)))
+  }
+
   // create function for broadcasting status
   let broadcastStatus = _.debounce(() => {
     service.broadcastStatus(status)
   }, 500)
 
-  // update bitcoind info in status every 5s
+  // update bitcoind info and upstreams health in status every 5s
   setImmediate(async () => {
     while (true) {
+      // latency and time of check are changed every time
+      let upstreams = network.getUpstreams()
+      let getShortHealth = (upstreams) => {
+        return _.map(upstreams, (upstream) => _.omit(upstream, 'latency', 'lastCheck'))
+      }
+      if (!_.isEqual(getShortHealth(upstreams), getShortHealth(status.bitcoind.upstreams))) {
+        broadcastStatus()
+      }
+      status.bitcoind.upstreams = upstreams
+
       try {
         let info = await network.getBitcoindInfo()
         let old = status.bitcoind
@@ -162,6 +202,21 @@ export default async function () {
   }
   service.on('sendTx', onSendTx)
 
+  // setup listener for event estimateFee from services
+  service.on('estimateFee', async (id, blocks) => {
+    let feerate = null
+    let _err = null
+
+    try {
+      feerate = await network.estimateFee(blocks)
+    } catch (err) {
+      logger.error(`estimateFee: (${blocks}) ${err.stack}`)
+      _err = {message: err.message}
+    }
+
+    await service.estimateFeeResponse(id, feerate, _err)
+  })
+
   // get all waiting ids for sending transacitons
   let {rows} = await storage.executeQuery(SQL.select.newTxs.all)
   for (let row of rows) {
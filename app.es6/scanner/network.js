@@ -3,13 +3,11 @@ import { EventEmitter } from 'events'
 import { mixin } from 'core-decorators'
 import ReadyMixin from 'ready-mixin'
 import bitcore from 'bitcore-lib'
-import p2p from 'bitcore-p2p'
-import RpcClient from 'bitcoind-rpc-client'
 
 import config from '../lib/config'
 import errors from '../lib/errors'
 import logger from '../lib/logger'
-import util from '../lib/util'
+import backends from './backends'
 
 /**
  * @event Network#connect
@@ -23,6 +21,7 @@ import util from '../lib/util'
 /**
  * @event Network#tx
  * @param {string} txId
+ * @param {bitcore.Transaction} [tx] transaction if received with notification
  */
 
 /**
@@ -32,177 +31,97 @@ import util from '../lib/util'
 export default class Network extends EventEmitter {
   /**
    * @constructor
+   * @param {(UpstreamsBackend|FakeBackend)} [backend] created from config by default
+   * @throws {errors.InvalidBackend}
    */
-  constructor () {
+  constructor (backend) {
     super()
 
-    Promise.all([
-      this._initBitcoind(),
-      this._initTrustedPeer()
-    ])
-    .then(() => this._ready(null), (err) => this._ready(err))
-
-    this.ready
-      .then(() => logger.info('Network ready ...'))
-  }
-
-  /**
-   * @return {Promise}
-   */
-  async _initBitcoind () {
-    // create rpc client
-    this._bitcoind = new RpcClient({
-      host: config.get('bitcoind.rpc.host'),
-      port: config.get('bitcoind.rpc.port'),
-      user: config.get('bitcoind.rpc.user'),
-      pass: config.get('bitcoind.rpc.pass'),
-      ssl: config.get('bitcoind.rpc.protocol') === 'https',
-      concurrency: 512 // Otherwise, we risk get EMFILE error
-    })
-
-    // request info
-    let {result} = await this._bitcoind.getInfo()
+    if (backend === undefined) {
+      let name = config.get('bitcoind.backend', 'bitcoind')
+      if (backends[name] === undefined) {
+        throw new errors.InvalidBackend(name)
+      }
 
-    // check network
-    let bitcoindNetwork = result.testnet ? 'testnet' : 'livenet'
-    let chromanodeNetwork = config.get('chromanode.network')
-    if (bitcoindNetwork !== chromanodeNetwork &&
-        !(bitcoindNetwork === 'livenet' && chromanodeNetwork === 'regtest')) {
-      throw new errors.InvalidBitcoindNetwork(bitcoindNetwork, chromanodeNetwork)
+      backend = new backends[name]()
     }
 
-    // show info
-    logger.info(
-      `Bitcoind checked. (version ${result.version}, bestHeight: ${result.blocks}, connections: ${result.connections})`)
-  }
-
-  /**
-   */
-  _tryConnectToTrusted () {
-    let onCallback = (err) => {
-      this._peer.removeListener('error', onCallback)
-      this._peer.removeListener('connect', onCallback)
-
-      if (err) {
-        logger.error(`Error on connecting to bitcoind: ${err.stack}`)
-        // error also emit disconnect, that call _tryConnectToTrusted
+    this._backend = backend
+    this._backend.on('connect', () => this.emit('connect'))
+    this._backend.on('block', (hash) => this.emit('block', hash))
+    this._backend.on('tx', (txId, rawTx) => {
+      if (rawTx === undefined) {
+        return this.emit('tx', txId)
       }
-    }
-
-    this._peer.once('error', onCallback)
-    this._peer.once('connect', onCallback)
-    this._peer.connect()
-  }
-
-  /**
-   * @return {Promise}
-   */
-  _initTrustedPeer () {
-    // create trusted peer
-    this._peer = new p2p.Peer({
-      host: config.get('bitcoind.peer.host'),
-      port: config.get('bitcoind.peer.port'),
-      network: config.get('chromanode.network')
-    })
-
-    // inv event
-    this._peer.on('inv', (message) => {
-      let names = []
-
-      for (let inv of message.inventory) {
-        // store inv type name
-        names.push(p2p.Inventory.TYPE_NAME[inv.type])
 
-        // store inv if tx type
-        if (inv.type === p2p.Inventory.TYPE.TX) {
-          this.emit('tx', util.encode(inv.hash))
-        }
-
-        // emit block if block type
-        if (inv.type === p2p.Inventory.TYPE.BLOCK) {
-          this.emit('block', util.encode(inv.hash))
-        }
+      let tx
+      try {
+        tx = new bitcore.Transaction(new Buffer(rawTx, 'hex'))
+      } catch (err) {
+        return logger.error(`Drop malformed tx ${txId}: ${err.message}`)
       }
 
-      logger.verbose(
-        `Receive inv (${names.join(', ')}) message from peer ${this._peer.host}:${this._peer.port}`)
+      this.emit('tx', txId, tx)
     })
 
-    // connect event
-    this._peer.on('connect', () => {
-      logger.info(`Connected to peer ${this._peer.host}:${this._peer.port}`)
-    })
+    this._backend.ready
+      .then(() => this._ready(null), (err) => this._ready(err))
 
-    // disconnect event
-    this._peer.on('disconnect', () => {
-      logger.info(`Disconnected from peer ${this._peer.host}:${this._peer.port}`)
-      setTimeout(::this._tryConnectToTrusted, 5000)
-    })
-
-    // ready event
-    this._peer.on('ready', () => {
-      logger.info(
-        `Peer ${this._peer.host}:${this._peer.port} is ready (version: ${this._peer.version}, subversion: ${this._peer.subversion}, bestHeight: ${this._peer.bestHeight})`)
-      this.emit('connect')
-    })
-
-    // waiting peer ready
-    return new Promise((resolve, reject) => {
-      let onCallback = (err) => {
-        this._peer.removeListener('error', onCallback)
-        this._peer.removeListener('ready', onCallback)
-
-        if (err) {
-          return reject(err)
-        }
-
-        resolve()
-      }
+    this.ready
+      .then(() => logger.info('Network ready ...'))
+  }
 
-      this._peer.once('error', onCallback)
-      this._peer.once('ready', onCallback)
+  /**
+   * @return {?Object[]} health of upstreams, null if backend have no upstreams
+   */
+  getUpstreams () {
+    if (!_.isFunction(this._backend.getUpstreams)) {
+      return null
+    }
 
-      // try connect
-      this._tryConnectToTrusted()
-    })
+    return this._backend.getUpstreams()
   }
 
   /**
    * @return {Promise<Object>}
    */
-  async getBitcoindInfo () {
-    let {result} = await this._bitcoind.getInfo()
-    return result
+  getBitcoindInfo () {
+    return this._backend.getInfo()
   }
 
   /**
    * @return {Promise<number>}
    */
-  async getBlockCount () {
-    let {result} = await this._bitcoind.getBlockCount()
-    return result
+  getBlockCount () {
+    return this._backend.getBlockCount()
   }
 
   /**
    * @param {number} height
    * @return {Promise<string>}
    */
-  async getBlockHash (height) {
-    let {result} = await this._bitcoind.getBlockHash(height)
-    return result
+  getBlockHash (height) {
+    return this._backend.getBlockHash(height)
   }
 
   /**
    * @param {(number|string)} hash
-   * @return {Promise<bitcore.Block>}
+   * @return {Promise<string>}
    */
-  async getBlock (hash) {
+  async getRawBlock (hash) {
     if (_.isNumber(hash)) {
       hash = await this.getBlockHash(hash)
     }
 
-    let {result} = await this._bitcoind.getBlock(hash, false)
-    let rawBlock = new Buffer(result, 'hex')
+    return await this._backend.getBlock(hash)
+  }
+
+  /**
+   * @param {(number|string)} hash
+   * @return {Promise<bitcore.Block>}
+   */
+  async getBlock (hash) {
+    let rawBlock = new Buffer(await this.getRawBlock(hash), 'hex')
     return new bitcore.Block(rawBlock)
   }
 
@@ -220,8 +139,7 @@ export default class Network extends EventEmitter {
    * @return {Promise<bitcore.Transaction>}
    */
   async getTx (txId) {
-    let {result} = await this._bitcoind.getRawTransaction(txId)
-    let rawTx = new Buffer(result, 'hex')
+    let rawTx = new Buffer(await this._backend.getTx(txId), 'hex')
     return new bitcore.Transaction(rawTx)
   }
 
@@ -229,15 +147,22 @@ export default class Network extends EventEmitter {
    * @param {string} txHex
    * @return {Promise}
    */
-  async sendTx (txHex) {
-    await this._bitcoind.sendRawTransaction(txHex)
+  sendTx (txHex) {
+    return this._backend.sendTx(txHex)
+  }
+
+  /**
+   * @param {number} blocks
+   * @return {Promise<number>} BTC per kilobyte, -1 if not enough data
+   */
+  estimateFee (blocks) {
+    return this._backend.estimateFee(blocks)
   }
 
   /**
    * @return {Promise<string[]>}
    */
-  async getMempoolTxs () {
-    let {result} = await this._bitcoind.getRawMemPool()
-    return result
+  getMempoolTxs () {
+    return this._backend.getMempool()
   }
 }
@@ -4,7 +4,17 @@ import PUtils from 'promise-useful-utils'
 import { mixin } from 'core-decorators'
 import ReadyMixin from 'ready-mixin'
 
+import config from '../lib/config'
 import logger from '../lib/logger'
+import payloads from '../lib/payloads'
+import SQL from '../lib/sql'
+
+// webhook events for journal events
+const WEBHOOK_EVENTS = {
+  block: 'new-block',
+  tx: 'tx',
+  address: 'address'
+}
 
 /**
  * @event Service#sendTx
@@ -12,6 +22,12 @@ import logger from '../lib/logger'
  * @param {string} rawTx
  */
 
+/**
+ * @event Service#estimateFee
+ * @param {string} id
+ * @param {number} blocks
+ */
+
 /**
  * @class Service
  * @extends EventEmitter
@@ -20,17 +36,22 @@ import logger from '../lib/logger'
 export default class Service extends EventEmitter {
   /**
    * @param {Messages} messages
+   * @param {Storage} storage
    */
-  constructor (messages) {
+  constructor (messages, storage) {
     super()
 
     this.messages = messages
+    this._storage = storage
 
     PUtils.try(async () => {
       await this.messages.ready
       await this.messages.listen('sendtx', (payload) => {
         this.emit('sendTx', payload.id)
       })
+      await this.messages.listen('estimatefee', (payload) => {
+        this.emit('estimateFee', payload.id, payload.blocks)
+      })
     })
     .then(() => this._ready(null), (err) => this._ready(err))
 
@@ -54,6 +75,110 @@ export default class Service extends EventEmitter {
     }, opts)
   }
 
+  /**
+   * @param {string} id
+   * @param {?number} feerate
+   * @param {?Object} err
+   * @param {Object} [opts]
+   * @param {pg.Client} [opts.client]
+   * @return {Promise}
+   */
+  estimateFeeResponse (id, feerate, err, opts) {
+    return this.messages.notify('estimatefeeresponse', {
+      id: id,
+      status: err === null ? 'success' : 'fail',
+      feerate: feerate,
+      message: escape(_.get(err, 'message'))
+    }, opts)
+  }
+
+  /**
+   * Save notification to events journal and enqueue webhook deliveries
+   *
+   * @param {string} type
+   * @param {?string} key
+   * @param {Object} payload
+   * @param {Object} [opts]
+   * @param {pg.Client} [opts.client]
+   * @return {Promise<number>} sequence number of event
+   */
+  _journal (type, key, payload, opts) {
+    let json = JSON.stringify(payload)
+    let execute = ::this._storage.executeTransaction
+    if (_.has(opts, 'client')) {
+      execute = async (fn) => fn(opts.client)
+    }
+
+    return execute(async (client) => {
+      // order of events defined by BIGSERIAL id, journal read by id
+      let {rows} = await client.queryAsync(
+        SQL.insert.events.row, [type, key, json])
+      let seq = parseInt(rows[0].id, 10)
+
+      await this._enqueueWebhooks(client, type, key, _.extend({seq: seq}, payload))
+      return seq
+    })
+  }
+
+  /**
+   * Enqueue deliveries for webhooks subscribed to journal event, new block
+   *  also enqueue `confirmations` deliveries for transactions which reached
+   *  required number of confirmations
+   *
+   * @param {pg.Client} client
+   * @param {string} type
+   * @param {?string} key
+   * @param {Object} payload
+   * @return {Promise}
+   */
+  async _enqueueWebhooks (client, type, key, payload) {
+    await client.queryAsync(SQL.insert.webhookDeliveries.byKey, [
+      WEBHOOK_EVENTS[type],
+      JSON.stringify(payloads.v2[type](payload)),
+      key
+    ])
+
+    if (type !== 'block') {
+      return
+    }
+
+    let {rows} = await client.queryAsync(
+      SQL.select.webhooks.confirmed, [payload.height])
+    for (let row of rows) {
+      let confirmed = {
+        txid: row.txid.toString('hex'),
+        blockHeight: row.height,
+        confirmations: payload.height - row.height + 1
+      }
+      await client.queryAsync(SQL.insert.webhookDeliveries.row, [
+        row.id,
+        'confirmations',
+        JSON.stringify(confirmed)
+      ])
+      await client.queryAsync(SQL.update.webhooks.notified, [row.id])
+    }
+  }
+
+  /**
+   * Remove old events from journal
+   *
+   * @param {Object} [opts]
+   * @param {pg.Client} [opts.client]
+   * @return {Promise}
+   */
+  pruneJournal (opts) {
+    let execute = ::this._storage.executeTransaction
+    if (_.has(opts, 'client')) {
+      execute = async (fn) => fn(opts.client)
+    }
+
+    return execute((client) => {
+      return client.queryAsync(SQL.delete.events.old, [
+        config.get('chromanode.journalSize', 100000)
+      ])
+    })
+  }
+
   /**
    * @param {string} hash
    * @param {number} height
@@ -61,11 +186,10 @@ export default class Service extends EventEmitter {
    * @param {pg.Client} [opts.client]
    * @return {Promise}
    */
-  broadcastBlock (hash, height, opts) {
-    return this.messages.notify('broadcastblock', {
-      hash: hash,
-      height: height
-    }, opts)
+  async broadcastBlock (hash, height, opts) {
+    let payload = {hash: hash, height: height}
+    payload.seq = await this._journal('block', null, payload, opts)
+    return await this.messages.notify('broadcastblock', payload, opts)
   }
 
   /**
@@ -76,11 +200,23 @@ export default class Service extends EventEmitter {
    * @param {pg.Client} [opts.client]
    * @return {Promise}
    */
-  broadcastTx (txId, blockHash, blockHeight, opts) {
-    return this.messages.notify('broadcasttx', {
+  async broadcastTx (txId, blockHash, blockHeight, opts) {
+    let payload = {txId: txId, blockHash: blockHash, blockHeight: blockHeight}
+    payload.seq = await this._journal('tx', txId, payload, opts)
+    return await this.messages.notify('broadcasttx', payload, opts)
+  }
+
+  /**
+   * @param {string} txId
+   * @param {string} status unconfirmed (after reorg) or removed (from mempool)
+   * @param {Object} [opts]
+   * @param {pg.Client} [opts.client]
+   * @return {Promise}
+   */
+  broadcastTxStatus (txId, status, opts) {
+    return this.messages.notify('broadcasttxstatus', {
       txId: txId,
-      blockHash: blockHash,
-      blockHeight: blockHeight
+      status: status
     }, opts)
   }
 
@@ -93,15 +229,79 @@ export default class Service extends EventEmitter {
    * @param {pg.Client} [opts.client]
    * @return {Promise}
    */
-  broadcastAddress (address, txId, blockHash, blockHeight, opts) {
-    return this.messages.notify('broadcastaddress', {
+  async broadcastAddress (address, txId, blockHash, blockHeight, opts) {
+    let payload = {
       address: address,
       txId: txId,
       blockHash: blockHash,
       blockHeight: blockHeight
+    }
+    payload.seq = await this._journal('address', address, payload, opts)
+    return await this.messages.notify('broadcastaddress', payload, opts)
+  }
+
+  /**
+   * @param {string} txId
+   * @param {string} replacedBy
+   * @param {Object} [opts]
+   * @param {pg.Client} [opts.client]
+   * @return {Promise}
+   */
+  broadcastTxReplaced (txId, replacedBy, opts) {
+    return this.messages.notify('broadcasttxreplaced', {
+      txId: txId,
+      replacedBy: replacedBy
     }, opts)
   }
 
+  /**
+   * @param {string} address
+   * @param {string} txId
+   * @param {string} replacedTxId
+   * @param {string} prevTxId
+   * @param {number} outputIndex
+   * @param {Object} [opts]
+   * @param {pg.Client} [opts.client]
+   * @return {Promise}
+   */
+  broadcastDoubleSpend (address, txId, replacedTxId, prevTxId, outputIndex, opts) {
+    return this.messages.notify('broadcastdoublespend', {
+      address: address,
+      txId: txId,
+      replacedTxId: replacedTxId,
+      prevTxId: prevTxId,
+      outputIndex: outputIndex
+    }, opts)
+  }
+
+  /**
+   * @param {string} txId
+   * @param {number} vout
+   * @param {?string} blockHash
+   * @param {?number} blockHeight
+   * @param {Object} [opts]
+   * @param {pg.Client} [opts.client]
+   * @return {Promise}
+   */
+  broadcastOpReturn (txId, vout, blockHash, blockHeight, opts) {
+    return this.messages.notify('broadcastopreturn', {
+      txId: txId,
+      vout: vout,
+      blockHash: blockHash,
+      blockHeight: blockHeight
+    }, opts)
+  }
+
+  /**
+   * @param {number} id
+   * @param {Object} [opts]
+   * @param {pg.Client} [opts.client]
+   * @return {Promise}
+   */
+  broadcastReorg (id, opts) {
+    return this.messages.notify('broadcastreorg', {id: id}, opts)
+  }
+
   /**
    * @param {Object} status
    * @param {Object} [opts]
@@ -2,7 +2,6 @@ import _ from 'lodash'
 import { EventEmitter } from 'events'
 import { setImmediate } from 'timers'
 import bitcore from 'bitcore-lib'
-import script2addresses from 'script2addresses'
 import ElapsedTime from 'elapsed-time'
 import makeConcurrent from 'make-concurrent'
 import PUtils from 'promise-useful-utils'
@@ -10,8 +9,13 @@ import PUtils from 'promise-useful-utils'
 import config from '../lib/config'
 import logger from '../lib/logger'
 import { ZERO_HASH } from '../lib/const'
+import mempool from '../lib/mempool'
 import util from '../lib/util'
 import SQL from '../lib/sql'
+import InitialBlockDownload from './ibd'
+
+// events journal pruned on every N-th imported block
+const JOURNAL_PRUNE_INTERVAL = 100
 
 function callWithLock (target, name, descriptor) {
   let fn = target[`${name}WithoutLock`] = descriptor.value
@@ -60,6 +64,15 @@ export default class Sync extends EventEmitter {
       deps: {}, // txId -> txId[]
       orphans: {}  // txId -> txId[]
     }
+
+    this._ibd = null
+    if (config.get('chromanode.ibd.enable', false)) {
+      this._ibd = new InitialBlockDownload(storage, network, service)
+      this._ibd.on('latest', (latest) => this.emit('latest', latest))
+    }
+    this._ibdTipDistance = config.get('chromanode.ibd.tipDistance', 100)
+
+    this._handlers = {} // network event => handler
   }
 
   /**
@@ -72,12 +85,32 @@ export default class Sync extends EventEmitter {
    * @return {string[]}
    */
   _getAddresses (output) {
-    if (output.script === null) {
-      return []
-    }
+    return util.getAddresses(output.script, this._bitcoinNetwork)
+  }
 
-    let result = script2addresses(output.script.toBuffer(), this._bitcoinNetwork, false)
-    return result.addresses
+  /**
+   * @param {pg.Client} client
+   * @param {string} txId
+   * @param {bitcore.Transaction} tx
+   * @param {?string} blockHash
+   * @param {?number} height
+   * @return {Promise[]}
+   */
+  _importOpReturns (client, txId, tx, blockHash, height) {
+    return tx.outputs.map(async (output, index) => {
+      let payload = util.getOpReturnData(output.script)
+      if (payload === null) {
+        return
+      }
+
+      await client.queryAsync(SQL.insert.opreturns.row, [
+        `\\x${txId}`,
+        index,
+        height,
+        `\\x${payload.toString('hex')}`
+      ])
+      await this._service.broadcastOpReturn(txId, index, blockHash, height, {client: client})
+    })
   }
 
   /**
@@ -102,7 +135,11 @@ export default class Sync extends EventEmitter {
     })
   }
 
-  _importOrphaned (txId) {
+  /**
+   * @param {string} txId
+   * @return {Promise}
+   */
+  async _importOrphaned (txId) {
     // are we have orphaned tx that depends from this txId?
     let orphans = this._orphanedTx.orphans[txId]
     if (orphans === undefined) {
@@ -117,16 +154,89 @@ export default class Sync extends EventEmitter {
       let deps = _.without(this._orphanedTx.deps[orphaned], txId)
       if (deps.length > 0) {
         this._orphanedTx.deps[orphaned] = deps
+        await this._storage.executeQuery(
+          SQL.update.orphans.deps, [`\\x${orphaned}`, `\\x${deps.join('')}`])
+          .catch((err) => logger.error(`Update orphaned tx deps: ${err.stack}`))
         continue
       }
 
       // run import if all resolved transactions
       delete this._orphanedTx.deps[orphaned]
+      await this._storage.executeQuery(
+        SQL.delete.orphans.byTxId, [`\\x${orphaned}`])
+        .catch((err) => logger.error(`Remove orphaned tx: ${err.stack}`))
       setImmediate(() => this._runTxImports([orphaned]))
       logger.warn(`Run import for orphaned tx: ${orphaned}`)
     }
   }
 
+  /**
+   * Record conflict of two transactions which spend same output and notify
+   *  addresses of spent output and outputs of replaced transaction
+   *
+   * @param {pg.Client} client
+   * @param {string} txId
+   * @param {string} replacedTxId
+   * @param {string} prevTxId
+   * @param {number} outputIndex
+   * @param {string[]} addresses addresses of spent output
+   * @return {Promise}
+   */
+  async _importConflict (client, txId, replacedTxId, prevTxId, outputIndex, addresses) {
+    for (let conflictTxId of [replacedTxId, txId]) {
+      await client.queryAsync(SQL.insert.conflicts.row, [
+        `\\x${prevTxId}`,
+        outputIndex,
+        `\\x${conflictTxId}`
+      ])
+    }
+
+    let {rows} = await client.queryAsync(
+      SQL.select.history.outputs, [[`\\x${replacedTxId}`]])
+    let affected = _.uniq(addresses.concat(
+      _.filter(rows, 'address').map((row) => row.address.toString())))
+
+    await* affected.map((address) => {
+      return this._service.broadcastDoubleSpend(
+        address, txId, replacedTxId, prevTxId, outputIndex, {client: client})
+    })
+
+    logger.warn(`Double spend of ${prevTxId}:${outputIndex} by ${txId} (replaced: ${replacedTxId})`)
+  }
+
+  /**
+   * Remove unconfirmed transactions with all descendants
+   *
+   * @param {pg.Client} client
+   * @param {string[]} txIds
+   * @return {Promise<string[]>} removed transactions
+   */
+  async _removeUnconfirmedTxs (client, txIds) {
+    let removed = []
+    while (txIds.length > 0) {
+      let result = await client.queryAsync(
+        SQL.delete.transactions.unconfirmedByTxIds, [txIds.map((txId) => `\\x${txId}`)])
+      if (result.rows.length === 0) {
+        break
+      }
+
+      let removedTxIds = result.rows.map((row) => row.txid.toString('hex'))
+      let params = [removedTxIds.map((txId) => `\\x${txId}`)]
+      removed = removed.concat(removedTxIds)
+
+      result = await client.queryAsync(SQL.delete.history.unconfirmedByTxIds, params)
+      txIds = _.uniq(_.filter(result.rows, 'itxid').map((row) => row.itxid.toString('hex')))
+
+      await client.queryAsync(SQL.update.history.deleteUnconfirmedInputsByTxIds, params)
+      await client.queryAsync(SQL.delete.opreturns.unconfirmedByTxIds, params)
+      await mempool.remove(client, removedTxIds)
+      await* removedTxIds.map((txId) => this._service.removeTx(txId, false, {client: client}))
+      await* removedTxIds.map((txId) => this._service.broadcastTxStatus(txId, 'removed', {client: client}))
+    }
+
+    return removed
+  }
+
   /**
    * @param {bitcore.Transaction} tx
    * @return {Promise}
@@ -158,6 +268,8 @@ export default class Sync extends EventEmitter {
           for (let dep of deps) {
             this._orphanedTx.orphans[dep] = _.union(this._orphanedTx.orphans[dep], [txId])
           }
+          await client.queryAsync(SQL.delete.orphans.byTxId, [`\\x${txId}`])
+          await client.queryAsync(SQL.insert.orphans.row, [`\\x${txId}`, `\\x${deps.join('')}`])
           logger.warn(`Orphan tx: ${txId} (deps: ${deps.join(', ')})`)
           return false
         }
@@ -169,30 +281,54 @@ export default class Sync extends EventEmitter {
         ])
 
         // import intputs
+        let replaced = {} // replaced txId => true
         let pImportInputs = tx.inputs.map(async (input, index) => {
-          let {rows} = await client.queryAsync(SQL.update.history.addUnconfirmedInput, [
-            `\\x${txId}`,
-            `\\x${input.prevTxId.toString('hex')}`,
-            input.outputIndex
-          ])
+          let prevTxId = input.prevTxId.toString('hex')
+          let params = [`\\x${prevTxId}`, input.outputIndex]
+
+          // output already spent by other transaction?
+          let spent = await client.queryAsync(SQL.select.history.spent, params)
+          let replacedTxId = _.chain(spent.rows)
+            .filter('itxid')
+            .map((row) => row.itxid.toString('hex'))
+            .first()
+            .value()
+
+          let {rows} = await client.queryAsync(
+            SQL.update.history.addUnconfirmedInput, [`\\x${txId}`].concat(params))
+          let addresses = _.filter(rows, 'address').map((row) => row.address.toString())
+
+          if (replacedTxId !== undefined && replacedTxId !== txId) {
+            await this._importConflict(
+              client, txId, replacedTxId, prevTxId, input.outputIndex, addresses)
+            replaced[replacedTxId] = true
+          }
 
-          return rows.map((row) => {
-            let address = row.address.toString()
+          return addresses.map((address) => {
             return this._service.broadcastAddress(address, txId, null, null, {client: client})
           })
         })
 
         // import outputs
         let pImportOutputs = tx.outputs.map((output, index) => {
+          let params = [
+            `\\x${txId}`,
+            index,
+            output.satoshis,
+            `\\x${output._scriptBuffer.toString('hex')}`,
+            `\\x${util.getScriptHash(output._scriptBuffer)}`
+          ]
+
+          // outputs without addresses indexed only by script hash
           let addresses = this._getAddresses(output)
+          if (addresses.length === 0) {
+            return client.queryAsync(
+              SQL.insert.history.unconfirmedOutput, [null].concat(params))
+          }
+
           return addresses.map((address) => {
-            let pImport = client.queryAsync(SQL.insert.history.unconfirmedOutput, [
-              address,
-              `\\x${txId}`,
-              index,
-              output.satoshis,
-              `\\x${output.script.toHex()}`
-            ])
+            let pImport = client.queryAsync(
+              SQL.insert.history.unconfirmedOutput, [address].concat(params))
             let pBroadcast = this._service.broadcastAddress(address, txId, null, null, {client: client})
 
             return [pImport, pBroadcast]
@@ -204,10 +340,19 @@ export default class Sync extends EventEmitter {
           pImportTx,
           pImportInputs,
           pImportOutputs,
+          this._importOpReturns(client, txId, tx, null, null),
           this._service.broadcastTx(txId, null, null, {client: client}),
           this._service.addTx(txId, false, {client: client})
         ])
 
+        // fee, size and ancestors of mempool transaction
+        await mempool.add(client, [tx])
+
+        // notify subscribers of replaced transactions
+        await* _.keys(replaced).map((replacedTxId) => {
+          return this._service.broadcastTxReplaced(replacedTxId, txId, {client: client})
+        })
+
         logger.verbose(`Import unconfirmed tx ${txId}, elapsed time: ${stopwatch.getValue()}`)
         return true
       })
@@ -220,8 +365,9 @@ export default class Sync extends EventEmitter {
 
   /**
    * @param {string[]} txIds
+   * @param {Object} [txs] txId -> bitcore.Transaction, already received
    */
-  _runTxImports (txIds) {
+  _runTxImports (txIds, txs = {}) {
     let self = this
     let concurrency = 10
     let done = 0
@@ -238,8 +384,8 @@ export default class Sync extends EventEmitter {
 
         let txId = txIds[index]
         try {
-          // get tx from bitcoind
-          let tx = await self._network.getTx(txId)
+          // get tx from bitcoind if not received with notification
+          let tx = txs[txId] || await self._network.getTx(txId)
 
           // ... and run import
           let imported = await self._importUnconfirmedTx(tx)
@@ -290,6 +436,7 @@ export default class Sync extends EventEmitter {
         let txId = txIds[txIndex]
         let pImportTx
         let pBroadcastAddreses
+        let pImportOpReturns
 
         // tx already in storage ?
         let result = await client.queryAsync(SQL.select.transactions.exists, [`\\x${txId}`])
@@ -299,15 +446,18 @@ export default class Sync extends EventEmitter {
           existingTx[txId] = true
 
           pBroadcastAddreses = PUtils.try(async () => {
-            let [, {rows}] = await* [
+            let [, {rows}, opreturns] = await* [
               client.queryAsync(SQL.update.transactions.makeConfirmed, [height, `\\x${txId}`]),
-              client.queryAsync(SQL.update.history.makeOutputConfirmed, [height, `\\x${txId}`])
+              client.queryAsync(SQL.update.history.makeOutputConfirmed, [height, `\\x${txId}`]),
+              client.queryAsync(SQL.update.opreturns.makeConfirmed, [height, `\\x${txId}`])
             ]
 
-            return rows.map((row) => {
+            return _.filter(rows, 'address').map((row) => {
               let address = row.address.toString()
               return this._service.broadcastAddress(address, txId, block.hash, height, {client: client})
-            })
+            }).concat(opreturns.rows.map((row) => {
+              return this._service.broadcastOpReturn(txId, row.vout, block.hash, height, {client: client})
+            }))
           })
         } else {
           // import transaction
@@ -317,22 +467,35 @@ export default class Sync extends EventEmitter {
             `\\x${tx.toString()}`
           ])
 
+          // import null-data outputs
+          pImportOpReturns = this._importOpReturns(client, txId, tx, block.hash, height)
+
           // import outputs only if transaction not imported yet
-          pBroadcastAddreses = await* tx.outputs.map((output, index) => {
+          pBroadcastAddreses = await* tx.outputs.map(async (output, index) => {
+            let params = [
+              `\\x${txId}`,
+              index,
+              output.satoshis,
+              `\\x${output._scriptBuffer.toString('hex')}`,
+              `\\x${util.getScriptHash(output._scriptBuffer)}`,
+              height
+            ]
+
+            // outputs without addresses indexed only by script hash
             let addresses = this._getAddresses(output)
-            return Promise.all(addresses.map(async (address) => {
+            if (addresses.length === 0) {
+              await client.queryAsync(
+                SQL.insert.history.confirmedOutput, [null].concat(params))
+              return []
+            }
+
+            return await* addresses.map(async (address) => {
               // wait output import, it's important!
-              await client.queryAsync(SQL.insert.history.confirmedOutput, [
-                address,
-                `\\x${txId}`,
-                index,
-                output.satoshis,
-                `\\x${output.script.toHex()}`,
-                height
-              ])
+              await client.queryAsync(
+                SQL.insert.history.confirmedOutput, [address].concat(params))
 
               return this._service.broadcastAddress(address, txId, block.hash, height, {client: client})
-            }))
+            })
           })
         }
 
@@ -340,11 +503,13 @@ export default class Sync extends EventEmitter {
           pImportTx,
           this._service.broadcastTx(txId, block.hash, height, {client: client}),
           this._service.addTx(txId, true, {client: client}),
-          pBroadcastAddreses
+          pBroadcastAddreses,
+          pImportOpReturns
         ]
       })
 
       // import inputs
+      let replaced = {} // unconfirmed txId => txId from block, lost double spend
       let pImportInputs = block.transactions.map((tx, txIndex) => {
         let txId = txIds[txIndex]
         return tx.inputs.map(async (input, index) => {
@@ -356,8 +521,18 @@ export default class Sync extends EventEmitter {
             return
           }
 
+          // output already spent by other unconfirmed transaction?
+          let spent = await client.queryAsync(
+            SQL.select.history.spent, [`\\x${prevTxId}`, input.outputIndex])
+          let replacedTxId = _.chain(spent.rows)
+            .filter('itxid')
+            .map((row) => row.itxid.toString('hex'))
+            .first()
+            .value()
+          let isConflict = replacedTxId !== undefined && replacedTxId !== txId
+
           let result
-          if (existingTx[txId] === true) {
+          if (existingTx[txId] === true && !isConflict) {
             result = await client.queryAsync(SQL.update.history.makeInputConfirmed, [
               height,
               `\\x${prevTxId}`,
@@ -372,8 +547,14 @@ export default class Sync extends EventEmitter {
             ])
           }
 
-          await* result.rows.map((row) => {
-            let address = row.address.toString()
+          let addresses = _.filter(result.rows, 'address').map((row) => row.address.toString())
+          if (isConflict) {
+            await this._importConflict(
+              client, txId, replacedTxId, prevTxId, input.outputIndex, addresses)
+            replaced[replacedTxId] = txId
+          }
+
+          await* addresses.map((address) => {
             return this._service.broadcastAddress(address, txId, block.hash, height, {client: client})
           })
         })
@@ -384,11 +565,68 @@ export default class Sync extends EventEmitter {
         pImportTxAndOutputs,
         pImportInputs,
         this._service.broadcastBlock(block.hash, height, {client: client}),
-        this._service.addBlock(block.hash, {client: client})
+        this._service.addBlock(block.hash, {client: client}),
+        height % JOURNAL_PRUNE_INTERVAL === 0 ? this._service.pruneJournal({client: client}) : null
       ])
+
+      // confirmed transactions leave mempool
+      await mempool.remove(client, _.keys(existingTx))
+
+      // transactions which lost double spend removed with descendants
+      let replacedTxIds = _.difference(_.keys(replaced), txIds)
+      if (replacedTxIds.length > 0) {
+        let removed = await this._removeUnconfirmedTxs(client, replacedTxIds)
+        logger.warn(`Removed unconfirmed txs conflicting with block ${block.hash}: ${removed.join(', ')}`)
+        await* replacedTxIds.map((replacedTxId) => {
+          return this._service.broadcastTxReplaced(replacedTxId, replaced[replacedTxId], {client: client})
+        })
+      }
+
+      // winners of double spends
+      await client.queryAsync(SQL.update.conflicts.resolve, [height])
     })
   }
 
+  /**
+   * Bulk import blocks if storage far from the tip
+   *
+   * @return {Promise}
+   */
+  async _runInitialBlockDownload () {
+    if (this._ibd === null) {
+      return
+    }
+
+    let height = this._blockchainLatest.height - this._ibdTipDistance
+    if (height <= this._latest.height) {
+      return await this._ibd.restoreIndices()
+    }
+
+    // reorgs handled only by per-block import
+    if (this._latest.height !== -1 &&
+        this._latest.hash !== await this._network.getBlockHash(this._latest.height)) {
+      return await this._ibd.restoreIndices()
+    }
+
+    if (!(await this._ibd.isAllowed())) {
+      logger.warn('IBD skipped: storage have unconfirmed transactions')
+      return await this._ibd.restoreIndices()
+    }
+
+    try {
+      this._latest = await this._ibd.run(this._latest, height)
+    } catch (err) {
+      // constraint violation will not be fixed by retry, import blocks one by one
+      if (_.startsWith(err.code, '23')) {
+        logger.error(`IBD disabled: ${err.message}`)
+        await this._ibd.restoreIndices()
+        this._ibd = null
+      }
+
+      throw err
+    }
+  }
+
   /**
    * @param {boolean} [updateBitcoindMempool=false]
    * @return {Promise}
@@ -401,6 +639,7 @@ export default class Sync extends EventEmitter {
     while (true) {
       try {
         this._blockchainLatest = await this._network.getLatest()
+        await this._runInitialBlockDownload()
 
         while (true) {
           // are blockchain have new blocks?
@@ -434,6 +673,8 @@ export default class Sync extends EventEmitter {
 
           // was reorg found?
           let reorgProcess = latest.hash !== this._latest.hash
+          let reorgLatest = this._latest
+          let reorgTxIds = []
           while (latest.hash !== this._latest.hash) {
             let height = Math.max(latest.height, this._latest.height - 1) // or Allocation failed on large reorgs
             await this._lock.exclusiveLock(async () => {
@@ -441,8 +682,20 @@ export default class Sync extends EventEmitter {
               this._latest = await this._storage.executeTransaction(async (client) => {
                 let blocks = await client.queryAsync(SQL.delete.blocks.fromHeight, [height])
                 let txs = await client.queryAsync(SQL.update.transactions.makeUnconfirmed, [height])
+                reorgTxIds = reorgTxIds.concat(txs.rows.map((row) => row.txid.toString('hex')))
                 let hist1 = await client.queryAsync(SQL.update.history.makeOutputsUnconfirmed, [height])
                 let hist2 = await client.queryAsync(SQL.update.history.makeInputsUnconfirmed, [height])
+                let opreturns = await client.queryAsync(SQL.update.opreturns.makeUnconfirmed, [height])
+                await client.queryAsync(SQL.update.conflicts.makeUnresolved, [height])
+                // confirmations should be notified again after new confirm
+                await client.queryAsync(SQL.update.webhooks.makeUnnotified, [
+                  txs.rows.map((row) => row.txid.toString('hex'))
+                ])
+
+                let unconfirmed = await client.queryAsync(SQL.select.transactions.unconfirmedByTxIds, [
+                  txs.rows.map((row) => `\\x${row.txid.toString('hex')}`)
+                ])
+                await mempool.add(client, unconfirmed.rows.map((row) => new bitcore.Transaction(row.tx)))
 
                 await* _.flattenDeep([
                   blocks.rows.map((row) => {
@@ -453,12 +706,33 @@ export default class Sync extends EventEmitter {
                     return this._service.broadcastTx(
                       row.txid.toString('hex'), null, null, {client: client})
                   }),
-                  hist1.rows.concat(hist2.rows).map((row) => {
+                  txs.rows.map((row) => {
+                    return this._service.broadcastTxStatus(
+                      row.txid.toString('hex'), 'unconfirmed', {client: client})
+                  }),
+                  _.filter(hist1.rows.concat(hist2.rows), 'address').map((row) => {
                     return this._service.broadcastAddress(
                       row.address.toString(), row.txid.toString('hex'), null, null, {client: client})
+                  }),
+                  opreturns.rows.map((row) => {
+                    return this._service.broadcastOpReturn(
+                      row.txid.toString('hex'), row.vout, null, null, {client: client})
                   })
                 ])
 
+                // last step, reorg recorded with rollback
+                if (height === latest.height) {
+                  let {rows} = await client.queryAsync(SQL.insert.reorgs.row, [
+                    latest.height,
+                    `\\x${reorgLatest.hash}`,
+                    reorgLatest.height,
+                    `\\x${this._blockchainLatest.hash}`,
+                    this._blockchainLatest.height,
+                    `\\x${reorgTxIds.join('')}`
+                  ])
+                  await this._service.broadcastReorg(rows[0].id, {client: client})
+                }
+
                 return await this._getLatest({client: client})
               })
               logger.warn(`Make reorg step (back to ${height - 1}), elapsed time: ${stopwatch.getValue()}`)
@@ -548,23 +822,8 @@ export default class Sync extends EventEmitter {
           await this._lock.exclusiveLock(async () => {
             for (let start = 0; start < rTxIds.length; start += 250) {
               let txIds = rTxIds.slice(start, start + 250)
-              await this._storage.executeTransaction(async (client) => {
-                while (txIds.length > 0) {
-                  let result = await client.queryAsync(
-                    SQL.delete.transactions.unconfirmedByTxIds, [txIds.map((txId) => `\\x${txId}`)])
-                  if (result.rows.length === 0) {
-                    return
-                  }
-
-                  let removedTxIds = result.rows.map((row) => row.txid.toString('hex'))
-                  let params = [removedTxIds.map((txId) => `\\x${txId}`)]
-
-                  result = await client.queryAsync(SQL.delete.history.unconfirmedByTxIds, params)
-                  txIds = _.filter(result.rows, 'txid').map((row) => row.txid.toString('hex'))
-
-                  await client.queryAsync(SQL.update.history.deleteUnconfirmedInputsByTxIds, params)
-                  await* removedTxIds.map((txId) => this._service.removeTx(txId, false, {client: client}))
-                }
+              await this._storage.executeTransaction((client) => {
+                return this._removeUnconfirmedTxs(client, txIds)
               })
             }
           })
@@ -586,6 +845,9 @@ export default class Sync extends EventEmitter {
   /**
    */
   async run () {
+    // orphaned transactions stored only in memory, drop saved from previous run
+    await this._storage.executeQuery(SQL.delete.orphans.all)
+
     // update latests
     this._latest = await this._getLatest()
     this._blockchainLatest = await this._network.getLatest()
@@ -597,11 +859,33 @@ export default class Sync extends EventEmitter {
     await this._runBlockImport(true)
 
     // set handlers
-    this._network.on('connect', () => this._runMempoolUpdate(true))
-    this._network.on('tx', txId => this._runTxImports([txId]))
-    this._network.on('block', ::this._runBlockImport)
+    this._handlers = {
+      connect: () => this._runMempoolUpdate(true),
+      tx: (txId, tx) => {
+        this._runTxImports([txId], tx === undefined ? {} : {[txId]: tx})
+      },
+      block: () => this._runBlockImport()
+    }
+    for (let [event, handler] of _.pairs(this._handlers)) {
+      this._network.on(event, handler)
+    }
 
     // and run sync again
     await this._runBlockImport(true)
   }
+
+  /**
+   * Stop handling network notifications and wait running imports
+   *
+   * @return {Promise}
+   */
+  async stop () {
+    for (let [event, handler] of _.pairs(this._handlers)) {
+      this._network.removeListener(event, handler)
+    }
+    this._handlers = {}
+
+    await this._withLock(_.noop)
+    await this._lock.exclusiveLock(_.noop)
+  }
 }
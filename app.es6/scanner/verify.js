@@ -0,0 +1,228 @@
+import _ from 'lodash'
+import bitcore from 'bitcore-lib'
+import ElapsedTime from 'elapsed-time'
+
+import errors from '../lib/errors'
+import logger from '../lib/logger'
+import { SCANNER_LOCK_ID, ZERO_HASH } from '../lib/const'
+import util from '../lib/util'
+import SQL from '../lib/sql'
+
+let sha256sha256 = bitcore.crypto.Hash.sha256sha256
+
+/**
+ * @param {string[]} txIds
+ * @return {Buffer}
+ */
+function getMerkleRoot (txIds) {
+  let tree = txIds.map(util.decode)
+  while (tree.length > 1) {
+    if (tree.length % 2 === 1) {
+      tree.push(_.last(tree))
+    }
+
+    tree = _.range(0, tree.length, 2).map((index) => {
+      return sha256sha256(Buffer.concat([tree[index], tree[index + 1]]))
+    })
+  }
+
+  return tree[0]
+}
+
+/**
+ * Walk stored blocks and compare header, transactions and history heights,
+ *  progress saved in `info` and resumed on next run with same range
+ *
+ * @class Verifier
+ */
+export default class Verifier {
+  /**
+   * @constructor
+   * @param {Storage} storage
+   */
+  constructor (storage) {
+    this._storage = storage
+  }
+
+  /**
+   * @return {Promise<?Object>}
+   */
+  async _getProgress () {
+    let {rows} = await this._storage.executeQuery(SQL.select.info.value, ['verify'])
+    return rows.length === 0 ? null : JSON.parse(rows[0].value)
+  }
+
+  /**
+   * @param {pg.Client} client
+   * @param {Object} progress
+   * @return {Promise}
+   */
+  async _saveProgress (client, progress) {
+    await client.queryAsync(SQL.delete.info.byKey, ['verify'])
+    await client.queryAsync(SQL.insert.info.row, ['verify', JSON.stringify(progress)])
+  }
+
+  /**
+   * @param {pg.Client} client
+   * @param {number} height
+   * @param {?string} prevHash
+   * @param {boolean} repair
+   * @return {Promise<{hash: string, errors: string[]}>}
+   */
+  async _verifyHeight (client, height, prevHash, repair) {
+    let {rows} = await client.queryAsync(SQL.select.blocks.txIdsByHeight, [height])
+    if (rows.length === 0) {
+      return {hash: null, errors: ['block not found']}
+    }
+
+    let errors = []
+    let hash = rows[0].hash.toString('hex')
+    let header = bitcore.BlockHeader(rows[0].header)
+    let rawTxIds = rows[0].txids.toString('hex')
+    let txIds = _.times(rawTxIds.length / 64).map((index) => {
+      return rawTxIds.slice(index * 64, (index + 1) * 64)
+    })
+
+    // header
+    if (header.hash !== hash) {
+      errors.push(`header hash ${header.hash} not equal block hash`)
+    }
+    if (prevHash !== null && util.encode(header.prevHash) !== prevHash) {
+      errors.push(`previous hash ${util.encode(header.prevHash)} not equal ${prevHash}`)
+    }
+    if (!getMerkleRoot(txIds).equals(header.merkleRoot)) {
+      errors.push('merkle root of txids not equal merkle root in header')
+    }
+
+    let params = [height, txIds.map((txId) => `\\x${txId}`)]
+
+    // transactions
+    let result = await client.queryAsync(SQL.verify.transactions, params)
+    let stored = result.rows.map((row) => row.txid.toString('hex'))
+    let missed = _.difference(txIds, stored)
+    let extra = _.difference(stored, txIds)
+    let wrong = _.filter(result.rows, (row) => row.height !== height).length
+    if (missed.length > 0) {
+      errors.push(`missed transactions: ${missed.join(', ')}`)
+    }
+    if (extra.length > 0) {
+      errors.push(`transactions from other height: ${extra.join(', ')}`)
+    }
+    if (wrong > 0) {
+      errors.push(`transactions with wrong height: ${wrong}`)
+    }
+
+    // history
+    let [outputs, inputs] = await* [
+      client.queryAsync(SQL.verify.history.outputs, params),
+      client.queryAsync(SQL.verify.history.inputs, params)
+    ]
+    let [oCount, iCount] = [outputs, inputs].map((r) => parseInt(r.rows[0].count, 10))
+    if (oCount > 0) {
+      errors.push(`outputs with wrong oheight: ${oCount}`)
+    }
+    if (iCount > 0) {
+      errors.push(`inputs with wrong iheight: ${iCount}`)
+    }
+
+    if (repair && (wrong > 0 || extra.length > 0 || oCount > 0 || iCount > 0)) {
+      await this._repair(client, params, extra)
+    }
+
+    return {hash: hash, errors: errors}
+  }
+
+  /**
+   * Set heights of block transactions, transactions from other height moved
+   *  to block which include them or removed, then history heights taken
+   *  from transactions
+   *
+   * @param {pg.Client} client
+   * @param {Array} params height and txids of block
+   * @param {string[]} extra transactions stored with height of block
+   * @return {Promise}
+   */
+  async _repair (client, params, extra) {
+    await client.queryAsync(SQL.verify.repair.transactions, params)
+    await client.queryAsync(SQL.verify.repair.opreturns, params)
+
+    for (let txId of extra) {
+      let {rows} = await client.queryAsync(SQL.verify.repair.txHeight, [`\\x${txId}`])
+      if (rows.length === 1) {
+        for (let query of SQL.verify.repair.moveTx) {
+          await client.queryAsync(query, [`\\x${txId}`, rows[0].height])
+        }
+        logger.warn(`Transaction ${txId} moved to height ${rows[0].height}`)
+      } else {
+        for (let query of SQL.verify.repair.deleteTx) {
+          await client.queryAsync(query, [`\\x${txId}`])
+        }
+        logger.warn(`Transaction ${txId} not found in blocks and removed`)
+      }
+    }
+
+    await client.queryAsync(SQL.verify.repair.outputs, params)
+    await client.queryAsync(SQL.verify.repair.inputs, params)
+  }
+
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.from=0]
+   * @param {number} [opts.to] latest block by default
+   * @param {boolean} [opts.repair=false] fix transactions and history heights
+   * @return {Promise<number>} number of heights with mismatches (found before repair)
+   * @throws {errors.ScannerRunning} repair and scanner is running
+   */
+  async run (opts) {
+    opts = _.extend({from: 0, repair: false}, opts)
+    // scanner lock held until exit, so scanner can't start during repair
+    if (opts.repair && !(await this._storage.tryLock(SCANNER_LOCK_ID))) {
+      throw new errors.ScannerRunning('repair')
+    }
+    if (opts.to === undefined) {
+      let {rows} = await this._storage.executeQuery(SQL.select.blocks.latest)
+      opts.to = rows.length === 0 ? -1 : rows[0].height
+    }
+
+    let progress = await this._getProgress()
+    if (progress === null ||
+        progress.from !== opts.from ||
+        progress.to !== opts.to ||
+        progress.repair !== opts.repair ||
+        progress.height === opts.to) {
+      progress = {from: opts.from, to: opts.to, repair: opts.repair, height: opts.from - 1, hash: null, mismatches: 0}
+    } else {
+      logger.info(`Resume verification from height ${progress.height + 1}`)
+    }
+
+    let stopwatch = ElapsedTime.new().start()
+    logger.info(`Verify blocks from ${progress.height + 1} to ${opts.to}${opts.repair ? ' with repair' : ''}`)
+
+    let prevHash = progress.hash
+    if (prevHash === null && progress.height === -1) {
+      prevHash = ZERO_HASH
+    }
+
+    for (let height = progress.height + 1; height <= opts.to; ++height) {
+      await this._storage.executeTransaction(async (client) => {
+        let result = await this._verifyHeight(client, height, prevHash, opts.repair)
+        for (let error of result.errors) {
+          logger.warn(`Height ${height}: ${error}`)
+        }
+
+        prevHash = result.hash
+        progress.height = height
+        progress.hash = result.hash
+        progress.mismatches += result.errors.length > 0 ? 1 : 0
+        await this._saveProgress(client, progress)
+      })
+
+      if (height % 1000 === 0) {
+        logger.info(`Verified height ${height}, mismatches: ${progress.mismatches}`)
+      }
+    }
+
+    logger.info(`Verification finished, heights with mismatches: ${progress.mismatches}, elapsed time: ${stopwatch.getValue()}`)
+    return progress.mismatches
+  }
+}
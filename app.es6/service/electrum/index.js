@@ -0,0 +1,553 @@
+import _ from 'lodash'
+import net from 'net'
+import { Server as WebSocketServer } from 'ws'
+import bitcore from 'bitcore-lib'
+
+import config from '../../lib/config'
+import errors from '../../lib/errors'
+import logger from '../../lib/logger'
+import util from '../../lib/util'
+import { VERSION } from '../../lib/const'
+import SQL from '../../lib/sql'
+import hutil from '../http/util/history'
+import qutil from '../http/util/query'
+import { getTx, getMerkle } from '../http/util/tx'
+
+let PROTOCOL_VERSION = '1.4'
+let MAX_LINE_LENGTH = 1024 * 1024
+
+/**
+ * Electrum script hash is reversed sha256 of script, storage keep sha256
+ *
+ * @param {string} scriptHash
+ * @return {string}
+ */
+function toStorageHash (scriptHash) {
+  return util.decode(scriptHash).toString('hex')
+}
+
+/**
+ * Params for SQL.select.history.scriptUnspent without height range, cursor
+ *  and limit
+ *
+ * @param {string} scriptHash
+ * @return {Array.<*>}
+ */
+function getUnspentParams (scriptHash) {
+  return [
+    [`\\x${toStorageHash(scriptHash)}`],
+    -1,
+    hutil.MEMPOOL_HEIGHT,
+    true,
+    true,
+    -1,
+    '\\x',
+    -1,
+    null
+  ]
+}
+
+/**
+ * @param {Error} err
+ * @return {{code: number, message: string}}
+ */
+function toRpcError (err) {
+  if (err instanceof errors.Service.SendTxError) {
+    return {code: 1, message: _.get(err, 'data.message', err.message)}
+  }
+
+  if (err instanceof errors.Service.NotSupported) {
+    return {code: -32602, message: err.message}
+  }
+
+  if (err instanceof errors.Service) {
+    // cut ErrorChromanodeService
+    return {code: 1, message: `${err.name.slice(22)}: ${err.message}`}
+  }
+
+  return {code: -32603, message: err.message}
+}
+
+/**
+ * @class Session
+ */
+class Session {
+  /**
+   * @constructor
+   * @param {string} id
+   * @param {function} send
+   */
+  constructor (id, send) {
+    this.id = id
+    this.send = send
+    this.headers = false
+    this.scriptHashes = {} // scriptHash -> status
+  }
+
+  /**
+   * @param {string} method
+   * @param {Array.<*>} params
+   */
+  notify (method, params) {
+    this.send({jsonrpc: '2.0', method: method, params: params})
+  }
+}
+
+/**
+ * Electrum protocol server: line-delimited JSON-RPC over TCP and WebSocket
+ *
+ * @class Electrum
+ */
+export default class Electrum {
+  _methods = {
+    'server.version': ::this._serverVersion,
+    'server.ping': ::this._serverPing,
+    'blockchain.headers.subscribe': ::this._headersSubscribe,
+    'blockchain.scripthash.get_history': ::this._scriptHashGetHistory,
+    'blockchain.scripthash.get_balance': ::this._scriptHashGetBalance,
+    'blockchain.scripthash.listunspent': ::this._scriptHashListUnspent,
+    'blockchain.scripthash.subscribe': ::this._scriptHashSubscribe,
+    'blockchain.transaction.get': ::this._transactionGet,
+    'blockchain.transaction.get_merkle': ::this._transactionGetMerkle,
+    'blockchain.transaction.broadcast': ::this._transactionBroadcast
+  }
+
+  /**
+   * @constructor
+   * @param {Storage} storage
+   * @param {Scanner} scanner
+   */
+  constructor (storage, scanner) {
+    this._storage = storage
+    this._scanner = scanner
+
+    this._sessions = {}
+    this._lastSessionId = 0
+    this._maxLineLength = config.get('electrum.maxLineLength', MAX_LINE_LENGTH)
+
+    this._scanner.on('block', ::this._onBlock)
+    this._scanner.on('tx', ::this._onTx)
+    this._scanner.on('reorg', ::this._onReorg)
+  }
+
+  /**
+   * @return {Promise}
+   */
+  async listen () {
+    let host = config.get('electrum.host', '0.0.0.0')
+    let tcpPort = config.get('electrum.tcpPort', null)
+    let wsPort = config.get('electrum.wsPort', null)
+
+    if (tcpPort !== null) {
+      this._tcpServer = net.createServer(::this._onTcpConnection)
+      await new Promise((resolve, reject) => {
+        this._tcpServer.once('error', reject)
+        this._tcpServer.listen(tcpPort, host, resolve)
+      })
+      logger.info(`Electrum server listening tcp port ${tcpPort}`)
+    }
+
+    if (wsPort !== null) {
+      this._wsServer = new WebSocketServer({host: host, port: wsPort})
+      this._wsServer.on('connection', ::this._onWsConnection)
+      await new Promise((resolve, reject) => {
+        this._wsServer.once('error', reject)
+        this._wsServer.once('listening', resolve)
+      })
+      logger.info(`Electrum server listening websocket port ${wsPort}`)
+    }
+  }
+
+  /**
+   * @param {function} send
+   * @return {Session}
+   */
+  _createSession (send) {
+    let id = `electrum-${++this._lastSessionId}`
+    let session = new Session(id, send)
+    this._sessions[id] = session
+    logger.verbose(`New connection ${id}`)
+    return session
+  }
+
+  /**
+   * @param {Session} session
+   */
+  _removeSession (session) {
+    delete this._sessions[session.id]
+    logger.verbose(`disconnected ${session.id}`)
+  }
+
+  /**
+   * @param {net.Socket} socket
+   */
+  _onTcpConnection (socket) {
+    let session = this._createSession((obj) => {
+      socket.write(JSON.stringify(obj) + '\n')
+    })
+
+    let buffer = ''
+    socket.setEncoding('utf8')
+    socket.on('data', (data) => {
+      let lines = (buffer + data).split('\n')
+      buffer = lines.pop()
+
+      // unterminated line never end in buffer, drop connection
+      if (_.any(lines.concat(buffer), (line) => line.length > this._maxLineLength)) {
+        logger.warn(`Electrum (${session.id}) line length exceeded, disconnect`)
+        return socket.destroy()
+      }
+
+      for (let line of lines) {
+        if (line.trim() !== '') {
+          this._onMessage(session, line)
+        }
+      }
+    })
+
+    socket.on('error', (err) => {
+      logger.error(`Electrum (${session.id}) socket error: ${err.stack}`)
+    })
+    socket.on('close', () => this._removeSession(session))
+  }
+
+  /**
+   * @param {WebSocket} ws
+   */
+  _onWsConnection (ws) {
+    let session = this._createSession((obj) => {
+      ws.send(JSON.stringify(obj), _.noop)
+    })
+
+    ws.on('message', (data) => {
+      if (data.length > this._maxLineLength) {
+        logger.warn(`Electrum (${session.id}) message length exceeded, disconnect`)
+        return ws.terminate()
+      }
+
+      this._onMessage(session, data)
+    })
+    ws.on('error', (err) => {
+      logger.error(`Electrum (${session.id}) websocket error: ${err.stack}`)
+    })
+    ws.on('close', () => this._removeSession(session))
+  }
+
+  /**
+   * @param {Session} session
+   * @param {string} message
+   * @return {Promise}
+   */
+  async _onMessage (session, message) {
+    let request
+    try {
+      request = JSON.parse(message)
+    } catch (err) {
+      return session.send({
+        jsonrpc: '2.0',
+        id: null,
+        error: {code: -32700, message: 'Parse error'}
+      })
+    }
+
+    if (!_.isArray(request)) {
+      return session.send(await this._processRequest(session, request))
+    }
+
+    // batch, responses sent in one array
+    if (request.length === 0) {
+      return session.send({
+        jsonrpc: '2.0',
+        id: null,
+        error: {code: -32600, message: 'Invalid Request'}
+      })
+    }
+
+    session.send(await* request.map((item) => this._processRequest(session, item)))
+  }
+
+  /**
+   * @param {Session} session
+   * @param {Object} request
+   * @return {Promise<Object>} response
+   */
+  async _processRequest (session, request) {
+    let id = _.get(request, 'id', null)
+    let name = _.get(request, 'method')
+    if (!_.isString(name) || !_.has(this._methods, name)) {
+      return {
+        jsonrpc: '2.0',
+        id: id,
+        error: {code: -32601, message: `Unknown method: ${name}`}
+      }
+    }
+
+    try {
+      let params = _.isArray(request.params) ? request.params : []
+      let result = await this._methods[name](session, params)
+      return {jsonrpc: '2.0', id: id, result: result}
+    } catch (err) {
+      if (!(err instanceof errors.Service)) {
+        logger.error(`Electrum (${session.id}) ${name}: ${err.stack}`)
+      }
+
+      return {jsonrpc: '2.0', id: id, error: toRpcError(err)}
+    }
+  }
+
+  /**
+   * @return {Promise<{height: number, hex: string}>}
+   */
+  async _getHeader () {
+    let {rows} = await this._storage.executeQuery(SQL.select.blocks.latest)
+    return {height: rows[0].height, hex: rows[0].header.toString('hex')}
+  }
+
+  /**
+   * Confirmed transactions in blockchain order, mempool transactions after
+   *
+   * @param {string} scriptHash
+   * @return {Promise<Array.<{tx_hash: string, height: number}>>}
+   */
+  async _getHistory (scriptHash) {
+    let {rows} = await this._storage.executeQuery(
+      SQL.select.history.scriptHistory, [`\\x${toStorageHash(scriptHash)}`])
+
+    return rows.map((row) => {
+      return {tx_hash: row.txid.toString('hex'), height: row.height || 0}
+    })
+  }
+
+  /**
+   * @param {string} scriptHash
+   * @return {Promise<?string>}
+   */
+  async _getStatus (scriptHash) {
+    let history = await this._getHistory(scriptHash)
+    if (history.length === 0) {
+      return null
+    }
+
+    let data = history.map((item) => `${item.tx_hash}:${item.height}:`).join('')
+    return bitcore.crypto.Hash.sha256(new Buffer(data)).toString('hex')
+  }
+
+  /**
+   * @param {Session} session
+   * @param {string} scriptHash
+   * @return {Promise}
+   */
+  async _updateStatus (session, scriptHash) {
+    try {
+      let status = await this._getStatus(scriptHash)
+      if (session.scriptHashes[scriptHash] !== status &&
+          this._sessions[session.id] !== undefined) {
+        session.scriptHashes[scriptHash] = status
+        session.notify('blockchain.scripthash.subscribe', [scriptHash, status])
+      }
+    } catch (err) {
+      logger.error(`Electrum (${session.id}) update status: ${err.stack}`)
+    }
+  }
+
+  /**
+   * @return {Promise}
+   */
+  async _onBlock () {
+    let sessions = _.filter(this._sessions, 'headers')
+    if (sessions.length === 0) {
+      return
+    }
+
+    try {
+      let header = await this._getHeader()
+      for (let session of sessions) {
+        session.notify('blockchain.headers.subscribe', [header])
+      }
+    } catch (err) {
+      logger.error(`Electrum._onBlock: ${err.stack}`)
+    }
+  }
+
+  /**
+   * Scripts without address (P2PK, bare multisig and etc) touched only
+   *  by transaction, so subscriptions updated by script hashes of it
+   *
+   * @param {Object} payload
+   * @param {string} payload.txId
+   * @return {Promise}
+   */
+  async _onTx (payload) {
+    let sessions = _.filter(this._sessions, (session) => !_.isEmpty(session.scriptHashes))
+    if (sessions.length === 0) {
+      return
+    }
+
+    let scriptHashes
+    try {
+      let {rows} = await this._storage.executeQuery(
+        SQL.select.history.scriptHashesByTxId, [`\\x${payload.txId}`])
+      scriptHashes = _.filter(rows, 'scripthash').map((row) => util.encode(row.scripthash))
+    } catch (err) {
+      return logger.error(`Electrum._onTx: ${err.stack}`)
+    }
+
+    for (let session of sessions) {
+      for (let scriptHash of scriptHashes) {
+        if (_.has(session.scriptHashes, scriptHash)) {
+          this._updateStatus(session, scriptHash)
+        }
+      }
+    }
+  }
+
+  /**
+   */
+  _onReorg () {
+    for (let session of _.values(this._sessions)) {
+      for (let scriptHash of _.keys(session.scriptHashes)) {
+        this._updateStatus(session, scriptHash)
+      }
+    }
+  }
+
+  /**
+   * @return {Promise<string[]>}
+   */
+  async _serverVersion () {
+    return [`chromanode ${VERSION}`, PROTOCOL_VERSION]
+  }
+
+  /**
+   * @return {Promise<null>}
+   */
+  async _serverPing () {
+    return null
+  }
+
+  /**
+   * @param {Session} session
+   * @return {Promise<{height: number, hex: string}>}
+   */
+  async _headersSubscribe (session) {
+    let header = await this._getHeader()
+    session.headers = true
+    return header
+  }
+
+  /**
+   * @param {Session} session
+   * @param {Array.<*>} params [scriptHash]
+   * @return {Promise<Array.<{tx_hash: string, height: number}>>}
+   */
+  _scriptHashGetHistory (session, [scriptHash]) {
+    return this._getHistory(qutil.transformScriptHash(scriptHash))
+  }
+
+  /**
+   * @param {Session} session
+   * @param {Array.<*>} params [scriptHash]
+   * @return {Promise<{confirmed: number, unconfirmed: number}>}
+   */
+  async _scriptHashGetBalance (session, [scriptHash]) {
+    scriptHash = qutil.transformScriptHash(scriptHash)
+    let {rows} = await this._storage.executeQuery(
+      SQL.select.history.scriptBalance, [`\\x${toStorageHash(scriptHash)}`])
+
+    return {
+      confirmed: parseInt(rows[0].confirmed, 10),
+      unconfirmed: parseInt(rows[0].unconfirmed, 10)
+    }
+  }
+
+  /**
+   * @param {Session} session
+   * @param {Array.<*>} params [scriptHash]
+   * @return {Promise<Array.<Object>>}
+   */
+  async _scriptHashListUnspent (session, [scriptHash]) {
+    scriptHash = qutil.transformScriptHash(scriptHash)
+    let {rows} = await this._storage.executeQuery(
+      SQL.select.history.scriptUnspent, getUnspentParams(scriptHash))
+
+    return rows.map((row) => {
+      return {
+        tx_hash: row.otxid.toString('hex'),
+        tx_pos: row.oindex,
+        height: row.oheight || 0,
+        value: parseInt(row.ovalue, 10)
+      }
+    })
+  }
+
+  /**
+   * @param {Session} session
+   * @param {Array.<*>} params [scriptHash]
+   * @return {Promise<?string>}
+   */
+  async _scriptHashSubscribe (session, [scriptHash]) {
+    scriptHash = qutil.transformScriptHash(scriptHash)
+    let status = await this._getStatus(scriptHash)
+    session.scriptHashes[scriptHash] = status
+    return status
+  }
+
+  /**
+   * @param {Session} session
+   * @param {Array.<*>} params [txId, verbose]
+   * @return {Promise<string>}
+   */
+  async _transactionGet (session, [txId, verbose]) {
+    txId = qutil.transformTxId(txId)
+    if (verbose) {
+      throw new errors.Service.NotSupported('verbose transactions are not supported')
+    }
+
+    let rawTx = await getTx(this._storage, txId)
+    return rawTx.toString('hex')
+  }
+
+  /**
+   * @param {Session} session
+   * @param {Array.<*>} params [txId, height]
+   * @return {Promise<{block_height: number, merkle: string[], pos: number}>}
+   */
+  async _transactionGetMerkle (session, [txId, height]) {
+    txId = qutil.transformTxId(txId)
+    let {rows} = await this._storage.executeQuery(
+      SQL.select.blocks.txIdsByTxId, [`\\x${txId}`])
+
+    let result = getMerkle(txId, rows[0])
+    if (result.source !== 'blocks' ||
+        (height !== undefined && result.block.height !== height)) {
+      throw new errors.Service.TxNotFound(txId)
+    }
+
+    return {
+      block_height: result.block.height,
+      merkle: result.block.merkle,
+      pos: result.block.index
+    }
+  }
+
+  /**
+   * @param {Session} session
+   * @param {Array.<*>} params [rawTx]
+   * @return {Promise<string>}
+   */
+  async _transactionBroadcast (session, [rawTx]) {
+    let tx
+    try {
+      if (!_.isString(rawTx) || !bitcore.util.js.isHexa(rawTx)) {
+        throw new Error('expected hex string')
+      }
+
+      tx = new bitcore.Transaction(rawTx)
+    } catch (err) {
+      throw new errors.Service.SendTxError(`Invalid transaction: ${err.message}`)
+    }
+
+    await this._scanner.sendTx(tx.toString())
+    return tx.id
+  }
+}
@@ -1,112 +1,58 @@
 import _ from 'lodash'
 
-import errors from '../../../lib/errors'
 import SQL from '../../../lib/sql'
+import hutil from '../util/history'
+import mutil from '../util/mempool'
 import qutil from '../util/query'
 
 let v1 = {}
 let v2 = {}
 export default {v1, v2}
 
-function query (req) {
+function query (req, withMempool = false) {
   return req.storage.executeTransaction(async (client) => {
     let query = {
-      addresses: qutil.transformAddresses(unescape(req.query.addresses)),
+      keys: qutil.transformAddresses(unescape(req.query.addresses)),
       source: qutil.transformSource(req.query.source),
       from: qutil.transformFromTo(req.query.from),
       to: qutil.transformFromTo(req.query.to),
-      status: qutil.transformStatus(req.query.status)
-    }
-
-    let result = await client.queryAsync(SQL.select.blocks.latest)
-    let latest = {
-      height: result.rows[0].height,
-      hash: result.rows[0].hash.toString('hex')
-    }
-
-    let from = -1
-    if (query.from !== undefined) {
-      from = await qutil.getHeightForPoint(client, query.from)
-      if (from === null) {
-        throw new errors.Service.FromNotFound(query.from)
-      }
+      status: qutil.transformStatus(req.query.status),
+      limit: qutil.transformLimit(req.query.limit)
     }
-
-    let to = latest.height
-    if (query.to !== undefined) {
-      to = await qutil.getHeightForPoint(client, query.to)
-      if (to === null) {
-        throw new errors.Service.ToNotFound(query.to)
+    query.cursor = qutil.transformCursor(
+      req.query.cursor, query.status === 'unspent' ? 3 : 2)
+
+    let result = await hutil.query(client, query, {
+      transactions: SQL.select.history.transactions,
+      unspent: SQL.select.history.unspent
+    })
+
+    if (withMempool) {
+      let items = _.filter(result.transactions || result.unspent, {height: null})
+      let infos = await mutil.getInfo(client, _.pluck(items, 'txid'))
+      for (let item of items) {
+        item.mempool = infos[item.txid]
       }
     }
 
-    let sql = query.status === 'unspent'
-                ? SQL.select.history.unspentToLatest
-                : SQL.select.history.transactionsToLatest
-    let params = [query.addresses, from]
-    if (to !== latest.height) {
-      sql = query.status === 'unspent'
-              ? SQL.select.history.unspent
-              : SQL.select.history.transactions
-      params.push(to)
-    }
-
-    let rows = _.chain((await client.queryAsync(sql, params)).rows)
-    if (query.status === 'unspent') {
-      rows = rows.map((row) => {
-        return {
-          txid: row.otxid.toString('hex'),
-          vount: row.oindex,
-          value: parseInt(row.ovalue, 10),
-          script: row.oscript.toString('hex'),
-          height: row.oheight
-        }
-      })
-      .unique((row) => `${row.txid}:${row.vount}`)
-    } else {
-      rows = rows
-        .map((row) => {
-          let items = [{
-            txid: row.otxid.toString('hex'),
-            height: row.oheight
-          }]
-
-          if (row.itxid !== null) {
-            items.push({
-              txid: row.itxid.toString('hex'),
-              height: row.iheight
-            })
-          }
+    return result
+  })
+}
 
-          return items
-        })
-        .flatten()
-        .unique('txid')
+function balance (req) {
+  return req.storage.executeTransaction(async (client) => {
+    let query = {
+      addresses: qutil.transformAddresses(unescape(req.query.addresses)),
+      from: qutil.transformFromTo(req.query.from),
+      to: qutil.transformFromTo(req.query.to)
     }
 
-    let value = rows
-      .filter((row) => {
-        if ((row.height !== null) &&
-            !(row.height > from && row.height <= to)) {
-          return false
-        }
+    let {from, to, latest} = await hutil.getRange(client, query)
 
-        if (query.source === 'blocks' && row.height === null) {
-          return false
-        }
+    let {balances, total} = await hutil.getBalances(
+      client, query.addresses, from, to)
 
-        if (query.source === 'mempool' && row.height !== null) {
-          return false
-        }
-
-        return true
-      })
-      .sortBy('height')
-      .value()
-
-    return query.status === 'unspent'
-             ? {unspent: value, latest}
-             : {transactions: value, latest}
+    return {balances, total, latest}
   })
 }
 
@@ -126,5 +72,9 @@ v1.query = (req, res) => {
 }
 
 v2.query = (req, res) => {
-  res.promise(query(req))
+  res.promise(query(req, req.query.mempool === 'true'))
+}
+
+v2.balance = (req, res) => {
+  res.promise(balance(req))
 }
@@ -0,0 +1,87 @@
+import _ from 'lodash'
+import bitcore from 'bitcore-lib'
+
+import errors from '../../../lib/errors'
+import SQL from '../../../lib/sql'
+import qutil from '../util/query'
+
+let v2 = {}
+export default {v2}
+
+/**
+ * @param {pg.Client} client
+ * @param {string} id
+ * @return {Promise<Object>}
+ * @throws {errors.Service}
+ */
+async function getBlock (client, id) {
+  let point = qutil.transformFromTo(id)
+  let height = point === undefined
+                 ? null
+                 : await qutil.getHeightForPoint(client, point)
+  if (height === null) {
+    throw new errors.Service.BlockNotFound(id)
+  }
+
+  let {rows} = await client.queryAsync(SQL.select.blocks.txIdsByHeight, [height])
+  let txIds = rows[0].txids.toString('hex')
+  return {
+    height: rows[0].height,
+    hash: rows[0].hash.toString('hex'),
+    header: rows[0].header,
+    txIds: _.times(txIds.length / 64, (i) => txIds.slice(i * 64, (i + 1) * 64))
+  }
+}
+
+v2.info = (req, res) => {
+  res.promise(req.storage.executeTransaction(async (client) => {
+    let block = await getBlock(client, req.query.id)
+    let offset = qutil.transformOffset(req.query.offset)
+    let limit = qutil.transformLimit(req.query.limit)
+
+    let [latest, next] = await* [
+      client.queryAsync(SQL.select.blocks.latest),
+      client.queryAsync(SQL.select.blocks.byHeight, [block.height + 1])
+    ]
+
+    let header = bitcore.BlockHeader(block.header).toObject()
+
+    return {
+      height: block.height,
+      hash: block.hash,
+      version: header.version,
+      merkleRoot: header.merkleRoot,
+      time: header.time,
+      bits: header.bits,
+      nonce: header.nonce,
+      previousHash: block.height === 0 ? null : header.prevHash,
+      nextHash: next.rowCount === 0 ? null : next.rows[0].hash.toString('hex'),
+      confirmations: latest.rows[0].height - block.height + 1,
+      txCount: block.txIds.length,
+      txids: block.txIds.slice(offset, offset + limit)
+    }
+  }))
+}
+
+v2.raw = (req, res) => {
+  res.promise(req.storage.executeTransaction(async (client) => {
+    let block = await getBlock(client, req.query.id)
+
+    let {rows} = await client.queryAsync(
+      SQL.select.transactions.byTxIds, [block.txIds.map((txId) => `\\x${txId}`)])
+    let rawTxs = _.zipObject(rows.map((row) => [row.txid.toString('hex'), row.tx]))
+
+    let writer = new bitcore.encoding.BufferWriter()
+    writer.write(block.header)
+    writer.writeVarintNum(block.txIds.length)
+    for (let txId of block.txIds) {
+      if (rawTxs[txId] === undefined) {
+        throw new errors.Service.TxNotFound(txId)
+      }
+
+      writer.write(rawTxs[txId])
+    }
+
+    return {hex: writer.toBuffer().toString('hex')}
+  }))
+}
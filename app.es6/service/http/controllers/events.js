@@ -0,0 +1,186 @@
+import _ from 'lodash'
+
+import config from '../../../lib/config'
+import errors from '../../../lib/errors'
+import logger from '../../../lib/logger'
+import wsutil from '../../ws/util'
+
+// interval of comments for keeping connection alive
+const HEARTBEAT_INTERVAL = 15000
+
+let v2 = {}
+export default {v2}
+
+/**
+ * @param {?string} val comma separated list
+ * @return {string[]}
+ */
+function split (val) {
+  return _.isString(val) && val !== '' ? val.split(',') : []
+}
+
+/**
+ * Rooms same as in socket.io server
+ *
+ * @param {Object} query
+ * @return {string[]}
+ * @throws {errors.Service.InvalidSubscription}
+ */
+function getRooms (query) {
+  let networkName = config.get('chromanode.network')
+  if (networkName === 'regtest') {
+    networkName = 'testnet'
+  }
+
+  let types = split(query.types)
+  if (types.length === 0) {
+    throw new errors.Service.InvalidSubscription('types is required')
+  }
+
+  try {
+    return _.flatten(types.map((type) => {
+      switch (type) {
+        case 'new-block':
+        case 'new-tx':
+        case 'status':
+          return wsutil.getRoom({type: type}, networkName)
+
+        case 'tx':
+          return split(query.txids).map((txid) => {
+            return wsutil.getRoom({type: type, txid: txid}, networkName)
+          })
+
+        case 'address':
+          return split(query.addresses).map((address) => {
+            return wsutil.getRoom({type: type, address: address}, networkName)
+          })
+
+        default:
+          throw new Error(`wrong type: ${type}`)
+      }
+    }))
+  } catch (err) {
+    throw new errors.Service.InvalidSubscription(err.message)
+  }
+}
+
+/**
+ * @param {express.Request} req
+ * @param {express.Response} res
+ * @param {string[]} rooms
+ * @return {Promise}
+ */
+async function stream (req, res, rooms) {
+  let subscribed = _.zipObject(rooms.map((room) => [room, true]))
+  let lastEventId = parseInt(req.get('Last-Event-ID'), 10)
+
+  let closed = false
+  let write = (name, payload) => {
+    let lines = payload.seq === undefined ? [] : [`id: ${payload.seq}`]
+    lines.push(`event: ${name}`, `data: ${JSON.stringify(payload)}`, '', '')
+    res.write(lines.join('\n'))
+    res.flush()
+  }
+
+  // live events are queued while missed events are sent
+  let queue = _.isFinite(lastEventId) ? [] : null
+  let notify = (name, payload) => {
+    if (queue !== null) {
+      return queue.push([name, payload])
+    }
+
+    if (payload.seq === undefined || !(payload.seq <= lastEventId)) {
+      write(name, payload)
+    }
+  }
+
+  let listeners = {
+    block: (payload) => {
+      if (subscribed['new-block'] === true) {
+        notify('new-block', wsutil.v2Payloads.block(payload))
+      }
+    },
+    tx: (payload) => {
+      let obj = wsutil.v2Payloads.tx(payload)
+      if (subscribed['new-tx'] === true) {
+        notify('new-tx', obj)
+      }
+      if (subscribed[`tx-${payload.txId}`] === true) {
+        notify('tx', obj)
+      }
+    },
+    address: (payload) => {
+      if (subscribed[`address-${payload.address}`] === true) {
+        notify('address', wsutil.v2Payloads.address(payload))
+      }
+    },
+    status: (payload) => {
+      if (subscribed.status === true) {
+        notify('status', payload)
+      }
+    }
+  }
+
+  req.socket.setTimeout(0)
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive'
+  })
+  res.write(':ok\n\n')
+  res.flush()
+
+  let heartbeatId = setInterval(() => {
+    res.write(':heartbeat\n\n')
+    res.flush()
+  }, HEARTBEAT_INTERVAL)
+
+  for (let [event, listener] of _.pairs(listeners)) {
+    req.scanner.on(event, listener)
+  }
+
+  let stop = () => {
+    closed = true
+    clearInterval(heartbeatId)
+    for (let [event, listener] of _.pairs(listeners)) {
+      req.scanner.removeListener(event, listener)
+    }
+  }
+  req.on('close', stop)
+
+  if (queue === null) {
+    return
+  }
+
+  try {
+    lastEventId = await wsutil.replayJournal(
+      req.storage,
+      lastEventId,
+      _.filter(rooms, wsutil.isJournalRoom),
+      (name, payload) => !closed && write(name, payload))
+  } catch (err) {
+    stop()
+    throw err
+  }
+
+  let items = queue
+  queue = null
+  for (let [name, payload] of items) {
+    notify(name, payload)
+  }
+}
+
+v2.stream = (req, res) => {
+  let rooms
+  try {
+    rooms = getRooms(req.query)
+  } catch (err) {
+    return res.promise(Promise.reject(err))
+  }
+
+  stream(req, res, rooms)
+    .catch((err) => {
+      logger.error(`Events stream: ${err.stack}`)
+      res.end()
+    })
+}
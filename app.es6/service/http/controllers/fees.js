@@ -0,0 +1,116 @@
+import _ from 'lodash'
+import bitcore from 'bitcore-lib'
+
+import config from '../../../lib/config'
+import SQL from '../../../lib/sql'
+import qutil from '../util/query'
+
+let PERCENTILES = [10, 25, 50, 75, 90]
+
+// window => {hash: string, time: number, pFeerates: Promise<number[]>}
+let cache = {}
+
+let v2 = {}
+export default {v2}
+
+/**
+ * Nearest-rank percentile
+ *
+ * @param {number[]} values sorted values
+ * @param {number} percentile
+ * @return {number}
+ */
+function getPercentile (values, percentile) {
+  let index = Math.ceil(values.length * percentile / 100) - 1
+  return values[Math.max(index, 0)]
+}
+
+/**
+ * Feerates (satoshi per kilobyte) of transactions from latest blocks and
+ *  mempool, transactions with unknown input values are skipped
+ *
+ * @param {Storage} storage
+ * @param {number} height
+ * @param {number} window number of latest blocks
+ * @return {Promise<number[]>}
+ */
+async function loadFeerates (storage, height, window) {
+  let result = await storage.executeQuery(
+    SQL.select.fees.samples, [height - window])
+
+  return _.chain(result.rows)
+    .map((row) => {
+      let tx = new bitcore.Transaction(row.tx)
+      if (tx.isCoinbase() || parseInt(row.icount, 10) !== tx.inputs.length) {
+        return null
+      }
+
+      let fee = parseInt(row.ivalue, 10) - _.sum(tx.outputs, 'satoshis')
+      return Math.ceil(fee * 1000 / row.tx.length)
+    })
+    .filter((feerate) => feerate !== null && feerate >= 0)
+    .sortBy()
+    .value()
+}
+
+/**
+ * Feerates cached per tip, mempool part refreshed after `cacheTime`
+ *
+ * @param {Storage} storage
+ * @param {number} blocks
+ * @return {Promise<number[]>}
+ */
+async function getFeerates (storage, blocks) {
+  let window = Math.max(blocks, config.get('chromanode.feeEstimate.blocks', 6))
+  let cacheTime = config.get('chromanode.feeEstimate.cacheTime', 60) * 1000
+
+  let {rows} = await storage.executeQuery(SQL.select.blocks.latest)
+  let height = rows.length === 0 ? -1 : rows[0].height
+  let hash = rows.length === 0 ? null : rows[0].hash.toString('hex')
+
+  let cached = cache[window]
+  if (cached === undefined || cached.hash !== hash || Date.now() - cached.time > cacheTime) {
+    cached = cache[window] = {
+      hash: hash,
+      time: Date.now(),
+      pFeerates: loadFeerates(storage, height, window)
+    }
+
+    // failed request not cached
+    cached.pFeerates.catch(() => {
+      if (cache[window] === cached) {
+        delete cache[window]
+      }
+    })
+  }
+
+  return await cached.pFeerates
+}
+
+v2.estimate = (req, res) => {
+  res.promise((async () => {
+    let blocks = qutil.transformBlocks(req.query.blocks)
+
+    let feerates = await getFeerates(req.storage, blocks)
+    if (feerates.length >= config.get('chromanode.feeEstimate.minSamples', 100)) {
+      return {
+        blocks: blocks,
+        feerate: getPercentile(feerates, Math.max(100 - blocks * 10, 10)),
+        source: 'storage',
+        samples: feerates.length,
+        percentiles: _.zipObject(PERCENTILES.map((percentile) => {
+          return [percentile, getPercentile(feerates, percentile)]
+        }))
+      }
+    }
+
+    let feerate = await req.scanner.estimateFee(blocks)
+    return {
+      blocks: blocks,
+      feerate: feerate < 0 ? null : Math.round(feerate * 1e8),
+      source: 'bitcoind',
+      samples: feerates.length,
+      percentiles: null
+    }
+  })())
+}
@@ -0,0 +1,57 @@
+import _ from 'lodash'
+
+import SQL from '../../../lib/sql'
+import qutil from '../util/query'
+
+let v2 = {}
+export default {v2}
+
+v2.info = (req, res) => {
+  res.promise((async () => {
+    let {rows} = await req.storage.executeQuery(SQL.select.mempool.info)
+
+    return {
+      count: parseInt(rows[0].count, 10),
+      size: parseInt(rows[0].size, 10),
+      fees: parseInt(rows[0].fees, 10)
+    }
+  })())
+}
+
+v2.txids = (req, res) => {
+  res.promise((async () => {
+    let offset = qutil.transformOffset(req.query.offset)
+    let limit = qutil.transformLimit(req.query.limit)
+
+    let {rows} = await req.storage.executeQuery(
+      SQL.select.mempool.txIds, [offset, limit])
+
+    return {
+      txids: rows.map((row) => {
+        return {
+          txid: row.txid.toString('hex'),
+          size: row.size,
+          fee: parseInt(row.fee, 10),
+          time: row.seen.toISOString()
+        }
+      })
+    }
+  })())
+}
+
+v2.orphans = (req, res) => {
+  res.promise((async () => {
+    let {rows} = await req.storage.executeQuery(SQL.select.orphans.all)
+
+    return {
+      orphans: rows.map((row) => {
+        let deps = row.deps.toString('hex')
+        return {
+          txid: row.txid.toString('hex'),
+          deps: _.times(deps.length / 64, (i) => deps.slice(i * 64, (i + 1) * 64)),
+          time: row.seen.toISOString()
+        }
+      })
+    }
+  })())
+}
@@ -0,0 +1,71 @@
+import _ from 'lodash'
+
+import SQL from '../../../lib/sql'
+import hutil from '../util/history'
+import qutil from '../util/query'
+
+let v2 = {}
+export default {v2}
+
+/**
+ * Smallest hex string greater than all strings with given prefix
+ *
+ * @param {string} prefix
+ * @return {?string} null if there is no upper bound
+ */
+function getUpperBound (prefix) {
+  let bytes = _.dropRightWhile(_.toArray(new Buffer(prefix, 'hex')), (byte) => byte === 0xff)
+  if (bytes.length === 0) {
+    return null
+  }
+
+  bytes[bytes.length - 1] += 1
+  return new Buffer(bytes).toString('hex')
+}
+
+v2.query = (req, res) => {
+  res.promise(req.storage.executeTransaction(async (client) => {
+    let query = {
+      prefix: qutil.transformPrefix(req.query.prefix, req.query.encoding),
+      source: qutil.transformSource(req.query.source),
+      from: qutil.transformFromTo(req.query.from),
+      to: qutil.transformFromTo(req.query.to),
+      limit: qutil.transformLimit(req.query.limit),
+      cursor: qutil.transformCursor(req.query.cursor, 3)
+    }
+
+    let {from, to, latest} = await hutil.getRange(client, query)
+
+    let upper = getUpperBound(query.prefix)
+    let cursor = query.cursor === null ? [-1, '', -1] : query.cursor
+    let {rows} = await client.queryAsync(SQL.select.opreturns.byPrefix, [
+      `\\x${query.prefix}`,
+      upper === null ? null : `\\x${upper}`,
+      from,
+      to,
+      query.source !== 'mempool',
+      query.source !== 'blocks',
+      cursor[0] === null ? hutil.MEMPOOL_HEIGHT : cursor[0],
+      `\\x${cursor[1]}`,
+      cursor[2],
+      query.limit
+    ])
+
+    let outputs = rows.map((row) => {
+      return {
+        txid: row.txid.toString('hex'),
+        vout: row.vout,
+        height: row.height,
+        payload: row.payload.toString('hex')
+      }
+    })
+
+    let result = {outputs, latest, next: null}
+    if (outputs.length === query.limit) {
+      let last = _.last(outputs)
+      result.next = qutil.encodeCursor([last.height, last.txid, last.vout])
+    }
+
+    return result
+  }))
+}
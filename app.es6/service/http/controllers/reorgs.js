@@ -0,0 +1,18 @@
+import SQL from '../../../lib/sql'
+import qutil from '../util/query'
+import rutil from '../util/reorg'
+
+let v2 = {}
+export default {v2}
+
+v2.latest = (req, res) => {
+  res.promise((async () => {
+    let offset = qutil.transformOffset(req.query.offset)
+    let limit = qutil.transformLimit(req.query.limit)
+
+    let {rows} = await req.storage.executeQuery(
+      SQL.select.reorgs.latest, [offset, limit])
+
+    return {reorgs: rows.map(rutil.fromRow)}
+  })())
+}
@@ -0,0 +1,27 @@
+import SQL from '../../../lib/sql'
+import hutil from '../util/history'
+import qutil from '../util/query'
+
+let v2 = {}
+export default {v2}
+
+v2.query = (req, res) => {
+  res.promise(req.storage.executeTransaction(async (client) => {
+    let scriptHash = qutil.transformScriptHash(req.query.scripthash)
+    let query = {
+      keys: [`\\x${scriptHash}`],
+      source: qutil.transformSource(req.query.source),
+      from: qutil.transformFromTo(req.query.from),
+      to: qutil.transformFromTo(req.query.to),
+      status: qutil.transformStatus(req.query.status),
+      limit: qutil.transformLimit(req.query.limit)
+    }
+    query.cursor = qutil.transformCursor(
+      req.query.cursor, query.status === 'unspent' ? 3 : 2)
+
+    return await hutil.query(client, query, {
+      transactions: SQL.select.history.scriptTransactions,
+      unspent: SQL.select.history.scriptUnspent
+    })
+  }))
+}
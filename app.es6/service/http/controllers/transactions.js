@@ -1,16 +1,20 @@
 import _ from 'lodash'
 import bitcore from 'bitcore-lib'
 
+import config from '../../../lib/config'
 import errors from '../../../lib/errors'
 import util from '../../../lib/util'
 import SQL from '../../../lib/sql'
+import mutil from '../util/mempool'
 import qutil from '../util/query'
-import { getTx } from '../util/tx'
+import { getTx, getMerkle } from '../util/tx'
 
 let v1 = {}
 let v2 = {}
 export default {v1, v2}
 
+let bitcoinNetwork = bitcore.Networks.get(config.get('chromanode.network'))
+
 v1.raw = v2.raw = (req, res) => {
   res.promise((async () => {
     let txId = qutil.transformTxId(req.query.txid)
@@ -20,63 +24,195 @@ v1.raw = v2.raw = (req, res) => {
   })())
 }
 
-v1.merkle = v2.merkle = function (req, res) {
-  res.promise((async () => {
+v2.info = (req, res) => {
+  res.promise(req.storage.executeTransaction(async (client) => {
     let txId = qutil.transformTxId(req.query.txid)
-    let result = await req.storage.executeQuery(
-      SQL.select.blocks.txIdsByTxId, [`\\x${txId}`])
 
+    let result = await client.queryAsync(
+      SQL.select.transactions.byTxId, [`\\x${txId}`])
     if (result.rowCount === 0) {
       throw new errors.Service.TxNotFound(txId)
     }
 
-    if (result.rows[0].height === null) {
-      return {source: 'mempool'}
-    }
+    let rawTx = result.rows[0].tx
+    let tx = new bitcore.Transaction(rawTx)
+    let isCoinbase = tx.isCoinbase()
 
-    let bTxIds = result.rows[0].txids.toString('hex')
-    let txIds = []
-    for (let cnt = bTxIds.length / 64, idx = 0; idx < cnt; idx += 1) {
-      txIds.push(bTxIds.slice(idx * 64, (idx + 1) * 64))
-    }
+    let [block, latest] = await* [
+      client.queryAsync(SQL.select.blocks.byTxId, [`\\x${txId}`]),
+      client.queryAsync(SQL.select.blocks.latest)
+    ]
+    let height = block.rows[0].height
 
-    let merkle = []
-    let hashes = txIds.map(util.decode)
-    let targetHash = util.decode(txId)
-    while (hashes.length !== 1) {
-      if (hashes.length % 2 === 1) {
-        hashes.push(_.last(hashes))
-      }
+    // outputs of this transaction and previous outputs from history
+    let txIds = _.uniq([txId].concat(tx.inputs.map((input) => {
+      return input.prevTxId.toString('hex')
+    })))
+    let {rows} = await client.queryAsync(
+      SQL.select.history.outputs, [txIds.map((txId) => `\\x${txId}`)])
+    let history = _.groupBy(rows, (row) => {
+      return `${row.otxid.toString('hex')}:${row.oindex}`
+    })
 
-      let nHashes = []
-      for (let cnt = hashes.length, idx = 0; idx < cnt; idx += 2) {
-        let nHashSrc = Buffer.concat([hashes[idx], hashes[idx + 1]])
-        let nHash = bitcore.crypto.Hash.sha256sha256(nHashSrc)
-        nHashes.push(nHash)
-
-        if (hashes[idx].equals(targetHash)) {
-          merkle.push(util.encode(hashes[idx + 1]))
-          targetHash = nHash
-        } else if (hashes[idx + 1].equals(targetHash)) {
-          merkle.push(util.encode(hashes[idx]))
-          targetHash = nHash
+    let inputs = tx.inputs.map((input) => {
+      if (isCoinbase) {
+        return {
+          coinbase: input._scriptBuffer.toString('hex'),
+          sequence: input.sequenceNumber
         }
       }
-      hashes = nHashes
+
+      let prevTxId = input.prevTxId.toString('hex')
+      let prevRows = history[`${prevTxId}:${input.outputIndex}`] || []
+      return {
+        txid: prevTxId,
+        vout: input.outputIndex,
+        script: input._scriptBuffer.toString('hex'),
+        sequence: input.sequenceNumber,
+        value: prevRows.length === 0 ? null : parseInt(prevRows[0].ovalue, 10),
+        addresses: _.filter(prevRows, 'address').map((row) => row.address.toString())
+      }
+    })
+
+    let outputs = tx.outputs.map((output, index) => {
+      let row = _.first(history[`${txId}:${index}`])
+      let spent = null
+      if (row !== undefined && row.itxid !== null) {
+        spent = {txid: row.itxid.toString('hex'), height: row.iheight}
+      }
+
+      return {
+        value: output.satoshis,
+        script: output.script.toHex(),
+        addresses: util.getAddresses(output.script, bitcoinNetwork),
+        spent: spent
+      }
+    })
+
+    let fee = null
+    if (isCoinbase) {
+      fee = 0
+    } else if (_.every(inputs, (input) => input.value !== null)) {
+      fee = _.sum(inputs, 'value') - _.sum(outputs, 'value')
     }
 
     return {
-      source: 'blocks',
-      block: {
-        height: result.rows[0].height,
-        hash: result.rows[0].hash.toString('hex'),
-        merkle: merkle,
-        index: txIds.indexOf(txId)
+      txid: txId,
+      version: tx.version,
+      locktime: tx.nLockTime,
+      size: rawTx.length,
+      fee: fee,
+      height: height,
+      blockHash: height === null ? null : block.rows[0].hash.toString('hex'),
+      confirmations: height === null ? 0 : latest.rows[0].height - height + 1,
+      inputs: inputs,
+      outputs: outputs,
+      mempool: height === null ? (await mutil.getInfo(client, [txId]))[txId] : null
+    }
+  }))
+}
+
+/**
+ * @param {string} txId
+ * @return {boolean}
+ */
+function isTxId (txId) {
+  try {
+    qutil.transformTxId(txId)
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+/**
+ * @param {Array.<*>} items
+ * @param {function} fn
+ * @return {Promise<Array.<Object>>}
+ */
+function runBatch (items, fn) {
+  return Promise.all(items.map(async (item) => {
+    try {
+      return {status: 'success', data: await fn(item)}
+    } catch (err) {
+      if (!(err instanceof errors.Service)) {
+        throw err
       }
+
+      // cut ErrorChromanodeService
+      return {status: 'fail', data: {type: err.name.slice(22), message: err.message}}
     }
+  }))
+}
+
+v2.rawBatch = (req, res) => {
+  res.promise(req.storage.executeTransaction(async (client) => {
+    let items = qutil.transformBatch(req.body.txids)
+    let txIds = _.uniq(items.filter(isTxId))
+
+    let {rows} = await client.queryAsync(
+      SQL.select.transactions.byTxIds, [txIds.map((txId) => `\\x${txId}`)])
+    let rawTxs = _.zipObject(rows.map((row) => [row.txid.toString('hex'), row.tx]))
+
+    return runBatch(items, (txId) => {
+      txId = qutil.transformTxId(txId)
+      if (rawTxs[txId] === undefined) {
+        throw new errors.Service.TxNotFound(txId)
+      }
+
+      return {hex: rawTxs[txId].toString('hex')}
+    })
+  }))
+}
+
+v1.merkle = v2.merkle = function (req, res) {
+  res.promise((async () => {
+    let txId = qutil.transformTxId(req.query.txid)
+    let result = await req.storage.executeQuery(
+      SQL.select.blocks.txIdsByTxId, [`\\x${txId}`])
+
+    return getMerkle(txId, result.rows[0])
   })())
 }
 
+v2.merkleBatch = (req, res) => {
+  res.promise(req.storage.executeTransaction(async (client) => {
+    let items = qutil.transformBatch(req.body.txids)
+    let txIds = _.uniq(items.filter(isTxId))
+
+    let {rows} = await client.queryAsync(
+      SQL.select.blocks.txIdsByTxIds, [txIds.map((txId) => `\\x${txId}`)])
+    rows = _.indexBy(rows, (row) => row.txid.toString('hex'))
+
+    return runBatch(items, (txId) => {
+      txId = qutil.transformTxId(txId)
+      return getMerkle(txId, rows[txId])
+    })
+  }))
+}
+
+/**
+ * @param {string} txId
+ * @param {Object} [row] row from SQL.select.history.spent
+ * @return {Object}
+ * @throws {errors.Service.TxNotFound}
+ */
+function getSpent (txId, row) {
+  if (row === undefined) {
+    throw new errors.Service.TxNotFound(txId)
+  }
+
+  if (row.itxid === null) {
+    return {spent: false}
+  }
+
+  return {
+    spent: true,
+    txid: row.itxid.toString('hex'),
+    height: row.iheight
+  }
+}
+
 v2.spent = function (req, res) {
   res.promise((async () => {
     let oTxId = qutil.transformTxId(req.query.txid)
@@ -84,18 +220,47 @@ v2.spent = function (req, res) {
     let result = await req.storage.executeQuery(
       SQL.select.history.spent, [`\\x${oTxId}`, oindex])
 
-    if (result.rowCount === 0) {
-      throw new errors.Service.TxNotFound(oTxId)
-    }
+    return getSpent(oTxId, result.rows[0])
+  })())
+}
 
-    if (result.rows[0].itxid === null) {
-      return {spent: false}
-    }
+v2.spentBatch = (req, res) => {
+  res.promise(req.storage.executeTransaction(async (client) => {
+    let items = qutil.transformBatch(req.body.outpoints)
+    let txIds = _.uniq(_.pluck(items, 'txid').filter(isTxId))
+
+    let {rows} = await client.queryAsync(
+      SQL.select.history.outputs, [txIds.map((txId) => `\\x${txId}`)])
+    rows = _.indexBy(rows, (row) => `${row.otxid.toString('hex')}:${row.oindex}`)
+
+    return runBatch(items, (outpoint) => {
+      let oTxId = qutil.transformTxId(_.get(outpoint, 'txid'))
+      let oindex = qutil.transformVout(_.get(outpoint, 'vout'))
+      return getSpent(oTxId, rows[`${oTxId}:${oindex}`])
+    })
+  }))
+}
+
+v2.conflicts = (req, res) => {
+  res.promise((async () => {
+    let txId = qutil.transformTxId(req.query.txid)
+    let {rows} = await req.storage.executeQuery(
+      SQL.select.conflicts.byTxId, [`\\x${txId}`])
+
+    let outpoints = _.groupBy(rows, (row) => {
+      return `${row.otxid.toString('hex')}:${row.oindex}`
+    })
 
     return {
-      spent: true,
-      txid: result.rows[0].itxid.toString('hex'),
-      height: result.rows[0].iheight
+      conflicts: _.values(outpoints).map((rows) => {
+        return {
+          txid: rows[0].otxid.toString('hex'),
+          vout: rows[0].oindex,
+          txids: rows.map((row) => row.txid.toString('hex')),
+          winner: rows[0].winner === null ? null : rows[0].winner.toString('hex'),
+          height: rows[0].height
+        }
+      })
     }
   })())
 }
@@ -0,0 +1,199 @@
+import _ from 'lodash'
+import crypto from 'crypto'
+import url from 'url'
+
+import config from '../../../lib/config'
+import errors from '../../../lib/errors'
+import SQL from '../../../lib/sql'
+import qutil from '../util/query'
+import { checkTarget } from '../../webhooks'
+
+let v2 = {}
+export default {v2}
+
+/**
+ * @param {string} val
+ * @return {string}
+ * @throws {errors.Service.InvalidWebhook}
+ */
+function transformUrl (val) {
+  let protocol = _.isString(val) ? url.parse(val).protocol : null
+  if (protocol === 'http:' || protocol === 'https:') {
+    return val
+  }
+
+  throw new errors.Service.InvalidWebhook(`wrong url: ${val}`)
+}
+
+/**
+ * Registration allowed only with `webhooks.token` in Authorization header
+ *  if token set in config
+ *
+ * @param {express.Request} req
+ * @throws {errors.Service.Unauthorized}
+ */
+function checkAuthorization (req) {
+  let token = config.get('webhooks.token', null)
+  if (token !== null && req.get('Authorization') !== `Bearer ${token}`) {
+    throw new errors.Service.Unauthorized('wrong token')
+  }
+}
+
+/**
+ * @param {*} val
+ * @return {number}
+ * @throws {errors.Service.InvalidWebhook}
+ */
+function transformConfirmations (val) {
+  if (val === undefined) {
+    return 0
+  }
+
+  let num = parseInt(val, 10)
+  if (_.isFinite(num) && num >= 0 && String(num) === String(val)) {
+    return num
+  }
+
+  throw new errors.Service.InvalidWebhook(`wrong confirmations: ${val}`)
+}
+
+/**
+ * Compare HMACs with random key instead of secrets, so comparison time
+ *  not depends from matched prefix (crypto.timingSafeEqual not available
+ *  in node 4 and 5)
+ *
+ * @param {string} a
+ * @param {string} b
+ * @return {boolean}
+ */
+function isSecretEqual (a, b) {
+  let key = crypto.randomBytes(32)
+  let hmac = (val) => crypto.createHmac('sha256', key).update(val).digest('hex')
+  return hmac(a) === hmac(b)
+}
+
+/**
+ * @param {pg.Client} client
+ * @param {Object} body
+ * @return {Promise<number>}
+ * @throws {errors.Service.WebhookNotFound}
+ */
+async function getWebhookId (client, body) {
+  let id = parseInt(body.id, 10)
+  if (_.isFinite(id) && _.isString(body.secret)) {
+    let {rows} = await client.queryAsync(SQL.select.webhooks.byId, [id])
+    if (rows.length === 1 && isSecretEqual(rows[0].secret, body.secret)) {
+      return id
+    }
+  }
+
+  throw new errors.Service.WebhookNotFound(body.id)
+}
+
+v2.register = (req, res) => {
+  res.promise((async () => {
+    checkAuthorization(req)
+
+    let webhook = {
+      url: transformUrl(req.body.url),
+      type: req.body.type
+    }
+
+    let reason = await checkTarget(webhook.url)
+    if (reason !== null) {
+      throw new errors.Service.InvalidWebhook(`wrong url: ${reason}`)
+    }
+
+    let keys
+    let addresses = req.body.addresses
+    switch (webhook.type) {
+      case 'new-block':
+        keys = []
+        break
+
+      case 'address':
+        keys = webhook.addresses = qutil.transformAddresses(
+          _.isArray(addresses) ? addresses.join(',') : addresses)
+        break
+
+      case 'tx':
+        webhook.txid = qutil.transformTxId(req.body.txid)
+        webhook.confirmations = transformConfirmations(req.body.confirmations)
+        keys = [webhook.txid]
+        break
+
+      default:
+        throw new errors.Service.InvalidWebhook(`wrong type: ${webhook.type}`)
+    }
+
+    let secret = crypto.randomBytes(32).toString('hex')
+    let {rows} = await req.storage.executeQuery(SQL.insert.webhooks.row, [
+      webhook.url,
+      secret,
+      webhook.type,
+      keys,
+      webhook.confirmations || 0
+    ])
+
+    return _.extend(webhook, {
+      id: rows[0].id,
+      secret: secret,
+      created: rows[0].created.toISOString()
+    })
+  })())
+}
+
+v2.remove = (req, res) => {
+  res.promise(req.storage.executeTransaction(async (client) => {
+    let id = await getWebhookId(client, req.body)
+
+    await* [
+      client.queryAsync(SQL.delete.webhookDeliveries.byWebhook, [id]),
+      client.queryAsync(SQL.delete.webhookDeadLetters.byWebhook, [id]),
+      client.queryAsync(SQL.delete.webhooks.byId, [id])
+    ]
+  }))
+}
+
+v2.deliveries = (req, res) => {
+  res.promise(req.storage.executeTransaction(async (client) => {
+    let id = await getWebhookId(client, req.body)
+    let limit = req.body.limit === undefined
+      ? 100
+      : qutil.transformLimit(String(req.body.limit))
+
+    let [deliveries, deadLetters] = await* [
+      client.queryAsync(SQL.select.webhookDeliveries.byWebhook, [id, limit]),
+      client.queryAsync(SQL.select.webhookDeadLetters.byWebhook, [id, limit])
+    ]
+
+    return {
+      deliveries: deliveries.rows.map((row) => {
+        return {
+          id: row.id,
+          event: row.event,
+          payload: JSON.parse(row.payload),
+          status: row.status,
+          attempts: row.attempts,
+          nextAttempt: row.next_attempt.toISOString(),
+          responseStatus: row.response_status,
+          lastError: row.last_error,
+          created: row.created.toISOString(),
+          updated: row.updated.toISOString()
+        }
+      }),
+      deadLetters: deadLetters.rows.map((row) => {
+        return {
+          id: row.id,
+          event: row.event,
+          payload: JSON.parse(row.payload),
+          attempts: row.attempts,
+          responseStatus: row.response_status,
+          lastError: row.last_error,
+          created: row.created.toISOString(),
+          failed: row.failed.toISOString()
+        }
+      })
+    }
+  }))
+}
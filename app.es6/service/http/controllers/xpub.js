@@ -0,0 +1,66 @@
+import _ from 'lodash'
+
+import SQL from '../../../lib/sql'
+import hutil from '../util/history'
+import qutil from '../util/query'
+import xutil from '../util/xpub'
+
+let v2 = {}
+export default {v2}
+
+v2.query = (req, res) => {
+  res.promise(req.storage.executeTransaction(async (client) => {
+    let query = {
+      xpub: qutil.transformXPub(req.query.xpub),
+      scheme: qutil.transformScheme(req.query.scheme),
+      gapLimit: qutil.transformGapLimit(req.query.gaplimit)
+    }
+
+    let {from, to, latest} = await hutil.getRange(client, {})
+
+    let chains = await xutil.discover(
+      client, query.xpub, query.scheme, query.gapLimit)
+
+    let used = _.flatten(chains.map((chain) => {
+      return _.chain(chain.addresses)
+        .map((address, index) => {
+          return {address: address, chain: chain.name, index: index}
+        })
+        .filter((item) => chain.used[item.address] === true)
+        .value()
+    }))
+    let usedAddresses = _.pluck(used, 'address')
+
+    let {balances, total} = await hutil.getBalances(
+      client, usedAddresses, from, to)
+
+    let {rows} = await client.queryAsync(
+      SQL.select.history.addressesUnspent, [usedAddresses])
+    let unspent = _.chain(rows)
+      .map((row) => {
+        return {
+          txid: row.otxid.toString('hex'),
+          vout: row.oindex,
+          value: parseInt(row.ovalue, 10),
+          script: row.oscript.toString('hex'),
+          height: row.oheight,
+          address: row.address.toString()
+        }
+      })
+      .uniq((item) => `${item.txid}:${item.vout}`)
+      .value()
+
+    let unusedAddresses = _.zipObject(chains.map((chain) => {
+      let index = chain.lastUsed + 1
+      return [chain.name, {address: chain.addresses[index], index: index}]
+    }))
+
+    return {
+      addresses: used.map((item) => _.extend(item, {balance: balances[item.address]})),
+      unused: unusedAddresses,
+      balance: total,
+      unspent: unspent,
+      latest: latest
+    }
+  }))
+}
@@ -1,9 +1,18 @@
 import express from 'express'
 
 import addresses from '../controllers/addresses'
+import blocks from '../controllers/blocks'
+import events from '../controllers/events'
+import fees from '../controllers/fees'
 import headers from '../controllers/headers'
+import mempool from '../controllers/mempool'
 import node from '../controllers/node'
+import opreturn from '../controllers/opreturn'
+import reorgs from '../controllers/reorgs'
+import scripts from '../controllers/scripts'
 import transactions from '../controllers/transactions'
+import webhooks from '../controllers/webhooks'
+import xpub from '../controllers/xpub'
 import cc from '../controllers/cc'
 
 export default {
@@ -17,14 +26,52 @@ export default {
     router.get('/headers/latest', headers.v2.latest)
     router.get('/headers/query', headers.v2.query)
 
+    // block routes
+    router.get('/blocks/info', blocks.v2.info)
+    router.get('/blocks/raw', blocks.v2.raw)
+
+    // mempool routes
+    router.get('/mempool/info', mempool.v2.info)
+    router.get('/mempool/txids', mempool.v2.txids)
+    router.get('/mempool/orphans', mempool.v2.orphans)
+
+    // fee routes
+    router.get('/fees/estimate', fees.v2.estimate)
+
+    // reorg routes
+    router.get('/reorgs', reorgs.v2.latest)
+
     // transaction routes
     router.get('/transactions/raw', transactions.v2.raw)
+    router.post('/transactions/raw/batch', transactions.v2.rawBatch)
+    router.get('/transactions/info', transactions.v2.info)
     router.get('/transactions/merkle', transactions.v2.merkle)
+    router.post('/transactions/merkle/batch', transactions.v2.merkleBatch)
     router.get('/transactions/spent', transactions.v2.spent)
+    router.post('/transactions/spent/batch', transactions.v2.spentBatch)
+    router.get('/transactions/conflicts', transactions.v2.conflicts)
     router.post('/transactions/send', transactions.v2.send)
 
     // address routes
     router.get('/addresses/query', addresses.v2.query)
+    router.get('/addresses/balance', addresses.v2.balance)
+
+    // script routes
+    router.get('/scripts/query', scripts.v2.query)
+
+    // extended public key routes
+    router.get('/xpub/query', xpub.v2.query)
+
+    // null-data output routes
+    router.get('/opreturn/query', opreturn.v2.query)
+
+    // notifications stream
+    router.get('/events', events.v2.stream)
+
+    // webhook routes
+    router.post('/webhooks', webhooks.v2.register)
+    router.post('/webhooks/remove', webhooks.v2.remove)
+    router.post('/webhooks/deliveries', webhooks.v2.deliveries)
 
     // colored coins
     router.post('/cc/getAllColoredCoins', cc.v2.getAllColoredCoins)
@@ -0,0 +1,154 @@
+import _ from 'lodash'
+
+import errors from '../../../lib/errors'
+import SQL from '../../../lib/sql'
+import qutil from './query'
+
+// sort key of mempool transactions in SQL.select.history
+const MEMPOOL_HEIGHT = 2147483647
+
+/**
+ * @param {pg.Client} client
+ * @param {Object} query
+ * @param {(string|number)} [query.from]
+ * @param {(string|number)} [query.to]
+ * @return {Promise<{from: number, to: number, latest: {height: number, hash: string}}>}
+ */
+async function getRange (client, query) {
+  let result = await client.queryAsync(SQL.select.blocks.latest)
+  let latest = {
+    height: result.rows[0].height,
+    hash: result.rows[0].hash.toString('hex')
+  }
+
+  let from = -1
+  if (query.from !== undefined) {
+    from = await qutil.getHeightForPoint(client, query.from)
+    if (from === null) {
+      throw new errors.Service.FromNotFound(query.from)
+    }
+  }
+
+  let to = latest.height
+  if (query.to !== undefined) {
+    to = await qutil.getHeightForPoint(client, query.to)
+    if (to === null) {
+      throw new errors.Service.ToNotFound(query.to)
+    }
+  }
+
+  return {from, to, latest}
+}
+
+/**
+ * Balance for every address and total for all addresses
+ *
+ * @param {pg.Client} client
+ * @param {string[]} addresses
+ * @param {number} from
+ * @param {number} to
+ * @return {Promise<{balances: Object, total: Object}>}
+ */
+async function getBalances (client, addresses, from, to) {
+  let empty = {confirmed: 0, unconfirmed: 0, received: 0, sent: 0}
+  let balances = _.zipObject(addresses.map((address) => {
+    return [address, _.clone(empty)]
+  }))
+
+  let {rows} = await client.queryAsync(
+    SQL.select.history.balance, [addresses, from, to])
+  for (let row of rows) {
+    let [creceived, csent, ureceived, usent] = [
+      row.creceived, row.csent, row.ureceived, row.usent
+    ].map((value) => parseInt(value, 10))
+
+    balances[row.address.toString()] = {
+      confirmed: creceived - csent,
+      unconfirmed: ureceived - usent,
+      received: creceived + ureceived,
+      sent: csent + usent
+    }
+  }
+
+  let total = _.clone(empty)
+  for (let item of _.values(balances)) {
+    for (let key of _.keys(total)) {
+      total[key] += item[key]
+    }
+  }
+
+  return {balances, total}
+}
+
+/**
+ * Paginated transactions or unspent outputs from history
+ *
+ * @param {pg.Client} client
+ * @param {Object} query
+ * @param {Array.<*>} query.keys first param for sql queries
+ * @param {string} query.source
+ * @param {(string|number)} [query.from]
+ * @param {(string|number)} [query.to]
+ * @param {string} query.status
+ * @param {number} query.limit
+ * @param {?Array.<*>} query.cursor
+ * @param {{transactions: string, unspent: string}} sql
+ * @return {Promise<Object>}
+ */
+async function query (client, query, sql) {
+  let {from, to, latest} = await getRange(client, query)
+
+  let isUnspent = query.status === 'unspent'
+  let cursor = query.cursor === null ? [-1, ''] : query.cursor
+  let params = [
+    query.keys,
+    from,
+    to,
+    query.source !== 'mempool',
+    query.source !== 'blocks',
+    cursor[0] === null ? MEMPOOL_HEIGHT : cursor[0],
+    `\\x${cursor[1]}`
+  ]
+  if (isUnspent) {
+    params.push(query.cursor === null ? -1 : cursor[2])
+  }
+  params.push(query.limit)
+
+  let {rows} = await client.queryAsync(
+    isUnspent ? sql.unspent : sql.transactions, params)
+
+  let value
+  if (isUnspent) {
+    value = rows.map((row) => {
+      return {
+        txid: row.otxid.toString('hex'),
+        vount: row.oindex,
+        value: parseInt(row.ovalue, 10),
+        script: row.oscript.toString('hex'),
+        height: row.oheight
+      }
+    })
+  } else {
+    value = rows.map((row) => {
+      return {txid: row.txid.toString('hex'), height: row.height}
+    })
+  }
+
+  let result = isUnspent ? {unspent: value, latest} : {transactions: value, latest}
+  result.next = null
+  if (value.length === query.limit) {
+    let last = _.last(value)
+    result.next = qutil.encodeCursor(isUnspent
+                                       ? [last.height, last.txid, last.vount]
+                                       : [last.height, last.txid])
+  }
+
+  return result
+}
+
+export default {
+  MEMPOOL_HEIGHT: MEMPOOL_HEIGHT,
+  getRange: getRange,
+  getBalances: getBalances,
+  query: query
+}
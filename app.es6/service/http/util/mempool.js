@@ -0,0 +1,92 @@
+import _ from 'lodash'
+
+import SQL from '../../../lib/sql'
+
+/**
+ * Size, fee and feerate (satoshi per kilobyte) of package, stored
+ *  transaction plus aggregated ancestors or descendants
+ *
+ * @param {{size: number, fee: ?number}} item
+ * @param {?Object} row
+ * @return {{count: number, size: number, fee: ?number, feeRate: ?number}}
+ */
+function getPackage (item, row) {
+  let count = 1
+  let size = item.size
+  let fee = item.fee
+
+  if (row !== undefined) {
+    count += parseInt(row.count, 10)
+    size += parseInt(row.size, 10)
+    fee = fee === null || row.fees !== row.count ? null : fee + parseInt(row.fee, 10)
+  }
+
+  return {
+    count: count,
+    size: size,
+    fee: fee,
+    feeRate: fee === null ? null : Math.ceil(fee * 1000 / size)
+  }
+}
+
+/**
+ * Replaceability, replacements and package feerates of unconfirmed
+ *  transactions, ancestors and descendants packages include transaction
+ *
+ * @param {pg.Client} client
+ * @param {string[]} txIds
+ * @return {Promise<Object>} txId => info, null for confirmed
+ */
+async function getInfo (client, txIds) {
+  txIds = _.uniq(txIds)
+  let params = [txIds.map((txId) => `\\x${txId}`)]
+
+  let [txs, ancestors, descendants] = await* [
+    client.queryAsync(SQL.select.mempool.txs, params),
+    client.queryAsync(SQL.select.mempool.ancestorsPackages, params),
+    client.queryAsync(SQL.select.mempool.descendantsPackages, params)
+  ]
+
+  let byTxId = (rows) => _.indexBy(rows, (row) => row.txid.toString('hex'))
+  txs = byTxId(txs.rows)
+  ancestors = byTxId(ancestors.rows)
+  descendants = byTxId(descendants.rows)
+
+  let infos = await* txIds.map(async (txId) => {
+    let row = txs[txId]
+    if (row === undefined) {
+      return [txId, null]
+    }
+
+    let item = {size: row.size, fee: row.fee === null ? null : parseInt(row.fee, 10)}
+    let conflicts = await client.queryAsync(SQL.select.conflicts.byTxId, [`\\x${txId}`])
+
+    // spenders of every output in order of appearance
+    let spenders = _.values(_.groupBy(conflicts.rows, (conflict) => {
+      return `${conflict.otxid.toString('hex')}:${conflict.oindex}`
+    })).map((items) => items.map((conflict) => conflict.txid.toString('hex')))
+
+    let replaces = _.uniq(_.filter(spenders.map((txIds) => {
+      return txIds[txIds.indexOf(txId) - 1]
+    })))
+    let replacedBy = _.chain(spenders)
+      .map((txIds) => txIds[txIds.indexOf(txId) + 1])
+      .filter()
+      .first()
+      .value()
+
+    return [txId, {
+      rbf: row.rbf || _.get(ancestors[txId], 'rbf', false),
+      replaces: replaces,
+      replacedBy: replacedBy || null,
+      fee: item.fee,
+      feeRate: item.fee === null ? null : Math.ceil(item.fee * 1000 / item.size),
+      ancestors: getPackage(item, ancestors[txId]),
+      descendants: getPackage(item, descendants[txId])
+    }]
+  })
+
+  return _.zipObject(infos)
+}
+
+export default {getInfo: getInfo}
@@ -3,6 +3,7 @@ import bitcore from 'bitcore-lib'
 import assert from 'assert'
 
 import config from '../../../lib/config'
+import { OPRETURN_PREFIX_SIZE } from '../../../lib/const'
 import errors from '../../../lib/errors'
 import SQL from '../../../lib/sql'
 
@@ -103,6 +104,25 @@ function transformStatus (val) {
   return val
 }
 
+/**
+ * @param {*} val
+ * @return {Array.<*>}
+ * @throws {errors.Service.InvalidBatch}
+ */
+function transformBatch (val) {
+  if (!_.isArray(val) || val.length === 0) {
+    throw new errors.Service.InvalidBatch('batch should be non-empty array')
+  }
+
+  let maxSize = config.get('chromanode.maxBatchSize', 100)
+  if (val.length > maxSize) {
+    throw new errors.Service.InvalidBatch(
+      `batch size ${val.length} exceeds maximum ${maxSize}`)
+  }
+
+  return val
+}
+
 /**
  * @param {string} txId
  * @return {string}
@@ -115,6 +135,209 @@ function transformTxId (txId) {
   throw new errors.Service.InvalidTxId(txId)
 }
 
+/**
+ * @param {*} val
+ * @return {number}
+ * @throws {errors.Service.InvalidOutIndices}
+ */
+function transformVout (val) {
+  let num = parseInt(val, 10)
+  if (_.isFinite(num) && num >= 0 && String(num) === String(val)) {
+    return num
+  }
+
+  throw new errors.Service.InvalidOutIndices(String(val))
+}
+
+/**
+ * @param {string} scriptHash
+ * @return {string}
+ * @throws {errors.Service.InvalidScriptHash}
+ */
+function transformScriptHash (scriptHash) {
+  if (!!scriptHash && scriptHash.length === 64 && bitcore.util.js.isHexa(scriptHash)) {
+    return scriptHash.toLowerCase()
+  }
+
+  throw new errors.Service.InvalidScriptHash(scriptHash)
+}
+
+/**
+ * @param {string} [val]
+ * @param {string} [encoding] hex (by default) or utf8
+ * @return {string} prefix in hex
+ * @throws {errors.Service.InvalidEncoding}
+ * @throws {errors.Service.InvalidPrefix}
+ */
+function transformPrefix (val, encoding) {
+  if (encoding === undefined) {
+    encoding = 'hex'
+  }
+
+  if (encoding !== 'hex' && encoding !== 'utf8') {
+    throw new errors.Service.InvalidEncoding(encoding)
+  }
+
+  if (val === undefined) {
+    return ''
+  }
+
+  if (_.isString(val)) {
+    let hex = encoding === 'hex' ? val.toLowerCase() : new Buffer(val, 'utf8').toString('hex')
+    if ((hex === '' || bitcore.util.js.isHexa(hex)) &&
+        hex.length % 2 === 0 &&
+        hex.length <= OPRETURN_PREFIX_SIZE * 2) {
+      return hex
+    }
+  }
+
+  throw new errors.Service.InvalidPrefix(val)
+}
+
+/**
+ * Limit is `chromanode.maxLimit` if omitted, greater limit clamped to maximum
+ *
+ * @param {string} [val]
+ * @return {number}
+ * @throws {errors.Service.InvalidLimit}
+ */
+function transformLimit (val) {
+  let maxLimit = config.get('chromanode.maxLimit', 1000)
+  if (val === undefined) {
+    return maxLimit
+  }
+
+  let num = parseInt(val, 10)
+  if (_.isFinite(num) && num > 0 && String(num) === val) {
+    return Math.min(num, maxLimit)
+  }
+
+  throw new errors.Service.InvalidLimit(val)
+}
+
+/**
+ * @param {string} val
+ * @return {number}
+ * @throws {errors.Service.InvalidOffset}
+ */
+function transformOffset (val) {
+  if (val === undefined) {
+    return 0
+  }
+
+  let num = parseInt(val, 10)
+  if (_.isFinite(num) && num >= 0 && String(num) === val) {
+    return num
+  }
+
+  throw new errors.Service.InvalidOffset(val)
+}
+
+/**
+ * @param {string} val
+ * @return {number}
+ * @throws {errors.Service.InvalidBlocks}
+ */
+function transformBlocks (val) {
+  if (val === undefined) {
+    return 6
+  }
+
+  let num = parseInt(val, 10)
+  if (_.isFinite(num) && num > 0 && num <= 25 && String(num) === val) {
+    return num
+  }
+
+  throw new errors.Service.InvalidBlocks(val)
+}
+
+/**
+ * @param {string} val
+ * @return {string}
+ * @throws {errors.Service.InvalidXPub}
+ */
+function transformXPub (val) {
+  let networkName = config.get('chromanode.network')
+  if (networkName === 'regtest') {
+    networkName = 'testnet'
+  }
+
+  try {
+    let hdPublicKey = new bitcore.HDPublicKey(val)
+    assert.equal(hdPublicKey.network.name, networkName)
+  } catch (err) {
+    throw new errors.Service.InvalidXPub(val)
+  }
+
+  return val
+}
+
+/**
+ * @param {string} val
+ * @return {string}
+ * @throws {errors.Service.InvalidScheme}
+ */
+function transformScheme (val) {
+  if (val !== undefined && ['bip44', 'single'].indexOf(val) === -1) {
+    throw new errors.Service.InvalidScheme(val)
+  }
+
+  return val || 'bip44'
+}
+
+/**
+ * @param {string} val
+ * @return {number}
+ * @throws {errors.Service.InvalidGapLimit}
+ */
+function transformGapLimit (val) {
+  if (val === undefined) {
+    return config.get('chromanode.xpub.gapLimit', 20)
+  }
+
+  let num = parseInt(val, 10)
+  let max = config.get('chromanode.xpub.maxGapLimit', 100)
+  if (_.isFinite(num) && num > 0 && num <= max && String(num) === val) {
+    return num
+  }
+
+  throw new errors.Service.InvalidGapLimit(val)
+}
+
+/**
+ * Cursor is base64 encoded JSON array: [height, txid] or [height, txid, vout]
+ *  where height is null for mempool
+ *
+ * @param {Array.<*>} items
+ * @return {string}
+ */
+function encodeCursor (items) {
+  return new Buffer(JSON.stringify(items)).toString('base64')
+}
+
+/**
+ * @param {string} val
+ * @param {number} length
+ * @return {?Array.<*>}
+ * @throws {errors.Service.InvalidCursor}
+ */
+function transformCursor (val, length) {
+  if (val === undefined) {
+    return null
+  }
+
+  try {
+    let items = JSON.parse(new Buffer(val, 'base64').toString())
+    assert.ok(_.isArray(items) && items.length === length)
+    assert.ok(items[0] === null || (_.isNumber(items[0]) && items[0] >= 0))
+    transformTxId(items[1])
+    assert.ok(items.length === 2 || (_.isNumber(items[2]) && items[2] >= 0))
+    return items
+  } catch (err) {
+    throw new errors.Service.InvalidCursor(val)
+  }
+}
+
 /**
  * @param {pg.Client} client
  * @param {(string|number)} point hash or height
@@ -140,5 +363,17 @@ export default {
   transformSource: transformSource,
   transformStatus: transformStatus,
   transformTxId: transformTxId,
+  transformVout: transformVout,
+  transformScriptHash: transformScriptHash,
+  transformPrefix: transformPrefix,
+  transformBatch: transformBatch,
+  transformLimit: transformLimit,
+  transformOffset: transformOffset,
+  transformBlocks: transformBlocks,
+  transformXPub: transformXPub,
+  transformScheme: transformScheme,
+  transformGapLimit: transformGapLimit,
+  transformCursor: transformCursor,
+  encodeCursor: encodeCursor,
   getHeightForPoint: getHeightForPoint
 }
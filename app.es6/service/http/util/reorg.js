@@ -0,0 +1,26 @@
+import _ from 'lodash'
+
+/**
+ * @param {Object} row row from SQL.select.reorgs
+ * @return {Object}
+ */
+function fromRow (row) {
+  let txIds = row.txids.toString('hex')
+
+  return {
+    id: row.id,
+    height: row.height,
+    time: row.time.toISOString(),
+    old: {
+      hash: row.old_hash.toString('hex'),
+      height: row.old_height
+    },
+    new: {
+      hash: row.new_hash.toString('hex'),
+      height: row.new_height
+    },
+    txids: _.times(txIds.length / 64, (i) => txIds.slice(i * 64, (i + 1) * 64))
+  }
+}
+
+export default {fromRow: fromRow}
@@ -1,4 +1,8 @@
+import _ from 'lodash'
+import bitcore from 'bitcore-lib'
+
 import errors from '../../../lib/errors'
+import util from '../../../lib/util'
 import SQL from '../../../lib/sql'
 
 /**
@@ -15,4 +19,61 @@ async function getTx (storage, txId) {
   return rows[0].tx
 }
 
-export default {getTx: getTx}
+/**
+ * @param {string} txId
+ * @param {Object} [row] row from SQL.select.blocks.txIdsByTxId
+ * @return {Object}
+ * @throws {errors.Service.TxNotFound}
+ */
+function getMerkle (txId, row) {
+  if (row === undefined) {
+    throw new errors.Service.TxNotFound(txId)
+  }
+
+  if (row.height === null) {
+    return {source: 'mempool'}
+  }
+
+  let bTxIds = row.txids.toString('hex')
+  let txIds = []
+  for (let cnt = bTxIds.length / 64, idx = 0; idx < cnt; idx += 1) {
+    txIds.push(bTxIds.slice(idx * 64, (idx + 1) * 64))
+  }
+
+  let merkle = []
+  let hashes = txIds.map(util.decode)
+  let targetHash = util.decode(txId)
+  while (hashes.length !== 1) {
+    if (hashes.length % 2 === 1) {
+      hashes.push(_.last(hashes))
+    }
+
+    let nHashes = []
+    for (let cnt = hashes.length, idx = 0; idx < cnt; idx += 2) {
+      let nHashSrc = Buffer.concat([hashes[idx], hashes[idx + 1]])
+      let nHash = bitcore.crypto.Hash.sha256sha256(nHashSrc)
+      nHashes.push(nHash)
+
+      if (hashes[idx].equals(targetHash)) {
+        merkle.push(util.encode(hashes[idx + 1]))
+        targetHash = nHash
+      } else if (hashes[idx + 1].equals(targetHash)) {
+        merkle.push(util.encode(hashes[idx]))
+        targetHash = nHash
+      }
+    }
+    hashes = nHashes
+  }
+
+  return {
+    source: 'blocks',
+    block: {
+      height: row.height,
+      hash: row.hash.toString('hex'),
+      merkle: merkle,
+      index: txIds.indexOf(txId)
+    }
+  }
+}
+
+export default {getTx: getTx, getMerkle: getMerkle}
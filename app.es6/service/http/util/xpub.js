@@ -0,0 +1,111 @@
+import _ from 'lodash'
+import bitcore from 'bitcore-lib'
+
+import config from '../../../lib/config'
+import SQL from '../../../lib/sql'
+
+// chain name to chain index for every derivation scheme,
+//  null index means addresses derived directly from extended key
+const SCHEMES = {
+  bip44: {external: 0, internal: 1},
+  single: {external: null}
+}
+
+/**
+ * @return {bitcore.Network}
+ */
+function getNetwork () {
+  let networkName = config.get('chromanode.network')
+  if (networkName === 'regtest') {
+    networkName = 'testnet'
+  }
+
+  return bitcore.Networks.get(networkName)
+}
+
+/**
+ * @class Chain
+ */
+class Chain {
+  /**
+   * @constructor
+   * @param {string} xpub
+   * @param {string} scheme
+   * @param {string} name
+   */
+  constructor (xpub, scheme, name) {
+    let hdPublicKey = new bitcore.HDPublicKey(xpub)
+    let index = SCHEMES[scheme][name]
+
+    this.name = name
+    this.addresses = []
+    this.used = {}
+    this.lastUsed = -1
+
+    this._network = getNetwork()
+    this._hdPublicKey = index === null ? hdPublicKey : hdPublicKey.derive(index)
+  }
+
+  /**
+   * @param {number} index
+   */
+  markUsed (index) {
+    this.used[this.addresses[index]] = true
+    this.lastUsed = Math.max(this.lastUsed, index)
+  }
+
+  /**
+   * Derive addresses up to `size`
+   *
+   * @param {number} size
+   * @return {string[]} new addresses
+   */
+  extend (size) {
+    let addresses = _.range(this.addresses.length, size).map((index) => {
+      let publicKey = this._hdPublicKey.derive(index).publicKey
+      return publicKey.toAddress(this._network).toString()
+    })
+
+    this.addresses = this.addresses.concat(addresses)
+    return addresses
+  }
+}
+
+/**
+ * Derive addresses for every chain of scheme while count of unused
+ *  addresses after last used less than `gapLimit`
+ *
+ * @param {pg.Client} client
+ * @param {string} xpub
+ * @param {string} scheme
+ * @param {number} gapLimit
+ * @return {Promise<Chain[]>}
+ */
+async function discover (client, xpub, scheme, gapLimit) {
+  let chains = _.keys(SCHEMES[scheme]).map((name) => {
+    return new Chain(xpub, scheme, name)
+  })
+
+  for (let chain of chains) {
+    while (chain.addresses.length - chain.lastUsed - 1 < gapLimit) {
+      let offset = chain.addresses.length
+      let addresses = chain.extend(chain.lastUsed + 1 + gapLimit)
+
+      let {rows} = await client.queryAsync(
+        SQL.select.history.usedAddresses, [addresses])
+      let used = _.indexBy(rows, (row) => row.address.toString())
+      addresses.forEach((address, index) => {
+        if (used[address] !== undefined) {
+          chain.markUsed(offset + index)
+        }
+      })
+    }
+  }
+
+  return chains
+}
+
+export default {
+  Chain: Chain,
+  discover: discover
+}
@@ -6,7 +6,10 @@ import config from '../lib/config'
 import logger from '../lib/logger'
 import createServer from './http'
 import SocketIO from './ws'
+import WebSocketRPC from './ws/rpc'
+import Electrum from './electrum'
 import Scanner from './scanner'
+import Webhooks from './webhooks'
 import Storage from '../lib/storage'
 import Messages from '../lib/messages'
 import cc from './http/controllers/cc'
@@ -32,7 +35,16 @@ export default async function () {
   let server = createServer(expressApp, storage, scanner)
 
   if (!!config.get('chromanode.enableNotifications') === true) {
-    new SocketIO(scanner).attach(server)
+    new SocketIO(storage, scanner).attach(server)
+    new WebSocketRPC(scanner).attach(server)
+  }
+
+  if (!!config.get('electrum.enable') === true) {
+    await new Electrum(storage, scanner).listen()
+  }
+
+  if (!!config.get('webhooks.enable') === true) {
+    new Webhooks(storage).start()
   }
 
   await server.listen(config.get('chromanode.port'))
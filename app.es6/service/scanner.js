@@ -1,4 +1,5 @@
 import _ from 'lodash'
+import crypto from 'crypto'
 import { EventEmitter } from 'events'
 import { mixin } from 'core-decorators'
 import ReadyMixin from 'ready-mixin'
@@ -6,12 +7,14 @@ import ReadyMixin from 'ready-mixin'
 import errors from '../lib/errors'
 import logger from '../lib/logger'
 import SQL from '../lib/sql'
+import rutil from './http/util/reorg'
 
 /**
  * @event Scanner#block
  * @param {Object} payload
  * @param {string} payload.hash
  * @param {number} payload.height
+ * @param {number} payload.seq
  */
 
 /**
@@ -20,6 +23,14 @@ import SQL from '../lib/sql'
  * @param {string} payload.txId
  * @param {?string} payload.blockHash
  * @param {?string} payload.blockHeight
+ * @param {number} payload.seq
+ */
+
+/**
+ * @event Scanner#txstatus
+ * @param {Object} payload
+ * @param {string} payload.txId
+ * @param {string} payload.status unconfirmed or removed
  */
 
 /**
@@ -29,6 +40,45 @@ import SQL from '../lib/sql'
  * @param {string} payload.txId
  * @param {?string} payload.blockHash
  * @param {?string} payload.blockHeight
+ * @param {number} payload.seq
+ */
+
+/**
+ * @event Scanner#replaced
+ * @param {Object} payload
+ * @param {string} payload.txId
+ * @param {string} payload.replacedBy
+ */
+
+/**
+ * @event Scanner#doublespend
+ * @param {Object} payload
+ * @param {string} payload.address
+ * @param {string} payload.txId
+ * @param {string} payload.replacedTxId
+ * @param {string} payload.prevTxId
+ * @param {number} payload.outputIndex
+ */
+
+/**
+ * @event Scanner#reorg
+ * @param {Object} payload
+ * @param {number} payload.id
+ * @param {number} payload.height
+ * @param {string} payload.time
+ * @param {{hash: string, height: number}} payload.old
+ * @param {{hash: string, height: number}} payload.new
+ * @param {string[]} payload.txids
+ */
+
+/**
+ * @event Scanner#opreturn
+ * @param {Object} payload
+ * @param {string} payload.txid
+ * @param {number} payload.vout
+ * @param {?string} payload.blockHash
+ * @param {?number} payload.blockHeight
+ * @param {string} payload.payload
  */
 
 /**
@@ -49,12 +99,15 @@ export default class Scanner extends EventEmitter {
    */
   constructor (storage, mNotifications, mSendTx) {
     super()
+    // every events stream (SSE) have own listeners
+    this.setMaxListeners(0)
 
     this._storage = storage
     this._mNotifications = mNotifications
     this._mSendTx = mSendTx
 
     this._sendTxDeferreds = {}
+    this._estimateFeeDeferreds = {}
 
     this._lastStatus = new Promise((resolve) => {
       let isResolved = false
@@ -92,9 +145,15 @@ export default class Scanner extends EventEmitter {
       return Promise.all([
         listen(this._mNotifications, 'broadcastblock', 'block'),
         listen(this._mNotifications, 'broadcasttx', 'tx'),
+        listen(this._mNotifications, 'broadcasttxstatus', 'txstatus'),
         listen(this._mNotifications, 'broadcastaddress', 'address'),
+        listen(this._mNotifications, 'broadcastdoublespend', 'doublespend'),
+        listen(this._mNotifications, 'broadcasttxreplaced', 'replaced'),
         listen(this._mNotifications, 'broadcaststatus', 'status'),
-        listen(this._mSendTx, 'sendtxresponse', ::this._onSendTxResponse)
+        listen(this._mNotifications, 'broadcastreorg', ::this._onReorg),
+        listen(this._mNotifications, 'broadcastopreturn', ::this._onOpReturn),
+        listen(this._mSendTx, 'sendtxresponse', ::this._onSendTxResponse),
+        listen(this._mNotifications, 'estimatefeeresponse', ::this._onEstimateFeeResponse)
       ])
     })
     .then(() => this._ready(null), (err) => this._ready(err))
@@ -110,6 +169,49 @@ export default class Scanner extends EventEmitter {
     return this._lastStatus
   }
 
+  /**
+   * @param {Object} payload
+   * @param {number} payload.id
+   * @return {Promise}
+   */
+  async _onReorg (payload) {
+    try {
+      let {rows} = await this._storage.executeQuery(
+        SQL.select.reorgs.byId, [payload.id])
+      this.emit('reorg', rutil.fromRow(rows[0]))
+    } catch (err) {
+      logger.error(`Scanner._onReorg: ${err.stack}`)
+    }
+  }
+
+  /**
+   * @param {Object} payload
+   * @param {string} payload.txId
+   * @param {number} payload.vout
+   * @param {?string} payload.blockHash
+   * @param {?number} payload.blockHeight
+   * @return {Promise}
+   */
+  async _onOpReturn (payload) {
+    try {
+      let {rows} = await this._storage.executeQuery(
+        SQL.select.opreturns.byOutpoint, [`\\x${payload.txId}`, payload.vout])
+      if (rows.length === 0) {
+        return
+      }
+
+      this.emit('opreturn', {
+        txid: payload.txId,
+        vout: payload.vout,
+        blockHash: payload.blockHash,
+        blockHeight: payload.blockHeight,
+        payload: rows[0].payload.toString('hex')
+      })
+    } catch (err) {
+      logger.error(`Scanner._onOpReturn: ${err.stack}`)
+    }
+  }
+
   /**
    * @param {Object} payload
    */
@@ -129,6 +231,56 @@ export default class Scanner extends EventEmitter {
     return defer.reject(err)
   }
 
+  /**
+   * @param {Object} payload
+   */
+  _onEstimateFeeResponse (payload) {
+    let defer = this._estimateFeeDeferreds[payload.id]
+    if (defer === undefined) {
+      return
+    }
+
+    delete this._estimateFeeDeferreds[payload.id]
+    clearTimeout(defer.timeoutId)
+    if (payload.status === 'success') {
+      return defer.resolve(payload.feerate)
+    }
+
+    return defer.reject(
+      new errors.Service.EstimateFeeError(unescape(payload.message)))
+  }
+
+  /**
+   * Ask scanner for bitcoind estimatefee
+   *
+   * @param {number} blocks
+   * @return {Promise<number>} BTC per kilobyte, -1 if not enough data
+   */
+  async estimateFee (blocks) {
+    let id = crypto.randomBytes(16).toString('hex')
+
+    let process = new Promise((resolve, reject) => {
+      this._estimateFeeDeferreds[id] = {
+        resolve: resolve,
+        reject: reject,
+        timeoutId: setTimeout(() => {
+          delete this._estimateFeeDeferreds[id]
+          reject(new errors.Service.EstimateFeeError('Scanner not responding'))
+        }, 10000)
+      }
+    })
+
+    try {
+      await this._mNotifications.notify('estimatefee', {id: id, blocks: blocks})
+    } catch (err) {
+      clearTimeout(this._estimateFeeDeferreds[id].timeoutId)
+      delete this._estimateFeeDeferreds[id]
+      throw err
+    }
+
+    return await process
+  }
+
   /**
    * @param {string} txHex
    * @return {Promise}
@@ -0,0 +1,269 @@
+import _ from 'lodash'
+import crypto from 'crypto'
+import dns from 'dns'
+import http from 'http'
+import https from 'https'
+import net from 'net'
+import url from 'url'
+import PUtils from 'promise-useful-utils'
+
+import config from '../../lib/config'
+import logger from '../../lib/logger'
+import SQL from '../../lib/sql'
+
+// maximum number of deliveries processed at once
+const DELIVERIES_BATCH_SIZE = 20
+
+/**
+ * @param {string} ip
+ * @return {boolean} true for loopback, private, link-local and other
+ *   not routable addresses
+ */
+function isPrivateIP (ip) {
+  if (net.isIPv6(ip)) {
+    ip = ip.toLowerCase()
+
+    // IPv4-mapped
+    let mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/)
+    if (mapped !== null) {
+      return isPrivateIP(mapped[1])
+    }
+
+    return ip === '::' ||
+           ip === '::1' ||
+           /^f[cd]/.test(ip) || // fc00::/7 unique local
+           /^fe[89ab]/.test(ip) || // fe80::/10 link-local
+           /^ff/.test(ip) // multicast
+  }
+
+  let [a, b] = ip.split('.').map((part) => parseInt(part, 10))
+  return a === 0 ||
+         a === 10 ||
+         a === 127 ||
+         a >= 224 || // multicast and reserved
+         (a === 100 && b >= 64 && b < 128) || // carrier-grade NAT
+         (a === 169 && b === 254) ||
+         (a === 172 && b >= 16 && b < 32) ||
+         (a === 192 && b === 168)
+}
+
+/**
+ * Resolve webhook url hostname and check that it not resolved to private
+ *  network, allowed by `webhooks.allowPrivate`
+ *
+ * @param {string} target
+ * @return {Promise<{reason: ?string, address: ?string}>}
+ *   reason if target not allowed, address for connection otherwise
+ *   (null if private addresses allowed)
+ */
+async function resolveTarget (target) {
+  if (config.get('webhooks.allowPrivate', false)) {
+    return {reason: null, address: null}
+  }
+
+  let hostname = url.parse(target).hostname || ''
+  hostname = hostname.replace(/^\[(.*)\]$/, '$1')
+
+  let addresses = [hostname]
+  if (net.isIP(hostname) === 0) {
+    try {
+      addresses = await new Promise((resolve, reject) => {
+        dns.lookup(hostname, {all: true}, (err, addresses) => {
+          if (err) {
+            return reject(err)
+          }
+
+          resolve(_.pluck(addresses, 'address'))
+        })
+      })
+    } catch (err) {
+      return {reason: `can't resolve ${hostname}: ${err.message}`, address: null}
+    }
+  }
+
+  let ip = _.find(addresses, isPrivateIP)
+  if (ip !== undefined) {
+    return {reason: `private address ${ip}`, address: null}
+  }
+
+  return {reason: null, address: addresses[0]}
+}
+
+/**
+ * Check that webhook url not resolved to private network, allowed by
+ *  `webhooks.allowPrivate`
+ *
+ * @param {string} target
+ * @return {Promise<?string>} reason if target not allowed
+ */
+export async function checkTarget (target) {
+  let {reason} = await resolveTarget(target)
+  return reason
+}
+
+/**
+ * HMAC-SHA256 of body with webhook secret
+ *
+ * @param {string} secret
+ * @param {string} body
+ * @return {string}
+ */
+function getSignature (secret, body) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex')
+}
+
+/**
+ * POST JSON body, resolved with response status code
+ *
+ * @param {string} target
+ * @param {?string} address connect to this address instead of resolving
+ *   target hostname again
+ * @param {string} body
+ * @param {Object} headers
+ * @param {number} timeout
+ * @return {Promise<number>}
+ */
+function post (target, address, body, headers, timeout) {
+  return new Promise((resolve, reject) => {
+    let opts = _.extend(url.parse(target), {
+      method: 'POST',
+      headers: _.extend({
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      }, headers)
+    })
+
+    if (address !== null && net.isIP(opts.hostname) === 0) {
+      opts.headers.Host = opts.host
+      // certificate still verified for hostname from url
+      opts.servername = opts.hostname
+      opts.hostname = opts.host = address
+    }
+
+    let req = (opts.protocol === 'https:' ? https : http).request(opts, (res) => {
+      res.resume()
+      res.on('end', () => resolve(res.statusCode))
+    })
+    req.setTimeout(timeout, () => {
+      req.abort()
+      reject(new Error(`Timeout (${timeout}ms)`))
+    })
+    req.on('error', reject)
+    req.end(body)
+  })
+}
+
+/**
+ * Deliver notifications to registered webhooks, failed deliveries repeated
+ *  with exponential backoff and moved to dead letters after last attempt.
+ *  Deliveries enqueued by scanner and claimed before delivery, so several
+ *  service processes can deliver at once.
+ *
+ * @class Webhooks
+ */
+export default class Webhooks {
+  /**
+   * @constructor
+   * @param {Storage} storage
+   */
+  constructor (storage) {
+    this._storage = storage
+
+    this._maxAttempts = config.get('webhooks.maxAttempts', 8)
+    this._backoff = config.get('webhooks.backoff', 5)
+    this._timeout = config.get('webhooks.timeout', 10000)
+    this._keepDeliveries = config.get('webhooks.keepDeliveries', 7)
+  }
+
+  /**
+   */
+  start () {
+    PUtils.try(async () => {
+      while (true) {
+        let count = 0
+        try {
+          count = await this._deliverPending()
+        } catch (err) {
+          logger.error(`Webhooks._deliverPending: ${err.stack}`)
+        }
+
+        if (count < DELIVERIES_BATCH_SIZE) {
+          await PUtils.delay(1000)
+        }
+      }
+    })
+
+    setInterval(async () => {
+      try {
+        await this._storage.executeQuery(
+          SQL.delete.webhookDeliveries.delivered, [this._keepDeliveries])
+      } catch (err) {
+        logger.error(`Webhooks remove old deliveries: ${err.stack}`)
+      }
+    }, 3600 * 1000)
+
+    logger.info('Webhooks delivery started ...')
+  }
+
+  /**
+   * @return {Promise<number>} number of processed deliveries
+   */
+  async _deliverPending () {
+    // claim expires if process stopped in the middle of delivery
+    let {rows} = await this._storage.executeQuery(
+      SQL.update.webhookDeliveries.claim, [DELIVERIES_BATCH_SIZE, this._timeout * 2])
+    await* rows.map((row) => this._deliver(row))
+    return rows.length
+  }
+
+  /**
+   * @param {Object} row
+   * @return {Promise}
+   */
+  async _deliver (row) {
+    let body = JSON.stringify({
+      id: row.id,
+      webhook: row.webhook_id,
+      event: row.event,
+      attempt: row.attempts + 1,
+      payload: JSON.parse(row.payload)
+    })
+
+    let status = null
+    // url checked again, DNS records could be changed after registration,
+    //  connect to checked address for avoid DNS rebinding
+    let {reason: error, address} = await resolveTarget(row.url)
+    if (error === null) {
+      try {
+        status = await post(row.url, address, body, {
+          'X-Chromanode-Event': row.event,
+          'X-Chromanode-Delivery': row.id,
+          'X-Chromanode-Signature': `sha256=${getSignature(row.secret, body)}`
+        }, this._timeout)
+        if (status < 200 || status >= 300) {
+          error = `Response status code ${status}`
+        }
+      } catch (err) {
+        error = err.message
+      }
+    }
+
+    if (error === null) {
+      return await this._storage.executeQuery(
+        SQL.update.webhookDeliveries.delivered, [row.id, status])
+    }
+
+    if (row.attempts + 1 >= this._maxAttempts) {
+      logger.warn(`Webhook delivery ${row.id} to ${row.url} failed: ${error}`)
+      return await this._storage.executeTransaction(async (client) => {
+        await client.queryAsync(
+          SQL.insert.webhookDeadLetters.fromDelivery, [row.id, status, error])
+        await client.queryAsync(SQL.delete.webhookDeliveries.byId, [row.id])
+      })
+    }
+
+    let delay = this._backoff * Math.pow(2, row.attempts)
+    await this._storage.executeQuery(
+      SQL.update.webhookDeliveries.failed, [row.id, status, error, delay])
+  }
+}
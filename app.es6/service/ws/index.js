@@ -1,9 +1,16 @@
+import _ from 'lodash'
 import IO from 'socket.io'
-import { Address } from 'bitcore-lib'
 import PUtils from 'promise-useful-utils'
 
 import config from '../../lib/config'
 import logger from '../../lib/logger'
+import SQL from '../../lib/sql'
+import qutil from '../http/util/query'
+import xutil from '../http/util/xpub'
+import wsutil from './util'
+
+// default thresholds for tx-confirmations subscription
+const DEFAULT_CONFIRMATIONS = [1, 3, 6]
 
 /**
  * @class SocketIO
@@ -11,15 +18,26 @@ import logger from '../../lib/logger'
 export default class SocketIO {
   /**
    * @constructor
+   * @param {Storage} storage
    * @param {Scanner} scanner
    */
-  constructor (scanner) {
+  constructor (storage, scanner) {
     this._networkName = config.get('chromanode.network')
     if (this._networkName === 'regtest') {
       this._networkName = 'testnet'
     }
 
+    this._storage = storage
     this._scanner = scanner
+
+    // room => {count: number, pWatcher: Promise<{xpub: string, gapLimit: number, chains: Chain[]}>}
+    this._xpubWatchers = {}
+    // address => [{room: string, watcher: Object, chain: Chain, index: number}]
+    this._xpubAddresses = {}
+    // room => {txid: string, thresholds: number[], notified: {socketId: number}}
+    this._txWatchers = {}
+    // socketId => seq of last event sent from journal on resume
+    this._replayedSeqs = {}
   }
 
   /**
@@ -52,8 +70,8 @@ export default class SocketIO {
       this._sV1.in('new-block').emit('new-block', payload.hash, payload.height)
 
       // api_v2
-      let obj = {hash: payload.hash, height: payload.height}
-      this._sV2.in('new-block').emit('new-block', obj)
+      this._emitJournalEvent('new-block', 'new-block', wsutil.v2Payloads.block(payload))
+      this._notifyTxConfirmations(_.keys(this._txWatchers))
     })
 
     this._scanner.on('tx', (payload) => {
@@ -62,13 +80,21 @@ export default class SocketIO {
       this._sV1.in('new-tx').emit('new-tx', payload.txId)
 
       // api_v2
-      let obj = {
-        txid: payload.txId,
-        blockHash: payload.blockHash,
-        blockHeight: payload.blockHeight
+      let obj = wsutil.v2Payloads.tx(payload)
+      this._emitJournalEvent('new-tx', 'new-tx', obj)
+      this._emitJournalEvent(`tx-${payload.txId}`, 'tx', obj)
+    })
+
+    this._scanner.on('txstatus', (payload) => {
+      // api_v2, thresholds will be notified again after next confirmation
+      for (let watcher of _.values(this._txWatchers)) {
+        if (watcher.txid === payload.txId) {
+          for (let socketId of _.keys(watcher.notified)) {
+            watcher.notified[socketId] = 0
+            this._emitTo(socketId, payload.status, {txid: payload.txId})
+          }
+        }
       }
-      this._sV2.in('new-tx').emit('new-tx', obj)
-      this._sV2.in(`tx-${payload.txId}`).emit('tx', obj)
     })
 
     this._scanner.on('address', (payload) => {
@@ -77,13 +103,37 @@ export default class SocketIO {
       this._sV1.in(payload.address).emit(payload.address, payload.txId)
 
       // api_v2
-      let obj = {
-        address: payload.address,
-        txid: payload.txId,
-        blockHash: payload.blockHash,
-        blockHeight: payload.blockHeight
+      let obj = wsutil.v2Payloads.address(payload)
+      this._emitJournalEvent(`address-${payload.address}`, 'address', obj)
+
+      for (let item of _.get(this._xpubAddresses, payload.address, []).slice()) {
+        this._onXPubAddress(item, obj)
       }
-      this._sV2.in(`address-${payload.address}`).emit('address', obj)
+    })
+
+    this._scanner.on('replaced', (payload) => {
+      // api_v2
+      this._sV2.in(`tx-${payload.txId}`).emit('replaced', wsutil.v2Payloads.replaced(payload))
+    })
+
+    this._scanner.on('doublespend', (payload) => {
+      // api_v2
+      let obj = wsutil.v2Payloads.doubleSpend(payload)
+      this._sV2.in(`address-${payload.address}`).emit('double-spend', obj)
+    })
+
+    this._scanner.on('reorg', (payload) => {
+      // api_v2
+      this._sV2.in('reorg').emit('reorg', payload)
+    })
+
+    this._scanner.on('opreturn', (payload) => {
+      // api_v2, one room for every prefix, socket get notification only once
+      let namespace = this._sV2
+      for (let room of wsutil.getOpReturnRooms(payload.payload)) {
+        namespace = namespace.in(room)
+      }
+      namespace.emit('opreturn', payload)
     })
 
     this._scanner.on('status', (payload) => {
@@ -107,12 +157,33 @@ export default class SocketIO {
    * @param {socket.io.Socket} socket
    */
   _onV2Connection (socket) {
+    // xpub rooms counted in watchers by socket
+    let xpubRooms = {}
+
     let join = PUtils.promisify(::socket.join)
     socket.on('subscribe', async (opts) => {
       try {
         let room = this._v2GetRoom(opts)
+        if (opts.type === 'xpub' && xpubRooms[room] !== true) {
+          let xpubOpts = this._v2GetXPubOpts(opts)
+          xpubRooms[room] = true
+          try {
+            await this._watchXPub(room, xpubOpts)
+          } catch (err) {
+            delete xpubRooms[room]
+            throw err
+          }
+        }
+        if (opts.type === 'tx-confirmations') {
+          this._watchTxConfirmations(room, socket, this._v2GetTxConfirmationsOpts(opts))
+        }
         await join(room)
         socket.emit('subscribed', opts, null)
+
+        // current depth, thresholds reached before subscription
+        if (opts.type === 'tx-confirmations') {
+          await this._notifyTxConfirmations([room])
+        }
       } catch (err) {
         logger.error(`Socket (${socket.id}) subscribe error: ${err.stack}`)
         socket.emit('subscribed', opts, err.message || err)
@@ -124,46 +195,410 @@ export default class SocketIO {
       try {
         let room = this._v2GetRoom(opts)
         await leave(room)
+        if (opts.type === 'xpub' && xpubRooms[room] === true) {
+          delete xpubRooms[room]
+          await this._unwatchXPub(room)
+        }
+        if (opts.type === 'tx-confirmations') {
+          this._unwatchTxConfirmations(room, socket)
+        }
         socket.emit('unsubscribed', opts, null)
       } catch (err) {
         logger.error(`Socket (${socket.id}) unsubscribe error: ${err.stack}`)
         socket.emit('unsubscribed', opts, err.message || err)
       }
     })
+
+    socket.on('resume', async (opts) => {
+      try {
+        let result = await this._v2Resume(socket, opts)
+        socket.emit('resumed', result, null)
+      } catch (err) {
+        logger.error(`Socket (${socket.id}) resume error: ${err.stack}`)
+        socket.emit('resumed', opts, err.message || err)
+      }
+    })
+
+    socket.on('disconnect', () => {
+      delete this._replayedSeqs[socket.id]
+      for (let room of _.keys(xpubRooms)) {
+        this._unwatchXPub(room)
+      }
+      for (let room of _.keys(this._txWatchers)) {
+        this._unwatchTxConfirmations(room, socket)
+      }
+    })
   }
 
   /**
+   * Replay missed events from journal for subscribed rooms, live events
+   *  buffered while replay and sent after missed without duplicates
+   *
+   * @param {socket.io.Socket} socket
    * @param {Object} opts
-   * @return {string}
+   * @param {number} opts.seq last received sequence number
+   * @return {Promise<{seq: number, complete: boolean}>}
+   */
+  async _v2Resume (socket, opts) {
+    let seq = _.get(opts, 'seq')
+    if (!(_.isNumber(seq) && seq >= 0 && seq % 1 === 0)) {
+      throw new Error(`Wrong seq: ${seq}`)
+    }
+
+    let rooms = _.filter(_.values(socket.rooms), wsutil.isJournalRoom)
+    let subscribed = _.zipObject(rooms.map((room) => [room, true]))
+
+    let {rows} = await this._storage.executeQuery(SQL.select.events.first)
+    let first = rows[0].id === null ? null : parseInt(rows[0].id, 10)
+    let complete = first === null || seq >= first - 1
+
+    // buffer live events of rooms while socket out of them
+    let queue = []
+    let listeners = {
+      block: (payload) => {
+        if (subscribed['new-block'] === true) {
+          queue.push(['new-block', wsutil.v2Payloads.block(payload)])
+        }
+      },
+      tx: (payload) => {
+        let obj = wsutil.v2Payloads.tx(payload)
+        if (subscribed['new-tx'] === true) {
+          queue.push(['new-tx', obj])
+        }
+        if (subscribed[`tx-${payload.txId}`] === true) {
+          queue.push(['tx', obj])
+        }
+      },
+      address: (payload) => {
+        if (subscribed[`address-${payload.address}`] === true) {
+          queue.push(['address', wsutil.v2Payloads.address(payload)])
+        }
+      }
+    }
+    for (let [event, listener] of _.pairs(listeners)) {
+      this._scanner.on(event, listener)
+    }
+
+    let leave = PUtils.promisify(::socket.leave)
+    let join = PUtils.promisify(::socket.join)
+    await* rooms.map((room) => leave(room))
+
+    let replayed = seq
+    try {
+      replayed = await wsutil.replayJournal(this._storage, seq, rooms, ::socket.emit)
+    } finally {
+      // rooms joined and listeners removed in one tick, so every live event
+      //  either buffered or sent to socket by room after buffered
+      let pJoin = Promise.all(rooms.map((room) => join(room)))
+      for (let [event, listener] of _.pairs(listeners)) {
+        this._scanner.removeListener(event, listener)
+      }
+      await pJoin
+
+      seq = replayed
+      for (let [name, payload] of queue) {
+        if (payload.seq > replayed) {
+          socket.emit(name, payload)
+          seq = Math.max(seq, payload.seq)
+        }
+      }
+
+      // notifications of replayed events can come after join
+      if (socket.connected) {
+        this._replayedSeqs[socket.id] = seq
+      }
+    }
+
+    return {seq: seq, complete: complete}
+  }
+
+  /**
+   * @param {Object} opts
+   * @return {{xpub: string, scheme: string, gapLimit: number}}
    * @throws {Error}
    */
-  _v2GetRoom (opts) {
-    switch (opts.type) {
-      case 'new-block':
-        return 'new-block'
+  _v2GetXPubOpts (opts) {
+    try {
+      return {
+        xpub: qutil.transformXPub(opts.xpub),
+        scheme: qutil.transformScheme(opts.scheme),
+        gapLimit: qutil.transformGapLimit(
+          opts.gaplimit === undefined ? undefined : String(opts.gaplimit))
+      }
+    } catch (err) {
+      throw new Error(`Wrong xpub options: ${err.name} (${err.message})`)
+    }
+  }
+
+  /**
+   * Derive addresses of extended public key for notifications in xpub room,
+   *  every subscriber counted, so watcher not removed while socket wait
+   *  discovery before join
+   *
+   * @param {string} room
+   * @param {{xpub: string, scheme: string, gapLimit: number}} opts
+   * @return {Promise}
+   */
+  _watchXPub (room, opts) {
+    let entry = this._xpubWatchers[room]
+    if (entry === undefined) {
+      let pWatcher = this._storage.executeTransaction(async (client) => {
+        let chains = await xutil.discover(
+          client, opts.xpub, opts.scheme, opts.gapLimit)
+
+        let watcher = {xpub: opts.xpub, gapLimit: opts.gapLimit, chains: chains}
+        for (let chain of chains) {
+          this._addXPubAddresses(room, watcher, chain, 0)
+        }
+
+        return watcher
+      })
+
+      entry = this._xpubWatchers[room] = {count: 0, pWatcher: pWatcher}
+      pWatcher.catch(() => {
+        if (this._xpubWatchers[room] === entry) {
+          delete this._xpubWatchers[room]
+        }
+      })
+    }
+
+    entry.count += 1
+    return entry.pWatcher
+  }
+
+  /**
+   * Remove watcher after last subscriber
+   *
+   * @param {string} room
+   * @return {Promise}
+   */
+  async _unwatchXPub (room) {
+    let entry = this._xpubWatchers[room]
+    if (entry === undefined || --entry.count > 0) {
+      return
+    }
+
+    delete this._xpubWatchers[room]
+
+    let watcher
+    try {
+      watcher = await entry.pWatcher
+    } catch (err) {
+      return
+    }
+
+    for (let chain of watcher.chains) {
+      for (let address of chain.addresses) {
+        let items = _.reject(this._xpubAddresses[address], (item) => item.watcher === watcher)
+        if (items.length === 0) {
+          delete this._xpubAddresses[address]
+        } else {
+          this._xpubAddresses[address] = items
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {string} room
+   * @param {Object} watcher
+   * @param {Chain} chain
+   * @param {number} offset
+   */
+  _addXPubAddresses (room, watcher, chain, offset) {
+    chain.addresses.slice(offset).forEach((address, index) => {
+      let item = {room: room, watcher: watcher, chain: chain, index: offset + index}
+      this._xpubAddresses[address] = (this._xpubAddresses[address] || []).concat(item)
+    })
+  }
+
+  /**
+   * Notify xpub room and derive new addresses if gap become less than limit
+   *
+   * @param {{room: string, watcher: Object, chain: Chain, index: number}} item
+   * @param {Object} obj payload of address notification
+   */
+  _onXPubAddress (item, obj) {
+    this._sV2.in(item.room).emit('xpub', _.extend({
+      xpub: item.watcher.xpub,
+      chain: item.chain.name,
+      index: item.index
+    }, obj))
+
+    let chain = item.chain
+    chain.markUsed(item.index)
+    let offset = chain.addresses.length
+    if (chain.extend(chain.lastUsed + 1 + item.watcher.gapLimit).length > 0) {
+      this._addXPubAddresses(item.room, item.watcher, chain, offset)
+    }
+  }
+
+  /**
+   * @param {Object} opts
+   * @return {{txid: string, thresholds: number[]}}
+   * @throws {Error}
+   */
+  _v2GetTxConfirmationsOpts (opts) {
+    if (!/^[0-9a-fA-F]{64}$/.test(opts.txid)) {
+      throw new Error(`Wrong txid: ${opts.txid}`)
+    }
+
+    let thresholds = opts.thresholds === undefined ? DEFAULT_CONFIRMATIONS : opts.thresholds
+    let isValid = _.isArray(thresholds) && thresholds.length > 0 && _.every(thresholds, (val) => {
+      return _.isNumber(val) && val > 0 && val % 1 === 0
+    })
+    if (!isValid) {
+      throw new Error(`Wrong thresholds: ${thresholds}`)
+    }
+
+    return {
+      txid: opts.txid.toLowerCase(),
+      thresholds: _.sortBy(_.uniq(thresholds))
+    }
+  }
+
+  /**
+   * Emit journal event to room, sockets which already received event on
+   *  resume are skipped until first newer event
+   *
+   * @param {string} room
+   * @param {string} event
+   * @param {Object} payload with seq
+   */
+  _emitJournalEvent (room, event, payload) {
+    for (let [socketId, seq] of _.pairs(this._replayedSeqs)) {
+      if (payload.seq > seq) {
+        delete this._replayedSeqs[socketId]
+      }
+    }
+
+    if (_.isEmpty(this._replayedSeqs)) {
+      return this._sV2.in(room).emit(event, payload)
+    }
 
-      case 'new-tx':
-        return 'new-tx'
+    for (let socket of _.values(this._sV2.connected)) {
+      let isReplayed = payload.seq <= this._replayedSeqs[socket.id]
+      if (!isReplayed && _.contains(_.values(socket.rooms), room)) {
+        socket.emit(event, payload)
+      }
+    }
+  }
+
+  /**
+   * @param {string} socketId
+   * @param {string} event
+   * @param {Object} payload
+   */
+  _emitTo (socketId, event, payload) {
+    let socket = this._sV2.connected[socketId]
+    if (socket !== undefined) {
+      socket.emit(event, payload)
+    }
+  }
+
+  /**
+   * Every subscriber have own notified threshold, so socket joined room
+   *  later get thresholds which other subscribers already received
+   *
+   * @param {string} room
+   * @param {socket.io.Socket} socket
+   * @param {{txid: string, thresholds: number[]}} opts
+   */
+  _watchTxConfirmations (room, socket, opts) {
+    if (this._txWatchers[room] === undefined) {
+      this._txWatchers[room] = _.extend({notified: {}}, opts)
+    }
+
+    if (this._txWatchers[room].notified[socket.id] === undefined) {
+      this._txWatchers[room].notified[socket.id] = 0
+    }
+  }
+
+  /**
+   * Remove watcher after last subscriber
+   *
+   * @param {string} room
+   * @param {socket.io.Socket} socket
+   */
+  _unwatchTxConfirmations (room, socket) {
+    let watcher = this._txWatchers[room]
+    if (watcher === undefined) {
+      return
+    }
 
-      case 'tx':
-        if (!/^[0-9a-fA-F]{64}$/.test(opts.txid)) {
-          throw new Error(`Wrong txid: ${opts.txid}`)
+    delete watcher.notified[socket.id]
+    if (_.isEmpty(watcher.notified)) {
+      delete this._txWatchers[room]
+    }
+  }
+
+  /**
+   * Notify subscribers of tx-confirmations rooms where transaction reached
+   *  new threshold
+   *
+   * @param {string[]} rooms
+   * @return {Promise}
+   */
+  async _notifyTxConfirmations (rooms) {
+    let watchers = _.pick(this._txWatchers, rooms)
+    if (_.isEmpty(watchers)) {
+      return
+    }
+
+    try {
+      let txIds = _.uniq(_.pluck(_.values(watchers), 'txid'))
+      let [txs, latest] = await* [
+        this._storage.executeQuery(
+          SQL.select.transactions.heightsByTxIds, [txIds.map((txId) => `\\x${txId}`)]),
+        this._storage.executeQuery(SQL.select.blocks.latest)
+      ]
+      let heights = _.zipObject(txs.rows.map((row) => [row.txid.toString('hex'), row.height]))
+
+      for (let watcher of _.values(watchers)) {
+        let height = heights[watcher.txid]
+        if (height === undefined || height === null) {
+          continue
         }
-        return `tx-${opts.txid}`
 
-      case 'address':
-        try {
-          Address.fromString(opts.address, this._networkName)
-        } catch (err) {
-          throw new Error(`Wrong address: ${opts.address} (${err.message})`)
+        let confirmations = latest.rows[0].height - height + 1
+        for (let [socketId, notified] of _.pairs(watcher.notified)) {
+          let threshold = _.last(watcher.thresholds.filter((val) => {
+            return val > notified && val <= confirmations
+          }))
+          if (threshold === undefined) {
+            continue
+          }
+
+          watcher.notified[socketId] = threshold
+          this._emitTo(socketId, 'confirmations', {
+            txid: watcher.txid,
+            blockHeight: height,
+            confirmations: confirmations,
+            threshold: threshold
+          })
         }
-        return `address-${opts.address}`
+      }
+    } catch (err) {
+      logger.error(`SocketIO._notifyTxConfirmations: ${err.stack}`)
+    }
+  }
 
-      case 'status':
-        return 'status'
+  /**
+   * @param {Object} opts
+   * @return {string}
+   * @throws {Error}
+   */
+  _v2GetRoom (opts) {
+    if (_.get(opts, 'type') === 'xpub') {
+      let xpubOpts = this._v2GetXPubOpts(opts)
+      return `xpub-${xpubOpts.scheme}-${xpubOpts.gapLimit}-${xpubOpts.xpub}`
+    }
 
-      default:
-        throw new Error('wrong type')
+    if (_.get(opts, 'type') === 'tx-confirmations') {
+      let txOpts = this._v2GetTxConfirmationsOpts(opts)
+      return `confirmations-${txOpts.txid}-${txOpts.thresholds.join('-')}`
     }
+
+    return wsutil.getRoom(opts, this._networkName)
   }
 }
@@ -0,0 +1,199 @@
+import _ from 'lodash'
+import { Server as WebSocketServer } from 'ws'
+
+import config from '../../lib/config'
+import logger from '../../lib/logger'
+import wsutil from './util'
+
+/**
+ * @class Client
+ */
+class Client {
+  /**
+   * @constructor
+   * @param {number} id
+   * @param {WebSocket} ws
+   */
+  constructor (id, ws) {
+    this.id = id
+    this.rooms = {}
+    this._ws = ws
+  }
+
+  /**
+   * @param {Object} obj
+   */
+  send (obj) {
+    this._ws.send(JSON.stringify(obj), _.noop)
+  }
+}
+
+/**
+ * api_v2 notifications over plain WebSocket with JSON-RPC 2.0
+ *
+ * @class WebSocketRPC
+ */
+export default class WebSocketRPC {
+  /**
+   * @constructor
+   * @param {Scanner} scanner
+   */
+  constructor (scanner) {
+    this._networkName = config.get('chromanode.network')
+    if (this._networkName === 'regtest') {
+      this._networkName = 'testnet'
+    }
+
+    this._scanner = scanner
+
+    this._clientId = 0
+    this._rooms = {} // room => {clientId: client}
+  }
+
+  /**
+   * @param {(http.Server|https.Server)} server
+   */
+  attach (server) {
+    this._wss = new WebSocketServer({server: server, path: '/v2/ws'})
+    this._wss.on('connection', ::this._onConnection)
+
+    this._scanner.on('block', (payload) => {
+      this._notify(['new-block'], 'new-block', wsutil.v2Payloads.block(payload))
+    })
+
+    this._scanner.on('tx', (payload) => {
+      let obj = wsutil.v2Payloads.tx(payload)
+      this._notify(['new-tx'], 'new-tx', obj)
+      this._notify([`tx-${payload.txId}`], 'tx', obj)
+    })
+
+    this._scanner.on('address', (payload) => {
+      let obj = wsutil.v2Payloads.address(payload)
+      this._notify([`address-${payload.address}`], 'address', obj)
+    })
+
+    this._scanner.on('replaced', (payload) => {
+      this._notify([`tx-${payload.txId}`], 'replaced', wsutil.v2Payloads.replaced(payload))
+    })
+
+    this._scanner.on('doublespend', (payload) => {
+      let obj = wsutil.v2Payloads.doubleSpend(payload)
+      this._notify([`address-${payload.address}`], 'double-spend', obj)
+    })
+
+    this._scanner.on('reorg', (payload) => {
+      this._notify(['reorg'], 'reorg', payload)
+    })
+
+    this._scanner.on('opreturn', (payload) => {
+      this._notify(wsutil.getOpReturnRooms(payload.payload), 'opreturn', payload)
+    })
+
+    this._scanner.on('status', (payload) => {
+      this._notify(['status'], 'status', payload)
+    })
+  }
+
+  /**
+   * Send notification once for every client in rooms
+   *
+   * @param {string[]} rooms
+   * @param {string} method
+   * @param {Object} params
+   */
+  _notify (rooms, method, params) {
+    let clients = _.uniq(_.flatten(rooms.map((room) => _.values(this._rooms[room]))))
+    for (let client of clients) {
+      client.send({jsonrpc: '2.0', method: method, params: params})
+    }
+  }
+
+  /**
+   * @param {WebSocket} ws
+   */
+  _onConnection (ws) {
+    let client = new Client(this._clientId++, ws)
+    logger.verbose(`New websocket connection ${client.id}`)
+
+    ws.on('message', (data) => this._onMessage(client, data))
+    ws.on('error', (err) => {
+      logger.error(`WebSocket (${client.id}) error: ${err.stack}`)
+    })
+    ws.on('close', () => {
+      logger.verbose(`WebSocket disconnected ${client.id}`)
+      for (let room of _.keys(client.rooms)) {
+        this._leave(client, room)
+      }
+    })
+  }
+
+  /**
+   * @param {Client} client
+   * @param {string} room
+   */
+  _join (client, room) {
+    client.rooms[room] = true
+    this._rooms[room] = _.extend(this._rooms[room] || {}, {[client.id]: client})
+  }
+
+  /**
+   * @param {Client} client
+   * @param {string} room
+   */
+  _leave (client, room) {
+    delete client.rooms[room]
+    delete this._rooms[room][client.id]
+    if (_.isEmpty(this._rooms[room])) {
+      delete this._rooms[room]
+    }
+  }
+
+  /**
+   * @param {Client} client
+   * @param {string} message
+   */
+  _onMessage (client, message) {
+    let request
+    try {
+      request = JSON.parse(message)
+    } catch (err) {
+      return client.send({
+        jsonrpc: '2.0',
+        id: null,
+        error: {code: -32700, message: 'Parse error'}
+      })
+    }
+
+    let id = _.get(request, 'id', null)
+    let method = _.get(request, 'method')
+    if (method !== 'subscribe' && method !== 'unsubscribe') {
+      return client.send({
+        jsonrpc: '2.0',
+        id: id,
+        error: {code: -32601, message: `Unknown method: ${method}`}
+      })
+    }
+
+    // params as object or array with one object
+    let opts = _.isArray(request.params) ? request.params[0] : request.params
+
+    let room
+    try {
+      room = wsutil.getRoom(opts, this._networkName)
+    } catch (err) {
+      return client.send({
+        jsonrpc: '2.0',
+        id: id,
+        error: {code: -32602, message: err.message}
+      })
+    }
+
+    if (method === 'subscribe') {
+      this._join(client, room)
+    } else if (client.rooms[room] === true) {
+      this._leave(client, room)
+    }
+
+    client.send({jsonrpc: '2.0', id: id, result: room})
+  }
+}
@@ -0,0 +1,146 @@
+import _ from 'lodash'
+import { Address } from 'bitcore-lib'
+
+import { OPRETURN_PREFIX_SIZE } from '../../lib/const'
+import payloads from '../../lib/payloads'
+import SQL from '../../lib/sql'
+import qutil from '../http/util/query'
+
+// maximum number of events loaded from journal at once
+const JOURNAL_BATCH_SIZE = 1000
+
+let v2Payloads = payloads.v2
+
+/**
+ * Room for api_v2 subscription, subscriptions which require state (xpub)
+ *  resolved by transport
+ *
+ * @param {Object} opts
+ * @param {string} networkName
+ * @return {string}
+ * @throws {Error}
+ */
+function getRoom (opts, networkName) {
+  switch (_.get(opts, 'type')) {
+    case 'new-block':
+      return 'new-block'
+
+    case 'new-tx':
+      return 'new-tx'
+
+    case 'tx':
+      if (!/^[0-9a-fA-F]{64}$/.test(opts.txid)) {
+        throw new Error(`Wrong txid: ${opts.txid}`)
+      }
+      return `tx-${opts.txid}`
+
+    case 'address':
+      try {
+        Address.fromString(opts.address, networkName)
+      } catch (err) {
+        throw new Error(`Wrong address: ${opts.address} (${err.message})`)
+      }
+      return `address-${opts.address}`
+
+    case 'opreturn':
+      let prefix
+      try {
+        prefix = qutil.transformPrefix(opts.prefix, opts.encoding)
+      } catch (err) {
+        throw new Error(`Wrong prefix: ${opts.prefix} (${err.message})`)
+      }
+      return `opreturn-${prefix}`
+
+    case 'status':
+      return 'status'
+
+    case 'reorg':
+      return 'reorg'
+
+    default:
+      throw new Error('wrong type')
+  }
+}
+
+/**
+ * Rooms of every payload prefix
+ *
+ * @param {string} payload hex
+ * @return {string[]}
+ */
+function getOpReturnRooms (payload) {
+  let size = Math.min(payload.length / 2, OPRETURN_PREFIX_SIZE)
+  return _.range(size + 1).map((length) => {
+    return `opreturn-${payload.slice(0, length * 2)}`
+  })
+}
+
+/**
+ * Rooms with events from journal
+ *
+ * @param {string} room
+ * @return {boolean}
+ */
+function isJournalRoom (room) {
+  return room === 'new-block' ||
+         room === 'new-tx' ||
+         _.startsWith(room, 'tx-') ||
+         _.startsWith(room, 'address-')
+}
+
+/**
+ * Call `notify` for every notification from journal after `seq` for rooms
+ *
+ * @param {Storage} storage
+ * @param {number} seq
+ * @param {string[]} rooms
+ * @param {function} notify called with notification name and payload
+ * @return {Promise<number>} sequence number of last event
+ */
+async function replayJournal (storage, seq, rooms, notify) {
+  let subscribed = _.zipObject(rooms.map((room) => [room, true]))
+  let params = [
+    subscribed['new-block'] === true,
+    subscribed['new-tx'] === true,
+    _.filter(rooms, (room) => _.startsWith(room, 'tx-')).map((room) => room.slice(3)),
+    _.filter(rooms, (room) => _.startsWith(room, 'address-')).map((room) => room.slice(8)),
+    JOURNAL_BATCH_SIZE
+  ]
+
+  while (true) {
+    let {rows} = await storage.executeQuery(
+      SQL.select.events.since, [seq].concat(params))
+    for (let row of rows) {
+      let payload = JSON.parse(row.payload)
+      payload.seq = parseInt(row.id, 10)
+
+      let obj = v2Payloads[row.type](payload)
+      if (row.type === 'block') {
+        notify('new-block', obj)
+      } else if (row.type === 'address') {
+        notify('address', obj)
+      } else {
+        if (subscribed['new-tx'] === true) {
+          notify('new-tx', obj)
+        }
+        if (subscribed[`tx-${obj.txid}`] === true) {
+          notify('tx', obj)
+        }
+      }
+
+      seq = payload.seq
+    }
+
+    if (rows.length < JOURNAL_BATCH_SIZE) {
+      return seq
+    }
+  }
+}
+
+export default {
+  v2Payloads: v2Payloads,
+  getRoom: getRoom,
+  getOpReturnRooms: getOpReturnRooms,
+  isJournalRoom: isJournalRoom,
+  replayJournal: replayJournal
+}
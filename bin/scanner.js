@@ -1,6 +1,45 @@
 #!/usr/bin/env node
 
 // require('babel-runtime/core-js/promise').default = require('bluebird')
-require('../app/lib/init')(function () {
-  return require('../app/scanner')()
+require('../app/lib/init')(function (argv) {
+  var verify = null
+  if (argv.verify) {
+    verify = {
+      from: argv['verify-from'],
+      to: argv['verify-to'],
+      repair: argv.repair
+    }
+  }
+
+  return require('../app/scanner')({
+    migrate: argv.migrate || argv['dry-run'],
+    dryRun: argv['dry-run'],
+    verify: verify
+  })
+}, {
+  migrate: {
+    boolean: true,
+    describe: 'apply pending storage migrations and exit'
+  },
+  'dry-run': {
+    boolean: true,
+    describe: 'show pending storage migrations and exit'
+  },
+  verify: {
+    boolean: true,
+    describe: 'verify stored blocks, transactions and history heights and exit'
+  },
+  'verify-from': {
+    default: 0,
+    describe: 'first height for verify',
+    nargs: 1
+  },
+  'verify-to': {
+    describe: 'last height for verify (latest block by default)',
+    nargs: 1
+  },
+  repair: {
+    boolean: true,
+    describe: 'fix transactions and history heights found by verify'
+  }
 })
@@ -0,0 +1,257 @@
+import _ from 'lodash'
+import net from 'net'
+import { expect } from 'chai'
+import bitcore from 'bitcore-lib'
+import PUtils from 'promise-useful-utils'
+
+export default function (opts) {
+  let request = require('./http/request')(opts)
+
+  describe('Electrum', () => {
+    let socket
+    let lastId = 0
+    let responses = {}
+    let notifications = []
+
+    let call = (method, params) => {
+      let id = ++lastId
+      return new Promise((resolve, reject) => {
+        responses[id] = (response) => {
+          if (response.error) {
+            return reject(new Error(response.error.message))
+          }
+
+          resolve(response.result)
+        }
+
+        socket.write(JSON.stringify({id: id, method: method, params: params}) + '\n')
+      })
+    }
+
+    let getScriptHash = (script) => {
+      let hash = bitcore.crypto.Hash.sha256(script.toBuffer())
+      return Array.prototype.reverse.call(hash).toString('hex')
+    }
+
+    let waitNotification = async (method) => {
+      while (true) {
+        let notification = _.find(notifications, {method: method})
+        if (notification !== undefined) {
+          notifications = _.without(notifications, notification)
+          return notification.params
+        }
+
+        await PUtils.delay(50)
+      }
+    }
+
+    beforeEach(async () => {
+      socket = net.connect(opts.ports.electrum, '127.0.0.1')
+      await new Promise((resolve) => socket.once('connect', resolve))
+
+      let buffer = ''
+      socket.setEncoding('utf8')
+      socket.on('data', (data) => {
+        let lines = (buffer + data).split('\n')
+        buffer = lines.pop()
+        // batch responses are arrays
+        let parsed = _.invoke(lines, 'trim').filter(_.identity).map(JSON.parse)
+        for (let response of _.flatten(parsed)) {
+          if (response.id === undefined) {
+            notifications.push(response)
+          }
+
+          if (responses[response.id] !== undefined) {
+            responses[response.id](response)
+            delete responses[response.id]
+          }
+        }
+      })
+    })
+
+    afterEach(() => {
+      socket.destroy()
+      notifications = []
+    })
+
+    it('server.version', async () => {
+      let result = await call('server.version', ['test', '1.4'])
+      expect(result).to.have.length(2)
+    })
+
+    it('blockchain.headers.subscribe', async () => {
+      let height = (await opts.bitcoind.rpc.getBlockCount()).result
+      let header = (await request.get('/v2/headers/query', {id: height})).headers
+
+      let result = await call('blockchain.headers.subscribe', [])
+      expect(result).to.deep.equal({height: height, hex: header})
+    })
+
+    it('unknown method', async () => {
+      try {
+        await call('blockchain.unknown', [])
+        throw new Error('Expected error')
+      } catch (err) {
+        expect(err.message).to.equal('Unknown method: blockchain.unknown')
+      }
+    })
+
+    it('batch request', async () => {
+      let ids = [++lastId, ++lastId]
+      let pResponses = ids.map((id) => {
+        return new Promise((resolve) => { responses[id] = resolve })
+      })
+      socket.write(JSON.stringify([
+        {id: ids[0], method: 'server.ping', params: []},
+        {id: ids[1], method: 'blockchain.unknown', params: []}
+      ]) + '\n')
+
+      let [ping, unknown] = await* pResponses
+      expect(ping).to.deep.equal({jsonrpc: '2.0', id: ids[0], result: null})
+      expect(unknown.error).to.deep.equal({
+        code: -32601,
+        message: 'Unknown method: blockchain.unknown'
+      })
+    })
+
+    it('blockchain.scripthash.*', async () => {
+      let txId = (await opts.bitcoind.generateTxs(1))[0]
+      let info
+      while (true) {
+        await PUtils.delay(100)
+        try {
+          info = await request.get('/v2/transactions/info', {txid: txId})
+          break
+        } catch (err) {
+          if (!(err instanceof request.errors.StatusFail)) {
+            throw err
+          }
+        }
+      }
+
+      let vout = _.findIndex(info.outputs, (output) => output.addresses.length === 1)
+      let scriptHash = getScriptHash(bitcore.Script.fromAddress(info.outputs[vout].addresses[0]))
+
+      let history = await call('blockchain.scripthash.get_history', [scriptHash])
+      expect(_.find(history, {tx_hash: txId})).to.deep.equal({tx_hash: txId, height: 0})
+
+      let unspent = await call('blockchain.scripthash.listunspent', [scriptHash])
+      expect(_.find(unspent, {tx_hash: txId, tx_pos: vout})).to.deep.equal({
+        tx_hash: txId,
+        tx_pos: vout,
+        height: 0,
+        value: info.outputs[vout].value
+      })
+
+      let balance = await call('blockchain.scripthash.get_balance', [scriptHash])
+      expect(balance.unconfirmed).to.be.at.least(info.outputs[vout].value)
+
+      let status = await call('blockchain.scripthash.subscribe', [scriptHash])
+      expect(status).to.match(/^[0-9a-f]{64}$/)
+    })
+
+    it('blockchain.scripthash.subscribe notify for script without address', async () => {
+      let preload = await opts.bitcoind.getPreload()
+      let script = bitcore.Script.buildPublicKeyOut(bitcore.PrivateKey('regtest').toPublicKey())
+      let scriptHash = getScriptHash(script)
+      let tx = bitcore.Transaction()
+        .from({
+          txId: preload.txId,
+          outputIndex: preload.outIndex,
+          satoshis: preload.value,
+          script: preload.script
+        })
+        .addOutput(new bitcore.Transaction.Output({script: script, satoshis: preload.value - 1e4}))
+        .sign(preload.privKey)
+
+      let status = await call('blockchain.scripthash.subscribe', [scriptHash])
+      expect(status).to.be.null
+
+      await opts.bitcoind.rpc.sendRawTransaction(tx.toString())
+      let params = await waitNotification('blockchain.scripthash.subscribe')
+      expect(params[0]).to.equal(scriptHash)
+      expect(params[1]).to.match(/^[0-9a-f]{64}$/)
+
+      let history = await call('blockchain.scripthash.get_history', [scriptHash])
+      expect(history).to.deep.equal([{tx_hash: tx.id, height: 0}])
+    })
+
+    it('blockchain.scripthash.get_history ordered by position in block', async () => {
+      let preload = await opts.bitcoind.getPreload()
+      let privKey = bitcore.PrivateKey('regtest')
+      let script = bitcore.Script.fromAddress(privKey.toAddress())
+      let scriptHash = getScriptHash(script)
+      let tx1 = bitcore.Transaction()
+        .from({
+          txId: preload.txId,
+          outputIndex: preload.outIndex,
+          satoshis: preload.value,
+          script: preload.script
+        })
+        .addOutput(new bitcore.Transaction.Output({script: script, satoshis: preload.value - 1e4}))
+        .sign(preload.privKey)
+      let tx2 = bitcore.Transaction()
+        .from({
+          txId: tx1.id,
+          outputIndex: 0,
+          satoshis: preload.value - 1e4,
+          script: script
+        })
+        .addOutput(new bitcore.Transaction.Output({script: script, satoshis: preload.value - 2e4}))
+        .sign(privKey)
+
+      await opts.bitcoind.rpc.sendRawTransaction(tx1.toString())
+      await opts.bitcoind.rpc.sendRawTransaction(tx2.toString())
+      let hash = (await opts.bitcoind.generateBlocks(1))[0]
+      let block = (await opts.bitcoind.rpc.getBlock(hash)).result
+
+      let history
+      while (true) {
+        history = await call('blockchain.scripthash.get_history', [scriptHash])
+        if (history.length === 2 && _.all(history, (item) => item.height > 0)) {
+          break
+        }
+
+        await PUtils.delay(100)
+      }
+
+      // tx2 spend tx1, so tx1 always first in block
+      let expected = _.intersection(block.tx, [tx2.id, tx1.id])
+      expect(expected).to.deep.equal([tx1.id, tx2.id])
+      expect(history).to.deep.equal(expected.map((txId) => {
+        return {tx_hash: txId, height: block.height}
+      }))
+    })
+
+    it('line length exceeded', async () => {
+      let pClose = new Promise((resolve) => socket.once('close', resolve))
+      socket.write(_.repeat('a', 1024 * 1024 + 1))
+      await pClose
+    })
+
+    it('blockchain.transaction.get/get_merkle', async () => {
+      let hash = (await opts.bitcoind.rpc.getBestBlockHash()).result
+      let block = (await opts.bitcoind.rpc.getBlock(hash)).result
+      let txId = block.tx[0]
+
+      let hex = await call('blockchain.transaction.get', [txId])
+      expect(hex).to.equal((await opts.bitcoind.rpc.getRawTransaction(txId)).result)
+
+      let id = ++lastId
+      let pResponse = new Promise((resolve) => { responses[id] = resolve })
+      socket.write(JSON.stringify({id: id, method: 'blockchain.transaction.get', params: [txId, true]}) + '\n')
+      expect((await pResponse).error).to.deep.equal({
+        code: -32602,
+        message: 'verbose transactions are not supported'
+      })
+
+      let expected = await request.get('/v2/transactions/merkle', {txid: txId})
+      let result = await call('blockchain.transaction.get_merkle', [txId, block.height])
+      expect(result).to.deep.equal({
+        block_height: expected.block.height,
+        merkle: expected.block.merkle,
+        pos: expected.block.index
+      })
+    })
+  })
+}
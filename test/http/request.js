@@ -29,10 +29,11 @@ let errorSpec = {
 extendError(Error, errorSpec)
 
 export default function (testsOpts) {
-  async function customRequest (method, path, data) {
+  async function customRequest (method, path, data, headers) {
     var requestOpts = {
       method: 'GET',
       uri: urlJoin(`http://127.0.0.1:${testsOpts.ports.service}`, path),
+      headers: headers,
       timeout: 5000,
       json: true,
       zip: true
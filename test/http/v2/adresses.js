@@ -136,7 +136,7 @@ export default function (opts) {
 
       delete result.transactions
       delete result.latest
-      expect(result).to.deep.equal({})
+      expect(result).to.deep.equal({next: null})
     })
 
     it('get unspent', async () => {
@@ -152,7 +152,58 @@ export default function (opts) {
 
       delete result.unspent
       delete result.latest
-      expect(result).to.deep.equal({})
+      expect(result).to.deep.equal({next: null})
+    })
+
+    it('pagination', async () => {
+      let pages = {transactions: [], unspent: []}
+      for (let status of ['transactions', 'unspent']) {
+        let cursor
+        do {
+          let params = {addresses: addresses, status: status, limit: 2}
+          if (cursor !== undefined) {
+            params.cursor = cursor
+          }
+
+          let result = await request.get('/v2/addresses/query', params)
+          expect(result.latest).to.deep.equal(latest)
+          expect(result[status]).to.have.length.of.at.most(2)
+
+          pages[status] = pages[status].concat(result[status])
+          cursor = result.next
+        } while (cursor !== null)
+      }
+
+      expect(_.sortByAll(pages.transactions, 'height', 'txid')).to.deep.equal(transactions)
+      expect(_.sortByAll(pages.unspent, 'height', 'txid', 'vount')).to.deep.equal(unspent)
+    })
+
+    it('invalid cursor', async () => {
+      try {
+        await request.get('/v2/addresses/query', {addresses: addresses, limit: 2, cursor: 'abc'})
+        throw new Error('Expected InvalidCursor')
+      } catch (err) {
+        expect(err).to.be.instanceof(request.errors.StatusFail)
+        expect(err.data).to.deep.equal({type: 'InvalidCursor', message: 'abc'})
+      }
+    })
+
+    it('balance', async () => {
+      let result = await request.get(
+        '/v2/addresses/balance', {addresses: addresses})
+      expect(result).to.be.an('Object')
+      expect(result.latest).to.deep.equal(latest)
+      expect(_.keys(result.balances).sort()).to.deep.equal(addresses.slice().sort())
+
+      let total = _.sum(unspent, 'value')
+      expect(result.total.confirmed + result.total.unconfirmed).to.equal(total)
+      expect(result.total.received - result.total.sent).to.equal(total)
+
+      for (let address of addresses) {
+        let balance = result.balances[address]
+        expect(balance.confirmed + balance.unconfirmed).to.equal(
+          balance.received - balance.sent)
+      }
     })
 
     it('source mempool', async () => {
@@ -166,7 +217,7 @@ export default function (opts) {
 
       delete result.transactions
       delete result.latest
-      expect(result).to.deep.equal({})
+      expect(result).to.deep.equal({next: null})
     })
 
     it('from not default', async () => {
@@ -184,7 +235,7 @@ export default function (opts) {
 
       delete result.transactions
       delete result.latest
-      expect(result).to.deep.equal({})
+      expect(result).to.deep.equal({next: null})
     })
 
     it('to not default', async () => {
@@ -202,7 +253,7 @@ export default function (opts) {
 
       delete result.transactions
       delete result.latest
-      expect(result).to.deep.equal({})
+      expect(result).to.deep.equal({next: null})
     })
   })
 }
@@ -0,0 +1,74 @@
+import _ from 'lodash'
+import { expect } from 'chai'
+import PUtils from 'promise-useful-utils'
+
+export default function (opts) {
+  let request = require('../request')(opts)
+
+  describe('blocks', () => {
+    // latest block with several transactions, later tests take height from bitcoind
+    let block
+
+    before(async () => {
+      await opts.bitcoind.generateTxs(3)
+      let hash = (await opts.bitcoind.generateBlocks(1))[0]
+      while ((await request.get('/v2/headers/latest')).hash !== hash) {
+        await PUtils.delay(100)
+      }
+      block = (await opts.bitcoind.rpc.getBlock(hash)).result
+    })
+
+    describe('info', () => {
+      it('not found', async () => {
+        try {
+          await request.get('/v2/blocks/info', {id: 1e6})
+          throw new Error('Expected BlockNotFound')
+        } catch (err) {
+          expect(err).to.be.instanceof(request.errors.StatusFail)
+          expect(err.data).to.deep.equal({type: 'BlockNotFound', message: '1000000'})
+        }
+      })
+
+      it('by height and by hash', async () => {
+        let height = _.random(1, (await opts.bitcoind.rpc.getBlockCount()).result - 1)
+        let hash = (await opts.bitcoind.rpc.getBlockHash(height)).result
+        let block = (await opts.bitcoind.rpc.getBlock(hash)).result
+
+        let result = await request.get('/v2/blocks/info', {id: height})
+        expect(result).to.deep.equal({
+          height: height,
+          hash: hash,
+          version: block.version,
+          merkleRoot: block.merkleroot,
+          time: block.time,
+          bits: parseInt(block.bits, 16),
+          nonce: block.nonce,
+          previousHash: block.previousblockhash,
+          nextHash: block.nextblockhash,
+          confirmations: block.confirmations,
+          txCount: block.tx.length,
+          txids: block.tx
+        })
+
+        let result2 = await request.get('/v2/blocks/info', {id: hash})
+        expect(result2).to.deep.equal(result)
+      })
+
+      it('txids pagination', async () => {
+        let result = await request.get('/v2/blocks/info', {id: block.hash, offset: 1, limit: 2})
+        expect(result.txCount).to.equal(block.tx.length)
+        expect(result.txids).to.deep.equal(block.tx.slice(1, 3))
+        expect(result.nextHash).to.be.null
+      })
+    })
+
+    describe('raw', () => {
+      it('return hex', async () => {
+        let rawBlock = (await opts.bitcoind.rpc.getBlock(block.hash, false)).result
+
+        let result = await request.get('/v2/blocks/raw', {id: block.hash})
+        expect(result).to.deep.equal({hex: rawBlock})
+      })
+    })
+  })
+}
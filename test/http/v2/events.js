@@ -0,0 +1,131 @@
+import { expect } from 'chai'
+import http from 'http'
+import PUtils from 'promise-useful-utils'
+
+export default function (opts) {
+  let request = require('../request')(opts)
+
+  /**
+   * @param {Object} [headers]
+   * @return {{req: http.ClientRequest, events: Array.<{id: number, payload: Object}>}}
+   */
+  function openNewBlocks (headers) {
+    let stream = {req: null, events: []}
+    let data = ''
+    stream.req = http.get({
+      host: '127.0.0.1',
+      port: opts.ports.service,
+      path: '/v2/events?types=new-block',
+      headers: headers
+    }, (res) => {
+      res.setEncoding('utf8')
+      res.on('data', (chunk) => {
+        data += chunk
+        let messages = data.split('\n\n')
+        data = messages.pop()
+        for (let message of messages) {
+          let match = message.match(/^id: (\d+)\nevent: new-block\ndata: (.*)$/)
+          if (match !== null) {
+            stream.events.push({id: parseInt(match[1], 10), payload: JSON.parse(match[2])})
+          }
+        }
+      })
+    })
+    return stream
+  }
+
+  /**
+   * @param {{events: Array}} stream
+   * @param {number} count
+   * @return {Promise}
+   */
+  async function waitEvents (stream, count) {
+    while (stream.events.length < count) {
+      await PUtils.delay(100)
+    }
+  }
+
+  describe('events', () => {
+    it('new-block', async () => {
+      let req
+      let data = ''
+      let stream = new Promise((resolve, reject) => {
+        req = http.get({
+          host: '127.0.0.1',
+          port: opts.ports.service,
+          path: '/v2/events?types=new-block'
+        }, (res) => {
+          expect(res.headers['content-type']).to.equal('text/event-stream')
+          res.setEncoding('utf8')
+          res.on('data', (chunk) => {
+            data += chunk
+            if (data.indexOf('event: new-block\n') !== -1) {
+              resolve()
+            }
+          })
+          opts.bitcoind.generateBlocks(1).catch(reject)
+        })
+        req.on('error', reject)
+      })
+
+      await stream
+      req.abort()
+
+      let match = data.match(/id: (\d+)\nevent: new-block\ndata: (.*)\n\n/)
+      let payload = JSON.parse(match[2])
+      expect(payload.seq).to.equal(parseInt(match[1], 10))
+      expect(payload.height).to.equal((await opts.bitcoind.rpc.getBlockCount()).result)
+    })
+
+    it('resume with Last-Event-ID', async () => {
+      let first = openNewBlocks()
+      await opts.bitcoind.generateBlocks(1)
+      await waitEvents(first, 1)
+      first.req.abort()
+      let lastEventId = first.events[0].id
+
+      // blocks generated while disconnected
+      await opts.bitcoind.generateBlocks(2)
+      let height = (await opts.bitcoind.rpc.getBlockCount()).result
+      while ((await request.get('/v2/headers/latest')).height !== height) {
+        await PUtils.delay(100)
+      }
+
+      let second = openNewBlocks({'Last-Event-ID': lastEventId})
+      await waitEvents(second, 2)
+      await opts.bitcoind.generateBlocks(1)
+      await waitEvents(second, 3)
+      await PUtils.delay(500)
+      second.req.abort()
+
+      // journal ids shared with tx events, only order is known
+      expect(second.events.map((event) => event.payload.height)).to.deep.equal(
+        [height - 1, height, height + 1])
+      for (let event of second.events) {
+        expect(event.id).to.be.above(lastEventId)
+        expect(event.payload.seq).to.equal(event.id)
+        lastEventId = event.id
+      }
+    })
+
+    it('invalid address', async () => {
+      try {
+        await request.get('/v2/events', {types: 'address', addresses: 'abc'})
+        throw new Error('Expected InvalidSubscription')
+      } catch (err) {
+        expect(err).to.be.instanceof(request.errors.StatusFail)
+        expect(err.data.type).to.equal('InvalidSubscription')
+      }
+    })
+
+    it('invalid type', async () => {
+      try {
+        await request.get('/v2/events', {types: 'blocks'})
+        throw new Error('Expected InvalidSubscription')
+      } catch (err) {
+        expect(err).to.be.instanceof(request.errors.StatusFail)
+        expect(err.data).to.deep.equal({type: 'InvalidSubscription', message: 'wrong type: blocks'})
+      }
+    })
+  })
+}
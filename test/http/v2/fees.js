@@ -0,0 +1,38 @@
+import { expect } from 'chai'
+
+export default function (opts) {
+  let request = require('../request')(opts)
+
+  describe('fees', () => {
+    it('estimate', async () => {
+      let result = await request.get('/v2/fees/estimate', {blocks: 2})
+      expect(result).to.have.property('blocks', 2)
+      expect(['storage', 'bitcoind']).to.include(result.source)
+      expect(result.samples).to.be.at.least(0)
+      if (result.source === 'storage') {
+        expect(result.feerate).to.be.at.least(0)
+        expect(result.percentiles).to.have.all.keys('10', '25', '50', '75', '90')
+      } else {
+        expect(result.percentiles).to.be.null
+      }
+    })
+
+    it('sampled window grows with blocks', async () => {
+      let [near, far] = await* [
+        request.get('/v2/fees/estimate', {blocks: 2}),
+        request.get('/v2/fees/estimate', {blocks: 25})
+      ]
+      expect(far.samples).to.be.at.least(near.samples)
+    })
+
+    it('invalid blocks', async () => {
+      try {
+        await request.get('/v2/fees/estimate', {blocks: 0})
+        throw new Error('Expected InvalidBlocks')
+      } catch (err) {
+        expect(err).to.be.instanceof(request.errors.StatusFail)
+        expect(err.data).to.deep.equal({type: 'InvalidBlocks', message: '0'})
+      }
+    })
+  })
+}
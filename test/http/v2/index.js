@@ -1,15 +1,31 @@
 import statusTests from './status'
 import headersTests from './headers'
+import blocksTests from './blocks'
 import transactionsTests from './transactions'
 import addressesTests from './adresses'
+import scriptsTests from './scripts'
+import xpubTests from './xpub'
+import opreturnTests from './opreturn'
+import mempoolTests from './mempool'
+import feesTests from './fees'
+import eventsTests from './events'
+import webhooksTests from './webhooks'
 import ccTests from './cc'
 
 export default function (opts) {
   describe('v2', () => {
     statusTests(opts)
     headersTests(opts)
+    blocksTests(opts)
     transactionsTests(opts)
     addressesTests(opts)
+    scriptsTests(opts)
+    xpubTests(opts)
+    opreturnTests(opts)
+    mempoolTests(opts)
+    feesTests(opts)
+    eventsTests(opts)
+    webhooksTests(opts)
     ccTests(opts)
   })
 }
@@ -0,0 +1,57 @@
+import _ from 'lodash'
+import { expect } from 'chai'
+import PUtils from 'promise-useful-utils'
+
+export default function (opts) {
+  let request = require('../request')(opts)
+
+  describe('mempool', () => {
+    let txId
+
+    before(async () => {
+      txId = (await opts.bitcoind.generateTxs(1))[0]
+      while (true) {
+        await PUtils.delay(100)
+        try {
+          await request.get('/v2/transactions/raw', {txid: txId})
+          break
+        } catch (err) {
+          if (!(err instanceof request.errors.StatusFail)) {
+            throw err
+          }
+        }
+      }
+    })
+
+    it('info', async () => {
+      let memPool = (await opts.bitcoind.rpc.getRawMemPool(true)).result
+
+      let result = await request.get('/v2/mempool/info')
+      expect(result.count).to.equal(_.size(memPool))
+      expect(result.size).to.equal(_.sum(memPool, 'size'))
+      expect(result.fees).to.be.at.least(0)
+    })
+
+    it('txids', async () => {
+      let memPool = (await opts.bitcoind.rpc.getRawMemPool(true)).result
+
+      let result = await request.get('/v2/mempool/txids')
+      expect(_.pluck(result.txids, 'txid').sort()).to.deep.equal(_.keys(memPool).sort())
+
+      let item = _.find(result.txids, {txid: txId})
+      expect(item).to.have.property('size', memPool[txId].size)
+      expect(item).to.have.property('fee', Math.round(memPool[txId].fee * 1e8))
+
+      let times = _.pluck(result.txids, 'time')
+      expect(times).to.deep.equal(times.slice().sort())
+
+      let page = await request.get('/v2/mempool/txids', {offset: 1, limit: 1})
+      expect(page.txids).to.deep.equal(result.txids.slice(1, 2))
+    })
+
+    it('orphans', async () => {
+      let result = await request.get('/v2/mempool/orphans')
+      expect(result.orphans).to.be.an('Array')
+    })
+  })
+}
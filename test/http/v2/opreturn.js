@@ -0,0 +1,89 @@
+import { expect } from 'chai'
+import bitcore from 'bitcore-lib'
+import PUtils from 'promise-useful-utils'
+
+export default function (opts) {
+  let request = require('../request')(opts)
+
+  describe('opreturn', () => {
+    it('query', async () => {
+      let latest = await request.get('/v2/headers/latest')
+      let result = await request.get('/v2/opreturn/query', {prefix: Array(81).join('ff')})
+      expect(result).to.deep.equal({
+        outputs: [],
+        latest: {height: latest.height, hash: latest.hash},
+        next: null
+      })
+    })
+
+    it('query broadcasted', async () => {
+      let data = Buffer.concat([new Buffer('chromanode'), bitcore.crypto.Random.getRandomBuffer(8)])
+      let preload = await opts.bitcoind.getPreload()
+      let tx = bitcore.Transaction()
+        .from({
+          txId: preload.txId,
+          outputIndex: preload.outIndex,
+          satoshis: preload.value,
+          script: preload.script
+        })
+        .to(preload.privKey.toAddress(), preload.value - 1e4)
+        .addData(data)
+        .sign(preload.privKey)
+      await opts.bitcoind.rpc.sendRawTransaction(tx.toString())
+
+      let result
+      while (true) {
+        await PUtils.delay(100)
+        result = await request.get('/v2/opreturn/query', {prefix: data.toString('hex')})
+        if (result.outputs.length > 0) {
+          break
+        }
+      }
+
+      expect(result.outputs).to.deep.equal([
+        {txid: tx.id, vout: 1, height: null, payload: data.toString('hex')}
+      ])
+
+      await opts.bitcoind.generateBlocks(1)
+      let height = (await opts.bitcoind.rpc.getBlockCount()).result
+      while (true) {
+        await PUtils.delay(100)
+        result = await request.get('/v2/opreturn/query', {prefix: data.toString('hex'), source: 'blocks'})
+        if (result.outputs.length > 0) {
+          break
+        }
+      }
+
+      expect(result.outputs).to.deep.equal([
+        {txid: tx.id, vout: 1, height: height, payload: data.toString('hex')}
+      ])
+    })
+
+    it('query with limit', async () => {
+      let result = await request.get(
+        '/v2/opreturn/query', {prefix: 'chromanode', encoding: 'utf8', limit: 1})
+      expect(result.outputs).to.be.an('array')
+      expect(result).to.have.property('next')
+    })
+
+    it('invalid prefix', async () => {
+      try {
+        await request.get('/v2/opreturn/query', {prefix: 'abc'})
+        throw new Error('Expected InvalidPrefix')
+      } catch (err) {
+        expect(err).to.be.instanceof(request.errors.StatusFail)
+        expect(err.data).to.deep.equal({type: 'InvalidPrefix', message: 'abc'})
+      }
+    })
+
+    it('invalid encoding', async () => {
+      try {
+        await request.get('/v2/opreturn/query', {prefix: 'ab', encoding: 'base64'})
+        throw new Error('Expected InvalidEncoding')
+      } catch (err) {
+        expect(err).to.be.instanceof(request.errors.StatusFail)
+        expect(err.data).to.deep.equal({type: 'InvalidEncoding', message: 'base64'})
+      }
+    })
+  })
+}
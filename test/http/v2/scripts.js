@@ -0,0 +1,57 @@
+import _ from 'lodash'
+import { expect } from 'chai'
+import bitcore from 'bitcore-lib'
+import PUtils from 'promise-useful-utils'
+
+export default function (opts) {
+  let request = require('../request')(opts)
+
+  describe('scripts', () => {
+    let address
+    let scriptHash
+
+    before(async () => {
+      let txId = (await opts.bitcoind.generateTxs(1))[0]
+      let info
+      while (true) {
+        await PUtils.delay(100)
+        try {
+          info = await request.get('/v2/transactions/info', {txid: txId})
+          break
+        } catch (err) {
+          if (!(err instanceof request.errors.StatusFail)) {
+            throw err
+          }
+        }
+      }
+
+      let output = _.find(info.outputs, (output) => output.addresses.length === 1)
+      address = output.addresses[0]
+      scriptHash = bitcore.crypto.Hash.sha256(new Buffer(output.script, 'hex')).toString('hex')
+    })
+
+    it('query transactions', async () => {
+      let expected = await request.get('/v2/addresses/query', {addresses: address})
+      let result = await request.get('/v2/scripts/query', {scripthash: scriptHash})
+      expect(result).to.deep.equal(expected)
+    })
+
+    it('query unspent with limit', async () => {
+      let expected = await request.get(
+        '/v2/addresses/query', {addresses: address, status: 'unspent', limit: 1})
+      let result = await request.get(
+        '/v2/scripts/query', {scripthash: scriptHash, status: 'unspent', limit: 1})
+      expect(result).to.deep.equal(expected)
+    })
+
+    it('invalid scripthash', async () => {
+      try {
+        await request.get('/v2/scripts/query', {scripthash: 'abc'})
+        throw new Error('Expected InvalidScriptHash')
+      } catch (err) {
+        expect(err).to.be.instanceof(request.errors.StatusFail)
+        expect(err.data).to.deep.equal({type: 'InvalidScriptHash', message: 'abc'})
+      }
+    })
+  })
+}
@@ -7,5 +7,9 @@ export default function (opts) {
     let result = await request.get('/v2/status')
     expect(result).to.have.property('version', require('../../../package.json').version)
     expect(result).to.have.property('network', 'regtest')
+    expect(result.bitcoind.upstreams).to.have.length(1)
+    expect(result.bitcoind.upstreams[0]).to.have.property('name', 'default')
+    expect(result.bitcoind.upstreams[0]).to.have.property('active', true)
+    expect(result.bitcoind.upstreams[0]).to.have.property('healthy', true)
   })
 }
@@ -30,6 +30,81 @@ export default function (opts) {
       })
     })
 
+    describe('info', () => {
+      it('not found', _.partial(notFoundTest, '/v2/transactions/info'))
+
+      it('confirmed tx', async () => {
+        let hash = (await opts.bitcoind.rpc.getBlockHash(1)).result
+        let coinbaseTxId = (await opts.bitcoind.rpc.getBlock(hash)).result.tx[0]
+        let spent = await request.get(
+          '/v2/transactions/spent', {txid: coinbaseTxId, vout: 0})
+
+        let txInfo = (await opts.bitcoind.rpc.getRawTransaction(spent.txid, 1)).result
+        let height = (await opts.bitcoind.rpc.getBlock(txInfo.blockhash)).result.height
+        let latest = (await opts.bitcoind.rpc.getBlockCount()).result
+
+        let result = await request.get('/v2/transactions/info', {txid: spent.txid})
+        expect(result).to.have.property('txid', spent.txid)
+        expect(result).to.have.property('height', height)
+        expect(result).to.have.property('blockHash', txInfo.blockhash)
+        expect(result).to.have.property('confirmations', latest - height + 1)
+        expect(result).to.have.property('size', txInfo.hex.length / 2)
+        expect(result.inputs).to.have.length(txInfo.vin.length)
+        expect(result.outputs).to.have.length(txInfo.vout.length)
+
+        let input = _.find(result.inputs, {txid: coinbaseTxId, vout: 0})
+        expect(input).to.be.an('Object')
+        expect(input.value).to.be.above(0)
+
+        let outputsValue = 0
+        for (let [index, output] of result.outputs.entries()) {
+          expect(output.value).to.equal(Math.round(txInfo.vout[index].value * 1e8))
+          expect(output.script).to.equal(txInfo.vout[index].scriptPubKey.hex)
+          expect(output.addresses).to.deep.equal(txInfo.vout[index].scriptPubKey.addresses || [])
+          outputsValue += output.value
+        }
+
+        if (result.fee !== null) {
+          expect(result.fee).to.equal(_.sum(result.inputs, 'value') - outputsValue)
+        }
+      })
+
+      it('unconfirmed tx', async () => {
+        let txId = (await opts.bitcoind.generateTxs(1))[0]
+        let result
+        while (true) {
+          await PUtils.delay(100)
+          try {
+            result = await request.get('/v2/transactions/info', {txid: txId})
+            break
+          } catch (err) {
+            if (!(err instanceof request.errors.StatusFail)) {
+              throw err
+            }
+          }
+        }
+
+        expect(result).to.have.property('height', null)
+        expect(result.mempool).to.have.property('replacedBy', null)
+        expect(result.mempool).to.have.property('fee', result.fee)
+        expect(result.mempool).to.have.property('feeRate', Math.ceil(result.fee * 1000 / result.size))
+        expect(result.mempool.ancestors.count).to.be.at.least(1)
+        expect(result.mempool.descendants.count).to.be.at.least(1)
+      })
+
+      it('coinbase tx', async () => {
+        let hash = (await opts.bitcoind.rpc.getBlockHash(1)).result
+        let txId = (await opts.bitcoind.rpc.getBlock(hash)).result.tx[0]
+
+        let result = await request.get('/v2/transactions/info', {txid: txId})
+        expect(result).to.have.property('fee', 0)
+        expect(result).to.have.property('height', 1)
+        expect(result.inputs).to.have.length(1)
+        expect(result.inputs[0]).to.have.property('coinbase')
+        expect(result.outputs[0].spent).to.be.an('Object')
+      })
+    })
+
     describe('merkle', () => {
       it('not found', _.partial(notFoundTest, '/v2/transactions/merkle'))
 
@@ -108,6 +183,91 @@ export default function (opts) {
       })
     })
 
+    describe('conflicts', () => {
+      it('without conflicts', async () => {
+        let txId = (await opts.bitcoind.generateTxs(1))[0]
+
+        let result = await request.get('/v2/transactions/conflicts', {txid: txId})
+        expect(result).to.deep.equal({conflicts: []})
+      })
+
+      it('invalid txid', async () => {
+        try {
+          await request.get('/v2/transactions/conflicts', {txid: 'abc'})
+          throw new Error('Expected InvalidTxId')
+        } catch (err) {
+          expect(err).to.be.instanceof(request.errors.StatusFail)
+          expect(err.data).to.deep.equal({type: 'InvalidTxId', message: 'abc'})
+        }
+      })
+    })
+
+    describe('batch', () => {
+      let block
+      let notFoundTxId
+
+      before(async () => {
+        let hash = (await opts.bitcoind.rpc.getBlockHash(1)).result
+        block = (await opts.bitcoind.rpc.getBlock(hash)).result
+        notFoundTxId = crypto.Random.getRandomBuffer(32).toString('hex')
+      })
+
+      it('invalid batch', async () => {
+        try {
+          await request.post('/v2/transactions/raw/batch', {txids: []})
+          throw new Error('Expected InvalidBatch')
+        } catch (err) {
+          expect(err).to.be.instanceof(request.errors.StatusFail)
+          expect(err.data).to.have.property('type', 'InvalidBatch')
+        }
+      })
+
+      it('raw', async () => {
+        let txId = block.tx[0]
+        let rawTx = (await opts.bitcoind.rpc.getRawTransaction(txId)).result
+
+        let result = await request.post(
+          '/v2/transactions/raw/batch', {txids: [txId, notFoundTxId, 'abc']})
+        expect(result).to.deep.equal([
+          {status: 'success', data: {hex: rawTx}},
+          {status: 'fail', data: {type: 'TxNotFound', message: notFoundTxId}},
+          {status: 'fail', data: {type: 'InvalidTxId', message: 'abc'}}
+        ])
+      })
+
+      it('merkle', async () => {
+        let txId = block.tx[0]
+        let single = await request.get('/v2/transactions/merkle', {txid: txId})
+
+        let result = await request.post(
+          '/v2/transactions/merkle/batch', {txids: [notFoundTxId, txId]})
+        expect(result).to.deep.equal([
+          {status: 'fail', data: {type: 'TxNotFound', message: notFoundTxId}},
+          {status: 'success', data: single}
+        ])
+      })
+
+      it('spent', async () => {
+        let txId = block.tx[0]
+        let single = await request.get('/v2/transactions/spent', {txid: txId, vout: 0})
+
+        let result = await request.post('/v2/transactions/spent/batch', {
+          outpoints: [
+            {txid: txId, vout: 0},
+            {txid: notFoundTxId, vout: 0},
+            {txid: txId, vout: -1},
+            {txid: txId, vout: 0.5}
+          ]
+        })
+        expect(result).to.deep.equal([
+          {status: 'success', data: single},
+          {status: 'fail', data: {type: 'TxNotFound', message: notFoundTxId}},
+          {status: 'fail', data: {type: 'InvalidOutIndices', message: '-1'}},
+          {status: 'fail', data: {type: 'InvalidOutIndices', message: '0.5'}}
+        ])
+      })
+    })
+
     describe('send', () => {
       it('bad tx', async () => {
         try {
@@ -0,0 +1,232 @@
+import { expect } from 'chai'
+import crypto from 'crypto'
+import http from 'http'
+
+export default function (opts) {
+  let request = require('../request')(opts)
+
+  describe('webhooks', () => {
+    let server
+    let port
+    let status = 200
+    let received = []
+    let onRequest = () => {}
+    let auth = {Authorization: `Bearer ${opts.webhooksToken}`}
+
+    /**
+     * @param {Object} data
+     * @return {Promise<Object>}
+     */
+    let register = (data) => request.post('/v2/webhooks', data, auth)
+
+    before((done) => {
+      server = http.createServer((req, res) => {
+        let body = ''
+        req.setEncoding('utf8')
+        req.on('data', (chunk) => { body += chunk })
+        req.on('end', () => {
+          res.statusCode = status
+          res.end()
+          received.push({headers: req.headers, body: body})
+          onRequest()
+        })
+      })
+      server.listen(0, '127.0.0.1', () => {
+        port = server.address().port
+        done()
+      })
+    })
+
+    after((done) => {
+      server.close(done)
+    })
+
+    it('new-block', async () => {
+      let webhook = await register({
+        url: `http://127.0.0.1:${port}/hook`,
+        type: 'new-block'
+      })
+      expect(webhook.type).to.equal('new-block')
+      expect(webhook.secret).to.match(/^[0-9a-f]{64}$/)
+
+      let delivered = new Promise((resolve) => { onRequest = resolve })
+      await opts.bitcoind.generateBlocks(1)
+      await delivered
+
+      let {headers, body} = received[0]
+      let signature = crypto.createHmac('sha256', webhook.secret).update(body).digest('hex')
+      expect(headers['x-chromanode-signature']).to.equal(`sha256=${signature}`)
+      expect(headers['x-chromanode-event']).to.equal('new-block')
+
+      let obj = JSON.parse(body)
+      expect(obj.webhook).to.equal(webhook.id)
+      expect(obj.event).to.equal('new-block')
+      expect(obj.attempt).to.equal(1)
+      expect(obj.payload.height).to.equal((await opts.bitcoind.rpc.getBlockCount()).result)
+
+      let result = await request.post('/v2/webhooks/deliveries', {
+        id: webhook.id,
+        secret: webhook.secret
+      })
+      expect(result.deadLetters).to.have.length(0)
+      expect(result.deliveries[0]).to.have.property('id', obj.id)
+      expect(result.deliveries[0]).to.have.property('attempts', 1)
+      expect(result.deliveries[0]).to.have.property('responseStatus', 200)
+
+      await request.post('/v2/webhooks/remove', {
+        id: webhook.id,
+        secret: webhook.secret
+      })
+    })
+
+    it('wrong secret', async () => {
+      let webhook = await register({
+        url: `http://127.0.0.1:${port}/hook`,
+        type: 'new-block'
+      })
+
+      try {
+        await request.post('/v2/webhooks/remove', {id: webhook.id, secret: 'abc'})
+        throw new Error('Expected WebhookNotFound')
+      } catch (err) {
+        expect(err).to.be.instanceof(request.errors.StatusFail)
+        expect(err.data.type).to.equal('WebhookNotFound')
+      }
+
+      await request.post('/v2/webhooks/remove', {
+        id: webhook.id,
+        secret: webhook.secret
+      })
+    })
+
+    it('invalid url', async () => {
+      try {
+        await register({url: 'ftp://127.0.0.1/', type: 'new-block'})
+        throw new Error('Expected InvalidWebhook')
+      } catch (err) {
+        expect(err).to.be.instanceof(request.errors.StatusFail)
+        expect(err.data).to.deep.equal({type: 'InvalidWebhook', message: 'wrong url: ftp://127.0.0.1/'})
+      }
+    })
+
+    it('unauthorized', async () => {
+      try {
+        await request.post('/v2/webhooks', {
+          url: `http://127.0.0.1:${port}/hook`,
+          type: 'new-block'
+        }, {Authorization: 'Bearer abc'})
+        throw new Error('Expected Unauthorized')
+      } catch (err) {
+        expect(err).to.be.instanceof(request.errors.StatusFail)
+        expect(err.data).to.deep.equal({type: 'Unauthorized', message: 'wrong token'})
+      }
+    })
+
+    it('tx confirmations notified again after reorg', async () => {
+      let txId = (await opts.bitcoind.generateTxs(1))[0]
+      let webhook = await register({
+        url: `http://127.0.0.1:${port}/hook`,
+        type: 'tx',
+        txid: txId,
+        confirmations: 1
+      })
+
+      received = []
+      let waitConfirmations = async (count) => {
+        while (true) {
+          let items = received.filter((item) => {
+            return item.headers['x-chromanode-event'] === 'confirmations'
+          })
+          if (items.length === count) {
+            return JSON.parse(items[count - 1].body).payload
+          }
+
+          await new Promise((resolve) => setTimeout(resolve, 100))
+        }
+      }
+
+      let hash = (await opts.bitcoind.generateBlocks(1))[0]
+      let payload = await waitConfirmations(1)
+      expect(payload).to.have.property('txid', txId)
+      expect(payload).to.have.property('confirmations', 1)
+
+      // transaction back to mempool and mined in other block
+      await opts.bitcoind.rpc.invalidateBlock(hash)
+      await opts.bitcoind.generateBlocks(1)
+      payload = await waitConfirmations(2)
+      expect(payload).to.have.property('txid', txId)
+      expect(payload).to.have.property('confirmations', 1)
+
+      await request.post('/v2/webhooks/remove', {
+        id: webhook.id,
+        secret: webhook.secret
+      })
+    })
+
+    it('retries with backoff and dead letter', async () => {
+      let webhook = await register({
+        url: `http://127.0.0.1:${port}/hook`,
+        type: 'new-block'
+      })
+      let getDeliveries = () => {
+        return request.post('/v2/webhooks/deliveries', {
+          id: webhook.id,
+          secret: webhook.secret
+        })
+      }
+
+      status = 500
+      received = []
+      let attempts = []
+      try {
+        await opts.bitcoind.generateBlocks(1)
+
+        // test config: 3 attempts, backoff 1 second
+        for (let attempt = 1; attempt < 3; ++attempt) {
+          while (true) {
+            let result = await getDeliveries()
+            let delivery = result.deliveries[0]
+            if (delivery !== undefined && delivery.attempts === attempt && delivery.status === 'pending') {
+              attempts.push(delivery)
+              break
+            }
+
+            await new Promise((resolve) => setTimeout(resolve, 100))
+          }
+        }
+
+        while ((await getDeliveries()).deadLetters.length === 0) {
+          await new Promise((resolve) => setTimeout(resolve, 100))
+        }
+      } finally {
+        status = 200
+      }
+
+      for (let delivery of attempts) {
+        expect(delivery.responseStatus).to.equal(500)
+        expect(delivery.lastError).to.equal('Response status code 500')
+      }
+
+      // delay doubled for every next attempt
+      let delays = attempts.map((delivery) => {
+        return new Date(delivery.nextAttempt) - new Date(delivery.updated)
+      })
+      expect(delays[0]).to.be.within(900, 1100)
+      expect(delays[1]).to.be.within(1900, 2100)
+
+      let result = await getDeliveries()
+      expect(result.deliveries).to.have.length(0)
+      expect(result.deadLetters).to.have.length(1)
+      expect(result.deadLetters[0]).to.have.property('id', attempts[0].id)
+      expect(result.deadLetters[0]).to.have.property('attempts', 3)
+      expect(result.deadLetters[0]).to.have.property('responseStatus', 500)
+      expect(result.deadLetters[0]).to.have.property('lastError', 'Response status code 500')
+      expect(received.map((item) => JSON.parse(item.body).attempt)).to.deep.equal([1, 2, 3])
+
+      await request.post('/v2/webhooks/remove', {
+        id: webhook.id,
+        secret: webhook.secret
+      })
+    })
+  })
+}
@@ -0,0 +1,99 @@
+import _ from 'lodash'
+import { expect } from 'chai'
+import bitcore from 'bitcore-lib'
+import PUtils from 'promise-useful-utils'
+
+export default function (opts) {
+  let request = require('../request')(opts)
+
+  describe('xpub', () => {
+    it('query unused', async () => {
+      let hdPublicKey = new bitcore.HDPrivateKey('testnet').hdPublicKey
+      let getAddress = (chain) => {
+        return hdPublicKey.derive(chain).derive(0).publicKey.toAddress('testnet').toString()
+      }
+
+      let latest = await request.get('/v2/headers/latest')
+      let result = await request.get('/v2/xpub/query', {xpub: hdPublicKey.toString()})
+      expect(result).to.deep.equal({
+        addresses: [],
+        unused: {
+          external: {address: getAddress(0), index: 0},
+          internal: {address: getAddress(1), index: 0}
+        },
+        balance: {confirmed: 0, unconfirmed: 0, received: 0, sent: 0},
+        unspent: [],
+        latest: {height: latest.height, hash: latest.hash}
+      })
+    })
+
+    it('query used', async () => {
+      let hdPublicKey = new bitcore.HDPrivateKey('testnet').hdPublicKey
+      let getAddress = (chain, index) => {
+        return hdPublicKey.derive(chain).derive(index).publicKey.toAddress('testnet').toString()
+      }
+
+      let preload = await opts.bitcoind.getPreload()
+      let tx = bitcore.Transaction()
+        .from({
+          txId: preload.txId,
+          outputIndex: preload.outIndex,
+          satoshis: preload.value,
+          script: preload.script
+        })
+        .to(getAddress(0, 0), 1e6)
+        .to(getAddress(0, 3), 2e6)
+        .to(getAddress(1, 1), preload.value - 3e6 - 1e4)
+        .sign(preload.privKey)
+      await opts.bitcoind.rpc.sendRawTransaction(tx.toString())
+
+      while (true) {
+        await PUtils.delay(100)
+        try {
+          await request.get('/v2/transactions/info', {txid: tx.id})
+          break
+        } catch (err) {
+          if (!(err instanceof request.errors.StatusFail)) {
+            throw err
+          }
+        }
+      }
+
+      let result = await request.get('/v2/xpub/query', {xpub: hdPublicKey.toString()})
+      expect(result.addresses.map((item) => _.omit(item, 'balance'))).to.deep.equal([
+        {address: getAddress(0, 0), chain: 'external', index: 0},
+        {address: getAddress(0, 3), chain: 'external', index: 3},
+        {address: getAddress(1, 1), chain: 'internal', index: 1}
+      ])
+      expect(_.pluck(result.addresses, 'balance.unconfirmed')).to.deep.equal(
+        [1e6, 2e6, preload.value - 3e6 - 1e4])
+      expect(result.unused).to.deep.equal({
+        external: {address: getAddress(0, 4), index: 4},
+        internal: {address: getAddress(1, 2), index: 2}
+      })
+      expect(result.balance).to.have.property('unconfirmed', preload.value - 1e4)
+      expect(_.sortBy(_.pluck(result.unspent, 'vout'))).to.deep.equal([0, 1, 2])
+    })
+
+    it('invalid xpub', async () => {
+      try {
+        await request.get('/v2/xpub/query', {xpub: 'xpub'})
+        throw new Error('Expected InvalidXPub')
+      } catch (err) {
+        expect(err).to.be.instanceof(request.errors.StatusFail)
+        expect(err.data).to.deep.equal({type: 'InvalidXPub', message: 'xpub'})
+      }
+    })
+
+    it('invalid gap limit', async () => {
+      let xpub = new bitcore.HDPrivateKey('testnet').hdPublicKey.toString()
+      try {
+        await request.get('/v2/xpub/query', {xpub: xpub, gaplimit: '0'})
+        throw new Error('Expected InvalidGapLimit')
+      } catch (err) {
+        expect(err).to.be.instanceof(request.errors.StatusFail)
+        expect(err.data).to.deep.equal({type: 'InvalidGapLimit', message: '0'})
+      }
+    })
+  })
+}
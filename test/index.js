@@ -9,6 +9,7 @@ import PUtils from 'promise-useful-utils'
 import httpTests from './http'
 import wsTests from './ws'
 import scannerTests from './scanner'
+import electrumTests from './electrum'
 
 let pg = PUtils.promisifyAll(require('pg').native)
 
@@ -120,8 +121,10 @@ describe('Run bitcoind, scanner and service', function () {
     opts.ports = {
       peer: scannerConfig.bitcoind.peer.port,
       rpc: scannerConfig.bitcoind.rpc.port,
-      service: serviceConfig.chromanode.port
+      service: serviceConfig.chromanode.port,
+      electrum: serviceConfig.electrum.tcpPort
     }
+    opts.webhooksToken = serviceConfig.webhooks.token
 
     // run bitcoind, scanner and service
     opts.bitcoind = new BitcoindRegtest({
@@ -227,5 +230,6 @@ describe('Run bitcoind, scanner and service', function () {
 
   httpTests(opts)
   wsTests(opts)
+  electrumTests(opts)
   scannerTests(opts)
 })
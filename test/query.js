@@ -0,0 +1,46 @@
+import { expect } from 'chai'
+
+describe('query', () => {
+  let config
+  let errors
+  let qutil
+
+  before(() => {
+    config = require('../app/lib/config')
+    errors = require('../app/lib/errors')
+    qutil = require('../app/service/http/util/query')
+  })
+
+  describe('transformLimit', () => {
+    it('maxLimit if omitted', () => {
+      expect(qutil.transformLimit()).to.equal(config.get('chromanode.maxLimit', 1000))
+    })
+
+    it('clamped to maxLimit', () => {
+      let maxLimit = config.get('chromanode.maxLimit', 1000)
+      expect(qutil.transformLimit('1')).to.equal(1)
+      expect(qutil.transformLimit(String(maxLimit))).to.equal(maxLimit)
+      expect(qutil.transformLimit(String(maxLimit + 1))).to.equal(maxLimit)
+      expect(qutil.transformLimit('1000000000')).to.equal(maxLimit)
+    })
+
+    it('invalid limit', () => {
+      for (let val of ['0', '-1', '1.5', 'abc', '']) {
+        expect(() => qutil.transformLimit(val)).to.throw(errors.Service.InvalidLimit)
+      }
+    })
+  })
+
+  describe('transformVout', () => {
+    it('non-negative integer', () => {
+      expect(qutil.transformVout(0)).to.equal(0)
+      expect(qutil.transformVout('2')).to.equal(2)
+    })
+
+    it('invalid vout', () => {
+      for (let val of [-1, 0.5, '1.5', 'abc', '', null, undefined]) {
+        expect(() => qutil.transformVout(val)).to.throw(errors.Service.InvalidOutIndices)
+      }
+    })
+  })
+})
@@ -33,12 +33,25 @@ export default function (opts) {
         let height2 = (await otherBitcoind.rpc.getBlockCount()).result
         expect(height1 + 1).to.equal(height2)
 
+        let oldLatest = (await opts.bitcoind.rpc.getBestBlockHash()).result
+
         await opts.bitcoind.connect(otherBitcoind)
         await opts.waitTextInScanner('Reorg finished')
 
         let latest1 = (await opts.bitcoind.rpc.getBestBlockHash()).result
         let latest2 = (await otherBitcoind.rpc.getBestBlockHash()).result
         expect(latest1).to.equal(latest2)
+
+        let {reorgs} = await request.get('/v2/reorgs', {limit: 1})
+        expect(reorgs).to.have.length(1)
+        expect(reorgs[0]).to.have.property('height', height1 - 1)
+        expect(reorgs[0].old).to.deep.equal({hash: oldLatest, height: height1})
+        expect(reorgs[0].new).to.deep.equal({hash: latest2, height: height2})
+
+        // without limit result bounded by chromanode.maxLimit
+        let all = await request.get('/v2/reorgs')
+        expect(all.reorgs).to.have.length.within(1, 1000)
+        expect(all.reorgs[0]).to.deep.equal(reorgs[0])
       } finally {
         await otherBitcoind.terminate()
       }
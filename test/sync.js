@@ -0,0 +1,657 @@
+import _ from 'lodash'
+import { expect } from 'chai'
+import { EventEmitter } from 'events'
+import path from 'path'
+import fs from 'fs'
+import yaml from 'js-yaml'
+import PUtils from 'promise-useful-utils'
+
+let pg = PUtils.promisifyAll(require('pg').native)
+
+/**
+ * @param {EventEmitter} emitter
+ * @param {string} event
+ * @param {function} predicate
+ * @return {Promise}
+ */
+function waitEvent (emitter, event, predicate) {
+  return new Promise((resolve) => {
+    let onEvent = (value) => {
+      if (predicate(value)) {
+        emitter.removeListener(event, onEvent)
+        resolve(value)
+      }
+    }
+
+    emitter.on(event, onEvent)
+  })
+}
+
+/**
+ * @param {function} fn async predicate
+ * @param {number} [timeout=10000]
+ * @return {Promise}
+ */
+async function waitFor (fn, timeout = 10000) {
+  let deadline = Date.now() + timeout
+  while (!(await fn())) {
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not satisfied in ${timeout}ms`)
+    }
+
+    await PUtils.delay(50)
+  }
+}
+
+/**
+ * @param {string} url
+ * @return {Promise}
+ */
+async function clearStorage (url) {
+  let [client, done] = await pg.connectAsync(url)
+  await client.queryAsync('BEGIN')
+  let {rows} = await client.queryAsync(`SELECT
+                                          tablename
+                                        FROM
+                                          pg_tables
+                                        WHERE
+                                          schemaname = 'public'
+                                       `)
+  for (let row of rows) {
+    await client.queryAsync(`DROP TABLE ${row.tablename} CASCADE`)
+  }
+  await client.queryAsync('COMMIT')
+  done()
+}
+
+describe('Sync with fake backend', function () {
+  this.timeout(30 * 1000)
+
+  let syncConfig
+  let SQL
+  let storage
+  let messages
+  let service
+  let backend
+  let network
+  let sync
+
+  before(async () => {
+    let configLocation = path.join(__dirname, 'config', 'sync.yml')
+    syncConfig = yaml.safeLoad(fs.readFileSync(configLocation))
+
+    // clear postgresql storage
+    await clearStorage(syncConfig.postgresql.url)
+
+    // config should be loaded before app modules
+    require('../app/lib/init')
+    require('../app/lib/config').update(syncConfig)
+
+    SQL = require('../app/lib/sql')
+    let Storage = require('../app/lib/storage')
+    let Messages = require('../app/lib/messages')
+    let Service = require('../app/scanner/service')
+    let Network = require('../app/scanner/network')
+    let FakeBackend = require('../app/scanner/backends/fake')
+    let Sync = require('../app/scanner/sync')
+
+    storage = new Storage()
+    messages = new Messages({storage: storage})
+    service = new Service(messages, storage)
+    backend = new FakeBackend()
+    network = new Network(backend)
+    await* _.pluck([storage, messages, service, network], 'ready')
+
+    backend.generateBlocks(10)
+
+    sync = new Sync(storage, network, service)
+    await sync.run()
+  })
+
+  after(async () => {
+    if (sync) {
+      await sync.stop()
+    }
+
+    if (messages) {
+      await messages.close()
+    }
+
+    if (storage) {
+      storage.close()
+    }
+  })
+
+  /**
+   * @param {string} hash
+   * @return {Promise}
+   */
+  let waitLatest = (hash) => {
+    return waitEvent(sync, 'latest', (latest) => latest.hash === hash)
+  }
+
+  /**
+   * @param {string} txId
+   * @return {Promise<?number>} undefined if transaction not found
+   */
+  let getTxHeight = async (txId) => {
+    let {rows} = await storage.executeQuery(
+      SQL.select.transactions.heightsByTxIds, [[`\\x${txId}`]])
+    return rows.length === 0 ? undefined : rows[0].height
+  }
+
+  /**
+   * @param {number} height
+   * @return {{txId: string, outputIndex: number}}
+   */
+  let getCoinbaseOutput = async (height) => {
+    let block = await network.getBlock(height)
+    return {txId: block.transactions[0].id, outputIndex: 0}
+  }
+
+  it('initial import', async () => {
+    let {rows} = await storage.executeQuery(SQL.select.blocks.latest)
+    expect(rows[0].height).to.equal(9)
+    expect(rows[0].hash.toString('hex')).to.equal(await backend.getBlockHash(9))
+  })
+
+  it('new block', async () => {
+    let output = await getCoinbaseOutput(1)
+    let tx = backend.createTx([output])
+    let pImported = waitEvent(sync, 'tx', (txId) => txId === tx.id)
+    backend.addTx(tx)
+    await pImported
+    expect(await getTxHeight(tx.id)).to.be.null
+
+    let [hash] = backend.generateBlocks(1)
+    await waitLatest(hash)
+    expect(await getTxHeight(tx.id)).to.equal(10)
+  })
+
+  it('transaction from notification', async () => {
+    let output = await getCoinbaseOutput(6)
+    let tx = backend.createTx([output])
+
+    let getTx = backend.getTx
+    let requested = []
+    backend.getTx = (txId) => {
+      requested.push(txId)
+      return getTx.call(backend, txId)
+    }
+
+    try {
+      let pImported = waitEvent(sync, 'tx', (txId) => txId === tx.id)
+      backend.addTx(tx, false)
+      backend.announceTx(tx.id, true)
+      await pImported
+    } finally {
+      backend.getTx = getTx
+    }
+
+    // imported without request to backend
+    expect(requested).to.not.include(tx.id)
+    expect(await getTxHeight(tx.id)).to.be.null
+  })
+
+  it('malformed transaction from notification dropped', async () => {
+    let txIds = []
+    let onTx = (txId) => txIds.push(txId)
+    network.on('tx', onTx)
+    try {
+      backend.emit('tx', _.repeat('ab', 32), 'deadbeef')
+    } finally {
+      network.removeListener('tx', onTx)
+    }
+
+    expect(txIds).to.deep.equal([])
+  })
+
+  it('reorg', async () => {
+    let output = await getCoinbaseOutput(2)
+    let tx = backend.createTx([output])
+    backend.addTx(tx, false)
+
+    let [oldHash] = backend.generateBlocks(1)
+    await waitLatest(oldHash)
+    expect(await getTxHeight(tx.id)).to.equal(11)
+
+    // fork from previous block without transaction
+    let parent = await backend.getBlockHash(10)
+    let hashes = backend.generateBlocks(2, {parent: parent})
+    await waitLatest(_.last(hashes))
+
+    let {rows} = await storage.executeQuery(SQL.select.reorgs.latest, [0, 1])
+    expect(rows[0].height).to.equal(10)
+    expect(rows[0].old_hash.toString('hex')).to.equal(oldHash)
+    expect(rows[0].new_hash.toString('hex')).to.equal(_.last(hashes))
+
+    // transaction returned to mempool
+    expect(await getTxHeight(tx.id)).to.be.null
+    expect(await backend.getMempool()).to.include(tx.id)
+  })
+
+  it('orphan', async () => {
+    let output = await getCoinbaseOutput(3)
+    let parent = backend.createTx([output])
+    let child = backend.createTx([{txId: parent.id, outputIndex: 0}])
+
+    // child announced before parent
+    backend.addTx(parent, false)
+    backend.addTx(child)
+    await waitFor(async () => {
+      let {rows} = await storage.executeQuery(SQL.select.orphans.all)
+      return _.invoke(_.pluck(rows, 'txid'), 'toString', 'hex').includes(child.id)
+    })
+    expect(await getTxHeight(child.id)).to.be.undefined
+
+    let pImported = waitEvent(sync, 'tx', (txId) => txId === child.id)
+    backend.announceTx(parent.id)
+    await pImported
+
+    expect(await getTxHeight(parent.id)).to.be.null
+    expect(await getTxHeight(child.id)).to.be.null
+  })
+
+  describe('conflicts', () => {
+    let doubleSpends = []
+
+    before(async () => {
+      await messages.listen('broadcastdoublespend', (payload) => {
+        doubleSpends.push(payload)
+      })
+    })
+
+    /**
+     * @param {string} txId
+     * @return {Promise<Object[]>}
+     */
+    let getConflicts = async (txId) => {
+      let {rows} = await storage.executeQuery(SQL.select.conflicts.byTxId, [`\\x${txId}`])
+      return rows.map((row) => {
+        return {
+          txid: row.txid.toString('hex'),
+          winner: row.winner === null ? null : row.winner.toString('hex'),
+          height: row.height
+        }
+      })
+    }
+
+    /**
+     * @param {string} txId
+     * @param {string} replacedTxId
+     * @return {Promise}
+     */
+    let waitDoubleSpend = (txId, replacedTxId) => {
+      return waitFor(() => _.any(doubleSpends, {txId: txId, replacedTxId: replacedTxId}))
+    }
+
+    it('unconfirmed double spend, confirmation and reorg', async () => {
+      let output = await getCoinbaseOutput(4)
+      let tx1 = backend.createTx([output])
+      let tx2 = backend.createTx([output], {fee: 2e4})
+
+      let pImported = waitEvent(sync, 'tx', (txId) => txId === tx1.id)
+      backend.addTx(tx1)
+      await pImported
+
+      pImported = waitEvent(sync, 'tx', (txId) => txId === tx2.id)
+      backend.addTx(tx2)
+      await pImported
+      await waitDoubleSpend(tx2.id, tx1.id)
+
+      let payload = _.find(doubleSpends, {txId: tx2.id})
+      expect(payload).to.deep.equal({
+        address: backend.getAddress(),
+        txId: tx2.id,
+        replacedTxId: tx1.id,
+        prevTxId: output.txId,
+        outputIndex: 0
+      })
+      expect(await getConflicts(tx2.id)).to.deep.equal([
+        {txid: tx1.id, winner: null, height: null},
+        {txid: tx2.id, winner: null, height: null}
+      ])
+
+      // winner recorded on confirmation
+      let [hash] = backend.generateBlocks(1)
+      await waitLatest(hash)
+      let height = await getTxHeight(tx2.id)
+      expect(height).to.be.a('number')
+      expect(await getConflicts(tx1.id)).to.deep.equal([
+        {txid: tx1.id, winner: tx2.id, height: height},
+        {txid: tx2.id, winner: tx2.id, height: height}
+      ])
+
+      // and removed if block disconnected
+      let parent = await backend.getBlockHash(height - 1)
+      let hashes = backend.generateBlocks(2, {parent: parent})
+      await waitLatest(_.last(hashes))
+      expect(await getTxHeight(tx2.id)).to.be.null
+      expect(await getConflicts(tx2.id)).to.deep.equal([
+        {txid: tx1.id, winner: null, height: null},
+        {txid: tx2.id, winner: null, height: null}
+      ])
+    })
+
+    it('unconfirmed transaction replaced by block transaction', async () => {
+      let output = await getCoinbaseOutput(5)
+      let tx1 = backend.createTx([output])
+      let child = backend.createTx([{txId: tx1.id, outputIndex: 0}])
+      let tx2 = backend.createTx([output], {fee: 2e4})
+
+      for (let tx of [tx1, child]) {
+        let pImported = waitEvent(sync, 'tx', (txId) => txId === tx.id)
+        backend.addTx(tx)
+        await pImported
+      }
+
+      // mined without announce
+      backend.addTx(tx2, false)
+      let [hash] = backend.generateBlocks(1, {txIds: [tx2.id]})
+      await waitLatest(hash)
+      await waitDoubleSpend(tx2.id, tx1.id)
+
+      let height = await getTxHeight(tx2.id)
+      expect(height).to.be.a('number')
+      expect(await getConflicts(tx2.id)).to.deep.equal([
+        {txid: tx1.id, winner: tx2.id, height: height},
+        {txid: tx2.id, winner: tx2.id, height: height}
+      ])
+
+      // replaced transaction removed with descendants
+      expect(await getTxHeight(tx1.id)).to.be.undefined
+      expect(await getTxHeight(child.id)).to.be.undefined
+
+      let {rows} = await storage.executeQuery(SQL.select.history.spent, [`\\x${output.txId}`, 0])
+      expect(rows[0].itxid.toString('hex')).to.equal(tx2.id)
+      expect(rows[0].iheight).to.equal(height)
+    })
+  })
+
+  describe('mempool', () => {
+    let replacements = []
+
+    before(async () => {
+      await messages.listen('broadcasttxreplaced', (payload) => {
+        replacements.push(payload)
+      })
+    })
+
+    /**
+     * @param {string[]} txIds
+     * @return {Promise<Object>}
+     */
+    let getInfo = (txIds) => {
+      let mutil = require('../app/service/http/util/mempool')
+      return storage.executeTransaction((client) => mutil.getInfo(client, txIds))
+    }
+
+    /**
+     * @param {bitcore.Transaction} tx
+     * @return {Promise}
+     */
+    let addTx = (tx) => {
+      let pImported = waitEvent(sync, 'tx', (txId) => txId === tx.id)
+      backend.addTx(tx)
+      return pImported
+    }
+
+    it('packages, replacements and reorg', async () => {
+      let output = await getCoinbaseOutput(8)
+      let parent = backend.createTx([output], {outputs: 2, sequenceNumber: 0xfffffffd})
+      let child = backend.createTx([{txId: parent.id, outputIndex: 0}], {fee: 3e4})
+      await addTx(parent)
+      await addTx(child)
+
+      let size = parent.toBuffer().length + child.toBuffer().length
+      let infos = await getInfo([parent.id, child.id])
+      expect(infos[parent.id]).to.have.property('rbf', true)
+      expect(infos[parent.id]).to.have.property('fee', 1e4)
+      expect(infos[parent.id].ancestors).to.have.property('count', 1)
+      expect(infos[parent.id].descendants).to.deep.equal({
+        count: 2,
+        size: size,
+        fee: 4e4,
+        feeRate: Math.ceil(4e4 * 1000 / size)
+      })
+      expect(infos[child.id]).to.have.property('rbf', true)
+      expect(infos[child.id].ancestors).to.deep.equal(infos[parent.id].descendants)
+      expect(infos[child.id].descendants).to.have.property('count', 1)
+
+      // every next transaction replaces previous
+      let txs = [1e4, 2e4, 3e4].map((fee) => {
+        return backend.createTx([{txId: parent.id, outputIndex: 1}], {fee: fee})
+      })
+      for (let tx of txs) {
+        await addTx(tx)
+      }
+      await waitFor(() => replacements.length === 2)
+      expect(replacements).to.deep.equal([
+        {txId: txs[0].id, replacedBy: txs[1].id},
+        {txId: txs[1].id, replacedBy: txs[2].id}
+      ])
+
+      infos = await getInfo(_.pluck(txs, 'id'))
+      expect(_.pluck(infos, 'replaces')).to.deep.equal([[], [txs[0].id], [txs[1].id]])
+      expect(_.pluck(infos, 'replacedBy')).to.deep.equal([txs[1].id, txs[2].id, null])
+
+      // confirmed transactions leave mempool
+      let [hash] = backend.generateBlocks(1)
+      await waitLatest(hash)
+      let height = await getTxHeight(child.id)
+      expect(height).to.be.a('number')
+      infos = await getInfo([parent.id, child.id])
+      expect(infos).to.deep.equal({[parent.id]: null, [child.id]: null})
+
+      // and back with packages on reorg
+      let hashes = backend.generateBlocks(2, {parent: await backend.getBlockHash(height - 1)})
+      await waitLatest(_.last(hashes))
+      infos = await getInfo([parent.id, child.id])
+      expect(infos[child.id].ancestors).to.deep.equal({
+        count: 2,
+        size: size,
+        fee: 4e4,
+        feeRate: Math.ceil(4e4 * 1000 / size)
+      })
+      expect(infos[parent.id].descendants).to.have.property('count', 3)
+    })
+  })
+
+  describe('verify', () => {
+    it('repair refused while scanner running', async () => {
+      let Verifier = require('../app/scanner/verify')
+      let { SCANNER_LOCK_ID } = require('../app/lib/const')
+      let errors = require('../app/lib/errors')
+
+      await storage.executeTransaction(async (client) => {
+        await client.queryAsync(`SELECT pg_advisory_xact_lock($1)`, [SCANNER_LOCK_ID])
+        try {
+          await new Verifier(storage).run({from: 0, to: 0, repair: true})
+          throw new Error('Expected ScannerRunning')
+        } catch (err) {
+          expect(err).to.be.instanceof(errors.ScannerRunning)
+        }
+      })
+    })
+
+    it('report and repair heights', async () => {
+      let Verifier = require('../app/scanner/verify')
+
+      let output = await getCoinbaseOutput(7)
+      let tx = backend.createTx([output])
+      backend.addTx(tx, false)
+      let [hash] = backend.generateBlocks(1)
+      await waitLatest(hash)
+      let height = await getTxHeight(tx.id)
+
+      let getHeights = async () => {
+        let [oheights, iheights] = await* [
+          storage.executeQuery(`SELECT oheight FROM history WHERE otxid = $1`, [`\\x${tx.id}`]),
+          storage.executeQuery(`SELECT iheight FROM history WHERE itxid = $1`, [`\\x${tx.id}`])
+        ]
+        return {
+          height: await getTxHeight(tx.id),
+          oheights: _.pluck(oheights.rows, 'oheight'),
+          iheights: _.pluck(iheights.rows, 'iheight')
+        }
+      }
+      expect(await getHeights()).to.deep.equal({height: height, oheights: [height], iheights: [height]})
+
+      // transaction stored with previous height, history with wrong heights
+      await storage.executeTransaction(async (client) => {
+        let params = [`\\x${tx.id}`]
+        await client.queryAsync(`UPDATE transactions SET height = height - 1 WHERE txid = $1`, params)
+        await client.queryAsync(`UPDATE history SET oheight = oheight + 1 WHERE otxid = $1`, params)
+        await client.queryAsync(`UPDATE history SET iheight = NULL WHERE itxid = $1`, params)
+      })
+
+      let verifyOpts = {from: height - 1, to: height}
+      expect(await new Verifier(storage).run(verifyOpts)).to.equal(2)
+      expect(await getHeights()).to.deep.equal({height: height - 1, oheights: [height + 1], iheights: [null]})
+
+      let {rows} = await storage.executeQuery(SQL.select.info.value, ['verify'])
+      expect(JSON.parse(rows[0].value)).to.have.property('mismatches', 2)
+
+      expect(await new Verifier(storage).run(_.extend({repair: true}, verifyOpts))).to.equal(2)
+      expect(await getHeights()).to.deep.equal({height: height, oheights: [height], iheights: [height]})
+      expect(await new Verifier(storage).run(verifyOpts)).to.equal(0)
+    })
+  })
+
+  describe('upstreams', () => {
+    it('switch active upstream', async () => {
+      require('../app/lib/config').update({bitcoind: {healthCheckInterval: 100}})
+
+      let FakeBackend = require('../app/scanner/backends/fake')
+      let UpstreamsBackend = require('../app/scanner/backends/upstreams')
+
+      // same seed and operations, so same chains
+      let node1 = new FakeBackend()
+      let node2 = new FakeBackend()
+      node1.generateBlocks(5)
+      node2.generateBlocks(5)
+
+      let upstreams = new UpstreamsBackend([
+        {name: 'node1', backend: node1},
+        {name: 'node2', backend: node2}
+      ])
+      await upstreams.ready
+
+      let getHealth = (name) => _.find(upstreams.getUpstreams(), {name: name})
+      expect(getHealth('node1').active).to.be.true
+
+      // active upstream fall behind
+      node2.generateBlocks(3)
+      await waitEvent(upstreams, 'connect', () => true)
+      expect(getHealth('node2').active).to.be.true
+      expect(getHealth('node1').synced).to.be.false
+
+      // active upstream lost notifications
+      node1.generateBlocks(3)
+      node2.setNotificationsConnected(false)
+      await waitEvent(upstreams, 'connect', () => true)
+      expect(getHealth('node1').active).to.be.true
+      expect(getHealth('node1').healthy).to.be.true
+      expect(getHealth('node2').notifications).to.be.false
+      expect(getHealth('node2').healthy).to.be.false
+    })
+
+    it('ready without waiting for all upstreams', async () => {
+      let FakeBackend = require('../app/scanner/backends/fake')
+      let UpstreamsBackend = require('../app/scanner/backends/upstreams')
+
+      let node = new FakeBackend()
+      node.generateBlocks(5)
+
+      // upstream which never answers
+      let stalled = new EventEmitter()
+      stalled.ready = new Promise(_.noop)
+
+      let upstreams = new UpstreamsBackend([
+        {name: 'stalled', backend: stalled},
+        {name: 'node', backend: node}
+      ])
+      await upstreams.ready
+
+      expect(_.find(upstreams.getUpstreams(), {name: 'node'}).active).to.be.true
+      expect(await upstreams.getBlockCount()).to.equal(await node.getBlockCount())
+    })
+  })
+
+  describe('initial block download', () => {
+    /**
+     * Confirmed part of storage, rows of unconfirmed transactions depend
+     *  on the time of mempool import
+     *
+     * @return {Promise<Object>}
+     */
+    let getConfirmed = async () => {
+      let [blocks, transactions, history, indices] = await* [
+        storage.executeQuery(`SELECT
+                                height, encode(hash, 'hex') AS hash,
+                                encode(header, 'hex') AS header,
+                                encode(txids, 'hex') AS txids
+                              FROM blocks
+                              ORDER BY height`),
+        storage.executeQuery(`SELECT
+                                encode(txid, 'hex') AS txid, height,
+                                encode(tx, 'hex') AS tx
+                              FROM transactions
+                              WHERE height IS NOT NULL
+                              ORDER BY txid`),
+        storage.executeQuery(`SELECT
+                                encode(address, 'hex') AS address,
+                                encode(otxid, 'hex') AS otxid, oindex, ovalue,
+                                encode(oscript, 'hex') AS oscript, oheight,
+                                encode(CASE WHEN iheight IS NULL THEN NULL ELSE itxid END, 'hex') AS itxid,
+                                iheight, encode(scripthash, 'hex') AS scripthash
+                              FROM history
+                              WHERE oheight IS NOT NULL
+                              ORDER BY otxid, oindex, address`),
+        storage.executeQuery(SQL.ibd.indices, [['transactions', 'history', 'opreturns']])
+      ]
+
+      return {
+        blocks: blocks.rows,
+        transactions: transactions.rows,
+        history: history.rows,
+        indices: _.sortBy(_.pluck(indices.rows, 'definition'))
+      }
+    }
+
+    it('bulk import equal to per-block import', async () => {
+      await sync.stop()
+      sync = null
+
+      let expected = await getConfirmed()
+      expect(expected.blocks).to.have.length(await backend.getBlockCount() + 1)
+
+      // import same chain to empty storage
+      await clearStorage(syncConfig.postgresql.url)
+
+      let config = require('../app/lib/config')
+      config.update({chromanode: {ibd: {enable: true, batchSize: 5, workers: 0, tipDistance: 0}}})
+
+      let Storage = require('../app/lib/storage')
+      let Sync = require('../app/scanner/sync')
+
+      storage = new Storage()
+      await storage.ready
+
+      sync = new Sync(storage, network, service)
+      await sync.run()
+
+      expect(await getConfirmed()).to.deep.equal(expected)
+
+      // every downloaded block journaled
+      let events = await storage.executeQuery(
+        `SELECT payload FROM events WHERE type = 'block' ORDER BY id`)
+      expect(events.rows.map((row) => JSON.parse(row.payload).height))
+        .to.deep.equal(_.pluck(expected.blocks, 'height'))
+
+      // download finished, flag removed
+      let {rowCount} = await storage.executeQuery(SQL.select.info.value, ['ibd'])
+      expect(rowCount).to.equal(0)
+    })
+  })
+})
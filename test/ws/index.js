@@ -1,7 +1,9 @@
 import v2Tests from './v2'
+import rpcTests from './rpc'
 
 export default function (opts) {
   describe('WebSocket', () => {
     v2Tests(opts)
+    rpcTests(opts)
   })
 }
@@ -0,0 +1,73 @@
+import { expect } from 'chai'
+import WebSocket from 'ws'
+
+export default function (opts) {
+  describe('JSON-RPC', () => {
+    let ws
+    let requestId = 0
+
+    let call = (method, params) => {
+      let id = requestId++
+      return new Promise((resolve) => {
+        let onMessage = (data) => {
+          let response = JSON.parse(data)
+          if (response.id === id) {
+            ws.removeListener('message', onMessage)
+            resolve(response)
+          }
+        }
+        ws.on('message', onMessage)
+        ws.send(JSON.stringify({jsonrpc: '2.0', id: id, method: method, params: params}))
+      })
+    }
+
+    beforeEach(async () => {
+      ws = new WebSocket(`ws://127.0.0.1:${opts.ports.service}/v2/ws`)
+      await new Promise((resolve, reject) => {
+        ws.once('open', resolve)
+        ws.once('error', reject)
+      })
+    })
+
+    afterEach(() => {
+      ws.close()
+    })
+
+    it('subscribe/unsubscribe', async () => {
+      let response = await call('subscribe', {type: 'status'})
+      expect(response).to.deep.equal({jsonrpc: '2.0', id: response.id, result: 'status'})
+
+      response = await call('unsubscribe', [{type: 'status'}])
+      expect(response).to.deep.equal({jsonrpc: '2.0', id: response.id, result: 'status'})
+    })
+
+    it('new-block', async () => {
+      await call('subscribe', {type: 'new-block'})
+      let notification = new Promise((resolve) => {
+        ws.on('message', (data) => {
+          let message = JSON.parse(data)
+          if (message.method === 'new-block') {
+            resolve(message.params)
+          }
+        })
+      })
+
+      let blockHash = (await opts.bitcoind.generateBlocks(1))[0]
+      let height = (await opts.bitcoind.rpc.getBlockCount()).result
+      let payload = await notification
+      expect(payload.hash).to.equal(blockHash)
+      expect(payload.height).to.equal(height)
+      expect(payload.seq).to.be.a('number')
+    })
+
+    it('wrong subscription', async () => {
+      let response = await call('subscribe', {type: 'tx', txid: 'abc'})
+      expect(response.error).to.deep.equal({code: -32602, message: 'Wrong txid: abc'})
+    })
+
+    it('unknown method', async () => {
+      let response = await call('getinfo', [])
+      expect(response.error.code).to.equal(-32601)
+    })
+  })
+}
@@ -5,6 +5,8 @@ import bitcore from 'bitcore-lib'
 import PUtils from 'promise-useful-utils'
 
 export default function (opts) {
+  let request = require('../http/request')(opts)
+
   describe('v2', () => {
     let socket
 
@@ -77,7 +79,8 @@ export default function (opts) {
           let blockHash
           socket.once('new-block', async (payload) => {
             try {
-              expect(payload).to.deep.equal({
+              expect(payload.seq).to.be.a('number')
+              expect(_.omit(payload, 'seq')).to.deep.equal({
                 hash: blockHash,
                 height: (await opts.bitcoind.rpc.getBlockCount()).result
               })
@@ -100,7 +103,8 @@ export default function (opts) {
         PUtils.try(async () => {
           socket.once('new-tx', async (payload) => {
             try {
-              expect(payload).to.deep.equal({
+              expect(payload.seq).to.be.a('number')
+              expect(_.omit(payload, 'seq')).to.deep.equal({
                 txid: txId,
                 blockHash: null,
                 blockHeight: null
@@ -121,7 +125,8 @@ export default function (opts) {
           let blockHash
           socket.once('tx', async (payload) => {
             try {
-              expect(payload).to.deep.equal({
+              expect(payload.seq).to.be.a('number')
+              expect(_.omit(payload, 'seq')).to.deep.equal({
                 txid: txId,
                 blockHash: blockHash,
                 blockHeight: (await opts.bitcoind.rpc.getBlockCount()).result
@@ -137,6 +142,100 @@ export default function (opts) {
       })
     })
 
+    it('tx-confirmations', async () => {
+      let txId = (await opts.bitcoind.generateTxs(1))[0]
+      let txOpts = {type: 'tx-confirmations', txid: txId, thresholds: [1, 2]}
+      await subscribe(txOpts)
+
+      let blockHeight
+      for (let threshold of [1, 2]) {
+        await new Promise((resolve, reject) => {
+          PUtils.try(async () => {
+            socket.once('confirmations', async (payload) => {
+              try {
+                let latest = (await opts.bitcoind.rpc.getBlockCount()).result
+                blockHeight = blockHeight || latest
+                expect(payload).to.deep.equal({
+                  txid: txId,
+                  blockHeight: blockHeight,
+                  confirmations: latest - blockHeight + 1,
+                  threshold: threshold
+                })
+                resolve()
+              } catch (err) {
+                reject(err)
+              }
+            })
+            await opts.bitcoind.generateBlocks(1)
+          })
+          .catch(reject)
+        })
+      }
+    })
+
+    it('tx-confirmations for confirmed transaction', async () => {
+      let txId = (await opts.bitcoind.generateTxs(1))[0]
+      await opts.bitcoind.generateBlocks(2)
+      let latest = (await opts.bitcoind.rpc.getBlockCount()).result
+      while ((await request.get('/v2/headers/latest')).height !== latest) {
+        await PUtils.delay(100)
+      }
+
+      // current depth sent on subscribe
+      let pConfirmations = new Promise((resolve) => socket.once('confirmations', resolve))
+      await subscribe({type: 'tx-confirmations', txid: txId, thresholds: [1, 2, 3]})
+      expect(await pConfirmations).to.deep.equal({
+        txid: txId,
+        blockHeight: latest - 1,
+        confirmations: 2,
+        threshold: 2
+      })
+    })
+
+    it('tx-confirmations unconfirmed on reorg', async () => {
+      let txId = (await opts.bitcoind.generateTxs(1))[0]
+      await subscribe({type: 'tx-confirmations', txid: txId, thresholds: [1]})
+
+      let pConfirmations = new Promise((resolve) => socket.once('confirmations', resolve))
+      let hash = (await opts.bitcoind.generateBlocks(1))[0]
+      expect(await pConfirmations).to.have.property('threshold', 1)
+
+      // transaction back to mempool and mined in other block
+      let pUnconfirmed = new Promise((resolve) => socket.once('unconfirmed', resolve))
+      pConfirmations = new Promise((resolve) => socket.once('confirmations', resolve))
+      await opts.bitcoind.rpc.invalidateBlock(hash)
+      await opts.bitcoind.generateBlocks(1)
+      expect(await pUnconfirmed).to.deep.equal({txid: txId})
+      expect(await pConfirmations).to.have.property('threshold', 1)
+    })
+
+    it('tx-confirmations removed from mempool', async () => {
+      let preload = await opts.bitcoind.getPreload()
+      let createTx = (fee) => {
+        let tx = bitcore.Transaction()
+          .from({
+            txId: preload.txId,
+            outputIndex: preload.outIndex,
+            satoshis: preload.value,
+            script: preload.script
+          })
+          .to(preload.privKey.toAddress(), preload.value - fee)
+        tx.inputs[0].sequenceNumber = 0xfffffffd
+        return tx.sign(preload.privKey)
+      }
+
+      let tx1 = createTx(1e4)
+      let tx2 = createTx(1e5)
+      await subscribe({type: 'tx-confirmations', txid: tx1.id, thresholds: [1]})
+      await opts.bitcoind.rpc.sendRawTransaction(tx1.toString())
+
+      // replaced in bitcoind mempool (BIP125) and dropped on mempool update
+      let pRemoved = new Promise((resolve) => socket.once('removed', resolve))
+      await opts.bitcoind.rpc.sendRawTransaction(tx2.toString())
+      await opts.bitcoind.generateBlocks(1)
+      expect(await pRemoved).to.deep.equal({txid: tx1.id})
+    })
+
     it('address', async () => {
       let preload = await opts.bitcoind.getPreload()
       let fromAddress = preload.privKey.toAddress().toString()
@@ -169,7 +268,8 @@ export default function (opts) {
                 obj.address = toAddress
               }
 
-              expect(payload).to.deep.equal(obj)
+              expect(payload.seq).to.be.a('number')
+              expect(_.omit(payload, 'seq')).to.deep.equal(obj)
 
               expect(addresses).to.include(payload.address)
               addresses = _.without(addresses, payload.address)
@@ -207,7 +307,8 @@ export default function (opts) {
                 obj.address = toAddress
               }
 
-              expect(payload).to.deep.equal(obj)
+              expect(payload.seq).to.be.a('number')
+              expect(_.omit(payload, 'seq')).to.deep.equal(obj)
 
               expect(addresses).to.include(payload.address)
               addresses = _.without(addresses, payload.address)
@@ -229,6 +330,180 @@ export default function (opts) {
       })
     })
 
+    it('xpub', async () => {
+      let hdPublicKey = new bitcore.HDPrivateKey('testnet').hdPublicKey
+      let address = hdPublicKey.derive(0).derive(2).publicKey.toAddress('testnet').toString()
+      let xpubOpts = {type: 'xpub', xpub: hdPublicKey.toString()}
+
+      // other subscriber of same room left, watcher still counted for socket
+      let other = io(`ws://127.0.0.1:${opts.ports.service}/v2`, {
+        forceNew: true,
+        forceJSONP: false,
+        jsonp: false,
+        transports: ['polling']
+      })
+      await* [
+        subscribe(xpubOpts),
+        new Promise((resolve) => {
+          other.once('subscribed', resolve)
+          other.emit('subscribe', xpubOpts)
+        })
+      ]
+      await new Promise((resolve) => {
+        other.once('disconnect', resolve)
+        other.disconnect()
+      })
+
+      let preload = await opts.bitcoind.getPreload()
+      let tx = bitcore.Transaction()
+        .from({
+          txId: preload.txId,
+          outputIndex: preload.outIndex,
+          satoshis: preload.value,
+          script: preload.script
+        })
+        .to(address, preload.value - 1e4)
+        .sign(preload.privKey)
+
+      await new Promise((resolve, reject) => {
+        PUtils.try(async () => {
+          socket.once('xpub', (payload) => {
+            try {
+              expect(payload.seq).to.be.a('number')
+              expect(_.omit(payload, 'seq')).to.deep.equal({
+                xpub: hdPublicKey.toString(),
+                chain: 'external',
+                index: 2,
+                address: address,
+                txid: tx.id,
+                blockHash: null,
+                blockHeight: null
+              })
+              resolve()
+            } catch (err) {
+              reject(err)
+            }
+          })
+
+          await opts.bitcoind.rpc.sendRawTransaction(tx.toString())
+        })
+        .catch(reject)
+      })
+    })
+
+    it('opreturn', async () => {
+      let data = Buffer.concat([new Buffer('chromanode'), bitcore.crypto.Random.getRandomBuffer(8)])
+      let preload = await opts.bitcoind.getPreload()
+      let tx = bitcore.Transaction()
+        .from({
+          txId: preload.txId,
+          outputIndex: preload.outIndex,
+          satoshis: preload.value,
+          script: preload.script
+        })
+        .to(preload.privKey.toAddress(), preload.value - 1e4)
+        .addData(data)
+        .sign(preload.privKey)
+
+      await subscribe({type: 'opreturn', prefix: data.slice(0, 12).toString('hex')})
+      await new Promise((resolve, reject) => {
+        PUtils.try(async () => {
+          socket.once('opreturn', (payload) => {
+            try {
+              expect(payload).to.deep.equal({
+                txid: tx.id,
+                vout: 1,
+                blockHash: null,
+                blockHeight: null,
+                payload: data.toString('hex')
+              })
+              resolve()
+            } catch (err) {
+              reject(err)
+            }
+          })
+
+          await opts.bitcoind.rpc.sendRawTransaction(tx.toString())
+        })
+        .catch(reject)
+      })
+    })
+
+    it('resume', async () => {
+      await subscribe({type: 'new-block'})
+      let seq = await new Promise((resolve, reject) => {
+        socket.once('new-block', (payload) => resolve(payload.seq))
+        opts.bitcoind.generateBlocks(1).catch(reject)
+      })
+
+      await new Promise((resolve) => {
+        socket.once('unsubscribed', resolve)
+        socket.emit('unsubscribe', {type: 'new-block'})
+      })
+      let blockHash = (await opts.bitcoind.generateBlocks(1))[0]
+      await PUtils.delay(500)
+
+      await subscribe({type: 'new-block'})
+      await new Promise((resolve, reject) => {
+        let blocks = []
+        socket.on('new-block', (payload) => blocks.push(payload))
+        socket.once('resumed', (result, err) => {
+          try {
+            expect(err).to.be.null
+            expect(result.complete).to.be.true
+            expect(_.find(blocks, {hash: blockHash})).to.be.an('object')
+            expect(_.every(blocks, (block) => block.seq > seq)).to.be.true
+            expect(result.seq).to.equal(_.last(blocks).seq)
+            socket.removeAllListeners('new-block')
+            resolve()
+          } catch (err) {
+            reject(err)
+          }
+        })
+        socket.emit('resume', {seq: seq})
+      })
+    })
+
+    it('resume without duplicates of live events', async () => {
+      await subscribe({type: 'new-block'})
+      let seq = await new Promise((resolve, reject) => {
+        socket.once('new-block', (payload) => resolve(payload.seq))
+        opts.bitcoind.generateBlocks(1).catch(reject)
+      })
+
+      await new Promise((resolve) => {
+        socket.once('unsubscribed', resolve)
+        socket.emit('unsubscribe', {type: 'new-block'})
+      })
+      let blockHashes = await opts.bitcoind.generateBlocks(2)
+      await PUtils.delay(500)
+
+      // replayed blocks sent once, live block after them
+      await subscribe({type: 'new-block'})
+      let blocks = []
+      socket.on('new-block', (payload) => blocks.push(payload))
+      let result = await new Promise((resolve, reject) => {
+        socket.once('resumed', (result, err) => {
+          if (err !== null) {
+            return reject(new Error(err))
+          }
+          resolve(result)
+        })
+        socket.emit('resume', {seq: seq})
+      })
+
+      let lastHash = (await opts.bitcoind.generateBlocks(1))[0]
+      while (!_.find(blocks, {hash: lastHash})) {
+        await PUtils.delay(100)
+      }
+      await PUtils.delay(500)
+      socket.removeAllListeners('new-block')
+
+      expect(result.seq).to.be.above(seq)
+      expect(_.pluck(blocks, 'hash')).to.deep.equal(blockHashes.concat(lastHash))
+      expect(_.uniq(_.pluck(blocks, 'seq'))).to.have.length(blocks.length)
+    })
+
     it('status', async () => {
       await subscribe({type: 'status'})
       await new Promise((resolve, reject) => {